@@ -0,0 +1,85 @@
+-- Esquema base del portal: contenido publicado en las páginas
+-- Usa IF NOT EXISTS para poder registrarse en bases de datos que ya tienen las tablas
+
+CREATE SCHEMA IF NOT EXISTS sitio;
+
+-- Fila única con los textos e imágenes de la página de inicio
+CREATE TABLE IF NOT EXISTS sitio.presentacion (
+    id          serial PRIMARY KEY,
+    titulo      varchar(255),
+    descripcion text,
+    qsomos      text,
+    objetivo    text,
+    qhacemos    text,
+    clogramos   text,
+    imagen      bytea,
+    img         bytea
+);
+
+CREATE TABLE IF NOT EXISTS sitio.noticias (
+    id       serial PRIMARY KEY,
+    titulo   varchar(255) NOT NULL,
+    noticia  text NOT NULL,
+    link     varchar(2048),
+    destacar boolean NOT NULL DEFAULT false,
+    fecha    date DEFAULT CURRENT_DATE,
+    imagen   bytea
+);
+
+CREATE INDEX IF NOT EXISTS noticias_fecha_idx ON sitio.noticias (fecha DESC);
+
+CREATE TABLE IF NOT EXISTS sitio.eventos (
+    id          serial PRIMARY KEY,
+    titulo      varchar(255) NOT NULL,
+    lugar       varchar(255) NOT NULL,
+    fechai      date NOT NULL,
+    fechaf      date,
+    descripcion text,
+    link        varchar(2048),
+    descarga    varchar(2048),
+    imagen      bytea,
+    CHECK (fechaf IS NULL OR fechaf >= fechai)
+);
+
+CREATE INDEX IF NOT EXISTS eventos_fechai_idx ON sitio.eventos (fechai DESC);
+
+-- El menú y empresas.html enlazan por nombre
+CREATE TABLE IF NOT EXISTS sitio.empresas (
+    id            serial PRIMARY KEY,
+    empresa       varchar(255) NOT NULL UNIQUE,
+    descripcion   text,
+    direccion     varchar(500),
+    telf          varchar(100),
+    mail          varchar(255),
+    sitio         varchar(255),
+    especializada boolean NOT NULL DEFAULT false,
+    logo          bytea
+);
+
+-- servicios.html busca cada servicio por nombre
+CREATE TABLE IF NOT EXISTS sitio.productos_servicios (
+    id          serial PRIMARY KEY,
+    nombre      varchar(255) NOT NULL UNIQUE,
+    descripcion text,
+    link        varchar(2048),
+    contacto    varchar(20),
+    img         bytea,
+    img2        bytea
+);
+
+CREATE TABLE IF NOT EXISTS sitio.lineaprod (
+    id          serial PRIMARY KEY,
+    servicioid  integer NOT NULL REFERENCES sitio.productos_servicios(id) ON DELETE CASCADE,
+    titulo      varchar(255) NOT NULL,
+    descripcion text,
+    img         bytea
+);
+
+CREATE INDEX IF NOT EXISTS lineaprod_servicio_idx ON sitio.lineaprod (servicioid);
+
+CREATE TABLE IF NOT EXISTS sitio.preguntas (
+    id        serial PRIMARY KEY,
+    pregunta  text NOT NULL,
+    respuesta text NOT NULL,
+    fecha     date DEFAULT CURRENT_DATE
+);
@@ -0,0 +1,26 @@
+-- Usuarios del panel de administración y sus sesiones
+
+CREATE TABLE IF NOT EXISTS sitio.usuarios (
+    id                serial PRIMARY KEY,
+    usuario           varchar(64) NOT NULL UNIQUE,
+    nombre            varchar(128),
+    password_hash     text NOT NULL,
+    rol               varchar(16) NOT NULL DEFAULT 'viewer'
+                      CHECK (rol IN ('admin', 'editor', 'viewer')),
+    activo            boolean NOT NULL DEFAULT true,
+    intentos_fallidos integer NOT NULL DEFAULT 0,
+    bloqueado_hasta   timestamptz,
+    ultimo_acceso     timestamptz,
+    creado            timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS sitio.sesiones (
+    id          varchar(64) PRIMARY KEY,
+    usuario_id  integer NOT NULL REFERENCES sitio.usuarios(id) ON DELETE CASCADE,
+    csrf_token  varchar(64) NOT NULL,
+    expira      timestamptz NOT NULL,
+    creada      timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS sesiones_usuario_idx ON sitio.sesiones (usuario_id);
+CREATE INDEX IF NOT EXISTS sesiones_expira_idx ON sitio.sesiones (expira);
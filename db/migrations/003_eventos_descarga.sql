@@ -0,0 +1,4 @@
+-- Folletos PDF de los eventos almacenados en el propio portal
+
+ALTER TABLE sitio.eventos ADD COLUMN IF NOT EXISTS descarga_pdf bytea;
+ALTER TABLE sitio.eventos ADD COLUMN IF NOT EXISTS descarga_nombre varchar(255);
@@ -0,0 +1,12 @@
+-- Orden manual de las líneas de producto de cada servicio
+
+ALTER TABLE sitio.lineaprod ADD COLUMN IF NOT EXISTS orden integer;
+
+-- Conserva el orden actual (por id) en las filas existentes
+UPDATE sitio.lineaprod l
+SET orden = o.posicion
+FROM (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY servicioid ORDER BY id) AS posicion
+    FROM sitio.lineaprod
+) o
+WHERE l.id = o.id AND l.orden IS NULL;
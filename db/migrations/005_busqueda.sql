@@ -0,0 +1,38 @@
+-- Búsqueda de texto completo en español sin distinguir acentos
+-- Requiere el paquete postgresql-contrib (extensión unaccent)
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+-- Configuración "spanish" que además quita los acentos antes de aplicar el stemming
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_ts_config c JOIN pg_namespace n ON n.oid = c.cfgnamespace
+        WHERE n.nspname = 'sitio' AND c.cfgname = 'es_unaccent'
+    ) THEN
+        CREATE TEXT SEARCH CONFIGURATION sitio.es_unaccent (COPY = pg_catalog.spanish);
+        ALTER TEXT SEARCH CONFIGURATION sitio.es_unaccent
+            ALTER MAPPING FOR hword, hword_part, word WITH unaccent, spanish_stem;
+    END IF;
+END
+$$;
+
+-- Índices con las mismas expresiones que usa lib/search.js
+CREATE INDEX IF NOT EXISTS noticias_busqueda_idx ON sitio.noticias USING gin (
+    to_tsvector('sitio.es_unaccent', coalesce(titulo, '') || ' ' || coalesce(noticia, ''))
+);
+CREATE INDEX IF NOT EXISTS eventos_busqueda_idx ON sitio.eventos USING gin (
+    to_tsvector('sitio.es_unaccent', coalesce(titulo, '') || ' ' || coalesce(lugar, '') || ' ' || coalesce(descripcion, ''))
+);
+CREATE INDEX IF NOT EXISTS productos_servicios_busqueda_idx ON sitio.productos_servicios USING gin (
+    to_tsvector('sitio.es_unaccent', coalesce(nombre, '') || ' ' || coalesce(descripcion, ''))
+);
+CREATE INDEX IF NOT EXISTS lineaprod_busqueda_idx ON sitio.lineaprod USING gin (
+    to_tsvector('sitio.es_unaccent', coalesce(titulo, '') || ' ' || coalesce(descripcion, ''))
+);
+CREATE INDEX IF NOT EXISTS empresas_busqueda_idx ON sitio.empresas USING gin (
+    to_tsvector('sitio.es_unaccent', coalesce(empresa, '') || ' ' || coalesce(descripcion, '') || ' ' || coalesce(direccion, ''))
+);
+CREATE INDEX IF NOT EXISTS preguntas_busqueda_idx ON sitio.preguntas USING gin (
+    to_tsvector('sitio.es_unaccent', coalesce(pregunta, '') || ' ' || coalesce(respuesta, ''))
+);
@@ -0,0 +1,48 @@
+-- Fecha de última modificación del contenido publicado (lastmod del sitemap)
+
+ALTER TABLE sitio.noticias ADD COLUMN IF NOT EXISTS actualizado timestamptz;
+ALTER TABLE sitio.eventos ADD COLUMN IF NOT EXISTS actualizado timestamptz;
+ALTER TABLE sitio.productos_servicios ADD COLUMN IF NOT EXISTS actualizado timestamptz;
+ALTER TABLE sitio.lineaprod ADD COLUMN IF NOT EXISTS actualizado timestamptz;
+ALTER TABLE sitio.empresas ADD COLUMN IF NOT EXISTS actualizado timestamptz;
+
+-- Las filas existentes toman su fecha de publicación cuando la tienen
+UPDATE sitio.noticias SET actualizado = COALESCE(fecha::timestamptz, now()) WHERE actualizado IS NULL;
+UPDATE sitio.eventos SET actualizado = COALESCE(fechai::timestamptz, now()) WHERE actualizado IS NULL;
+UPDATE sitio.productos_servicios SET actualizado = now() WHERE actualizado IS NULL;
+UPDATE sitio.lineaprod SET actualizado = now() WHERE actualizado IS NULL;
+UPDATE sitio.empresas SET actualizado = now() WHERE actualizado IS NULL;
+
+ALTER TABLE sitio.noticias ALTER COLUMN actualizado SET DEFAULT now(), ALTER COLUMN actualizado SET NOT NULL;
+ALTER TABLE sitio.eventos ALTER COLUMN actualizado SET DEFAULT now(), ALTER COLUMN actualizado SET NOT NULL;
+ALTER TABLE sitio.productos_servicios ALTER COLUMN actualizado SET DEFAULT now(), ALTER COLUMN actualizado SET NOT NULL;
+ALTER TABLE sitio.lineaprod ALTER COLUMN actualizado SET DEFAULT now(), ALTER COLUMN actualizado SET NOT NULL;
+ALTER TABLE sitio.empresas ALTER COLUMN actualizado SET DEFAULT now(), ALTER COLUMN actualizado SET NOT NULL;
+
+-- Cualquier UPDATE renueva la fecha, sin depender de la aplicación
+CREATE OR REPLACE FUNCTION sitio.tocar_actualizado() RETURNS trigger AS $$
+BEGIN
+    NEW.actualizado := now();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS noticias_actualizado ON sitio.noticias;
+CREATE TRIGGER noticias_actualizado BEFORE UPDATE ON sitio.noticias
+    FOR EACH ROW EXECUTE FUNCTION sitio.tocar_actualizado();
+
+DROP TRIGGER IF EXISTS eventos_actualizado ON sitio.eventos;
+CREATE TRIGGER eventos_actualizado BEFORE UPDATE ON sitio.eventos
+    FOR EACH ROW EXECUTE FUNCTION sitio.tocar_actualizado();
+
+DROP TRIGGER IF EXISTS productos_servicios_actualizado ON sitio.productos_servicios;
+CREATE TRIGGER productos_servicios_actualizado BEFORE UPDATE ON sitio.productos_servicios
+    FOR EACH ROW EXECUTE FUNCTION sitio.tocar_actualizado();
+
+DROP TRIGGER IF EXISTS lineaprod_actualizado ON sitio.lineaprod;
+CREATE TRIGGER lineaprod_actualizado BEFORE UPDATE ON sitio.lineaprod
+    FOR EACH ROW EXECUTE FUNCTION sitio.tocar_actualizado();
+
+DROP TRIGGER IF EXISTS empresas_actualizado ON sitio.empresas;
+CREATE TRIGGER empresas_actualizado BEFORE UPDATE ON sitio.empresas
+    FOR EACH ROW EXECUTE FUNCTION sitio.tocar_actualizado();
@@ -0,0 +1,155 @@
+/**
+ * Contenido de ejemplo para una base de datos de desarrollo.
+ *
+ * Las imágenes son rutas relativas a la raíz del proyecto (se usan las de
+ * assets/images). Las fechas de los eventos se calculan a partir de hoy
+ * para que siempre haya eventos próximos.
+ */
+
+function daysFromToday(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+    presentacion: {
+        titulo: 'Grupo Empresarial GEOCUBA',
+        descripcion: 'Soluciones integrales en geodesia, cartografía, hidrografía, catastro y geoinformación para el desarrollo del país.',
+        qsomos: 'Somos el grupo empresarial cubano especializado en las ciencias geográficas y la geoinformación. Nuestras empresas territoriales y especializadas prestan servicios en todo el país.',
+        objetivo: 'Satisfacer las necesidades de información geoespacial de la economía, la defensa y la sociedad con productos y servicios de calidad.',
+        qhacemos: 'Levantamientos topográficos y geodésicos, cartografía digital e impresa, hidrografía, catastro, teledetección, sistemas de información geográfica y artes gráficas.',
+        clogramos: 'Más de tres décadas de experiencia, presencia en todas las provincias y un equipo de especialistas con formación de alto nivel.',
+        imagen: 'assets/images/herophoto-1-1476x1155.png',
+        img: 'assets/images/logo-30-aniversario-597x618.png'
+    },
+
+    noticias: [
+        {
+            titulo: 'GEOCUBA celebra su aniversario con una jornada científica',
+            noticia: 'Especialistas de todas las empresas del grupo presentaron resultados de investigación en geodesia, cartografía y teledetección.\n\nLa jornada incluyó una exposición de productos cartográficos y el reconocimiento a trabajadores destacados.',
+            destacar: true,
+            fecha: daysFromToday(-3),
+            imagen: 'assets/images/dsc-3013-1200x797.jpg'
+        },
+        {
+            titulo: 'Nuevo servicio de levantamientos con multicópteros',
+            noticia: 'Los levantamientos fotogramétricos con aeronaves no tripuladas permiten obtener ortofotos y modelos digitales del terreno en menos tiempo y con alta precisión.',
+            link: 'https://www.geocuba.cu',
+            destacar: true,
+            fecha: daysFromToday(-12),
+            imagen: 'assets/images/multicoptero-600x450.jpeg'
+        },
+        {
+            titulo: 'Artes gráficas amplía su capacidad de impresión',
+            noticia: 'La incorporación de nuevo equipamiento de impresión offset permitirá atender la demanda de mapas, atlas, libros y material promocional.',
+            destacar: false,
+            fecha: daysFromToday(-40),
+            imagen: 'assets/images/imprenta-2-700x450.jpeg'
+        },
+        {
+            titulo: 'Actualización del catastro en municipios del oriente',
+            noticia: 'Brigadas de GEOCUBA Oriente Sur concluyeron la actualización catastral de varios asentamientos rurales, con apoyo de imágenes satelitales recientes.',
+            destacar: false,
+            fecha: daysFromToday(-400),
+            imagen: null
+        }
+    ],
+
+    eventos: [
+        {
+            titulo: 'Convención Internacional de Geomática',
+            lugar: 'Palacio de Convenciones, La Habana',
+            fechai: daysFromToday(30),
+            fechaf: daysFromToday(34),
+            descripcion: 'Encuentro de especialistas en geodesia, cartografía, percepción remota y sistemas de información geográfica.',
+            link: 'https://www.geocuba.cu',
+            imagen: 'assets/images/dsc04312-1200x900.jpg'
+        },
+        {
+            titulo: 'Taller de cartografía digital',
+            lugar: 'Sede de GEOCUBA IC, La Habana',
+            fechai: daysFromToday(10),
+            fechaf: null,
+            descripcion: 'Taller práctico sobre producción de mapas digitales con herramientas de código abierto.',
+            imagen: 'assets/images/dsc-2951-600x399.jpg'
+        },
+        {
+            titulo: 'Feria de artes gráficas',
+            lugar: 'Pabexpo, La Habana',
+            fechai: daysFromToday(-60),
+            fechaf: daysFromToday(-57),
+            descripcion: 'Exposición de productos impresos y servicios editoriales.',
+            imagen: 'assets/images/newspaper-mockup-1-scaled-1741x1083.jpg'
+        }
+    ],
+
+    empresas: [
+        {
+            empresa: 'GEOCUBA Investigación y Consultoría',
+            descripcion: 'Investigación, desarrollo e innovación en ciencias geográficas y geoinformación.',
+            direccion: 'Calle 4 No. 304, Miramar, Playa, La Habana',
+            telf: '72041234',
+            mail: 'info@geocuba.cu',
+            sitio: 'www.geocuba.cu',
+            especializada: true,
+            logo: 'assets/images/logo-geoem-100-816x815.jpg'
+        },
+        {
+            empresa: 'GEOCUBA Geodesia',
+            descripcion: 'Redes geodésicas, nivelación y mediciones de alta precisión.',
+            direccion: 'Loma y 39, Nuevo Vedado, La Habana',
+            telf: '78811234, 78815678',
+            mail: 'geodesia@geocuba.cu',
+            sitio: null,
+            especializada: true,
+            logo: 'assets/images/logo-geodesa-100-1036x1036.jpeg'
+        },
+        {
+            empresa: 'GEOCUBA Oriente Sur',
+            descripcion: 'Servicios de topografía, catastro y cartografía en las provincias orientales.',
+            direccion: 'Santiago de Cuba',
+            telf: '22641234',
+            mail: 'orientesur@geocuba.cu',
+            sitio: null,
+            especializada: false,
+            logo: null
+        }
+    ],
+
+    servicios: [
+        {
+            nombre: 'Artes Gráficas',
+            descripcion: 'Diseño e impresión de mapas, atlas, libros, revistas y material promocional.',
+            contacto: '5355555555',
+            img: 'assets/images/depositphotos-46686217-stock-photo-modern-printing-house-1023x682.jpeg',
+            img2: 'assets/images/large-offset-printing-press-magazine-running-long-roll-off-paper-production-line-industrial-printer-machine-640w-1.webp',
+            lineas: [
+                { titulo: 'Impresión offset', descripcion: 'Tiradas medianas y grandes con alta calidad de color.', img: 'assets/images/imagen2-1069x802.png' },
+                { titulo: 'Maquetas y modelos', descripcion: 'Maquetas físicas del relieve y de proyectos constructivos.', img: 'assets/images/maqueta-192x163.png' },
+                { titulo: 'Productos promocionales', descripcion: 'Plegables, carteles y catálogos.', img: null }
+            ]
+        },
+        {
+            nombre: 'Geomática',
+            descripcion: 'Levantamientos topográficos, fotogrametría con drones y sistemas de información geográfica.',
+            contacto: '5355555556',
+            img: 'assets/images/a-86-600x400.jpeg',
+            img2: null,
+            lineas: []
+        }
+    ],
+
+    preguntas: [
+        {
+            pregunta: '¿Cómo solicito un servicio?',
+            respuesta: 'Puede contactarnos por el botón de WhatsApp de cada servicio, por correo electrónico o en cualquiera de nuestras empresas territoriales.',
+            fecha: daysFromToday(-100)
+        },
+        {
+            pregunta: '¿Trabajan con personas naturales?',
+            respuesta: 'Sí. Atendemos a personas naturales, trabajadores por cuenta propia, mipymes y entidades estatales.',
+            fecha: daysFromToday(-100)
+        }
+    ]
+};
@@ -0,0 +1,650 @@
+/**
+ * Administration console for the GEOCUBA Portal
+ *
+ * Builds list, create, edit and delete screens for every content type
+ * from the RESOURCES definitions below, using the /api/admin endpoints.
+ * Requires text-utils.js for the formatTextContent previews.
+ */
+
+(function() {
+    // ================= RESOURCE DEFINITIONS =================
+    // Field types: text, textarea, url, email, date, checkbox, image, file, password, select
+
+    const RESOURCES = {
+        noticias: {
+            title: 'Noticias',
+            endpoint: '/api/admin/noticias',
+            columns: [['titulo', 'Título'], ['fecha', 'Fecha'], ['destacar', 'Destacada']],
+            fields: [
+                { name: 'titulo', label: 'Título', type: 'text', required: true },
+                { name: 'noticia', label: 'Noticia', type: 'textarea', required: true, preview: true, rows: 10 },
+                { name: 'link', label: 'Enlace', type: 'url' },
+                { name: 'fecha', label: 'Fecha', type: 'date' },
+                { name: 'destacar', label: 'Destacar en la página de inicio', type: 'checkbox' },
+                { name: 'imagen', label: 'Imagen', type: 'image', entity: 'noticias', flag: 'tiene_imagen' }
+            ]
+        },
+
+        eventos: {
+            title: 'Eventos',
+            endpoint: '/api/admin/eventos',
+            columns: [['titulo', 'Título'], ['lugar', 'Lugar'], ['fechai', 'Inicio'], ['fechaf', 'Fin']],
+            fields: [
+                { name: 'titulo', label: 'Título', type: 'text', required: true },
+                { name: 'lugar', label: 'Lugar', type: 'text', required: true },
+                { name: 'fechai', label: 'Fecha de inicio', type: 'date', required: true },
+                { name: 'fechaf', label: 'Fecha de fin', type: 'date' },
+                { name: 'descripcion', label: 'Descripción', type: 'textarea', preview: true, rows: 6 },
+                { name: 'link', label: 'Enlace "Más información"', type: 'url' },
+                { name: 'descarga', label: 'URL externa del folleto', type: 'url' },
+                { name: 'descarga_pdf', label: 'Folleto PDF', type: 'file', accept: 'application/pdf', flag: 'tiene_pdf' },
+                { name: 'imagen', label: 'Imagen', type: 'image', entity: 'eventos', flag: 'tiene_imagen' }
+            ]
+        },
+
+        empresas: {
+            title: 'Empresas',
+            endpoint: '/api/admin/empresas',
+            columns: [['empresa', 'Empresa'], ['mail', 'Correo'], ['telf', 'Teléfono'], ['especializada', 'Especializada']],
+            fields: [
+                { name: 'empresa', label: 'Nombre', type: 'text', required: true },
+                { name: 'descripcion', label: 'Descripción', type: 'textarea', rows: 5 },
+                { name: 'direccion', label: 'Dirección', type: 'text' },
+                { name: 'telf', label: 'Teléfono (sin +53)', type: 'text' },
+                { name: 'mail', label: 'Correo electrónico', type: 'email' },
+                { name: 'sitio', label: 'Sitio web (sin https://)', type: 'text', placeholder: 'www.geocuba.cu' },
+                { name: 'especializada', label: 'Empresa especializada', type: 'checkbox' },
+                { name: 'logo', label: 'Logo', type: 'image', entity: 'empresas', flag: 'tiene_logo' }
+            ]
+        },
+
+        servicios: {
+            title: 'Servicios',
+            endpoint: '/api/admin/servicios',
+            columns: [['nombre', 'Nombre'], ['contacto', 'WhatsApp'], ['lineas', 'Líneas']],
+            fields: [
+                { name: 'nombre', label: 'Nombre', type: 'text', required: true },
+                { name: 'descripcion', label: 'Descripción', type: 'textarea', preview: true, rows: 6 },
+                { name: 'contacto', label: 'WhatsApp (con código de país)', type: 'text', placeholder: '5359955686' },
+                { name: 'link', label: 'Enlace', type: 'text' },
+                { name: 'img', label: 'Imagen principal', type: 'image', entity: 'servicios', flag: 'tiene_img' },
+                { name: 'img2', label: 'Imagen secundaria', type: 'image', entity: 'servicios', flag: 'tiene_img2' }
+            ],
+            children: 'lineas'
+        },
+
+        lineas: {
+            title: 'Líneas de producto',
+            columns: [['titulo', 'Título'], ['descripcion', 'Descripción']],
+            fields: [
+                { name: 'titulo', label: 'Título', type: 'text', required: true },
+                { name: 'descripcion', label: 'Descripción', type: 'textarea', preview: true, rows: 4 },
+                { name: 'img', label: 'Imagen', type: 'image', entity: 'lineas', flag: 'tiene_img' }
+            ],
+            nested: true
+        },
+
+        preguntas: {
+            title: 'Preguntas frecuentes',
+            endpoint: '/api/admin/preguntas',
+            columns: [['pregunta', 'Pregunta'], ['fecha', 'Fecha']],
+            fields: [
+                { name: 'pregunta', label: 'Pregunta', type: 'text', required: true },
+                { name: 'respuesta', label: 'Respuesta', type: 'textarea', required: true, preview: true, rows: 6 },
+                { name: 'fecha', label: 'Fecha', type: 'date' }
+            ]
+        },
+
+        presentacion: {
+            title: 'Presentación',
+            endpoint: '/api/admin/presentacion',
+            single: true,
+            fields: [
+                { name: 'titulo', label: 'Título', type: 'text' },
+                { name: 'descripcion', label: 'Descripción', type: 'textarea', rows: 3 },
+                { name: 'qsomos', label: 'Pestaña "Quiénes somos"', type: 'textarea', preview: true, rows: 6 },
+                { name: 'objetivo', label: 'Pestaña "Objetivo"', type: 'textarea', preview: true, rows: 6 },
+                { name: 'qhacemos', label: 'Pestaña "Qué hacemos"', type: 'textarea', preview: true, rows: 6 },
+                { name: 'clogramos', label: 'Pestaña "Cómo lo logramos"', type: 'textarea', preview: true, rows: 6 },
+                { name: 'img', label: 'Imagen principal', type: 'image', entity: 'presentacion', flag: 'tiene_img' },
+                { name: 'imagen', label: 'Imagen secundaria', type: 'image', entity: 'presentacion', flag: 'tiene_imagen' }
+            ]
+        },
+
+        usuarios: {
+            title: 'Usuarios',
+            endpoint: '/api/usuarios',
+            role: 'admin',
+            json: true,
+            // There is no single-user endpoint; the form reads from the list
+            fromList: true,
+            columns: [['usuario', 'Usuario'], ['nombre', 'Nombre'], ['rol', 'Rol'], ['activo', 'Activo']],
+            fields: [
+                { name: 'usuario', label: 'Usuario', type: 'text', required: true, createOnly: true },
+                { name: 'nombre', label: 'Nombre', type: 'text' },
+                { name: 'rol', label: 'Rol', type: 'select', options: ['viewer', 'editor', 'admin'], required: true },
+                { name: 'password', label: 'Contraseña (mínimo 10 caracteres)', type: 'password', hint: 'Déjela vacía para no cambiarla.' },
+                { name: 'activo', label: 'Activo', type: 'checkbox', editOnly: true }
+            ]
+        },
+
+        bloqueos: {
+            title: 'Bloqueos de IP',
+            endpoint: '/api/admin/bans',
+            role: 'admin',
+            // Read-only list, keyed by IP instead of id (see renderBans)
+            bans: true,
+            columns: [['ip', 'IP'], ['reason', 'Motivo'], ['strikes', 'Rechazos'], ['since', 'Desde'], ['until', 'Hasta']]
+        }
+    };
+
+    const ROLE_LEVELS = { viewer: 1, editor: 2, admin: 3 };
+
+    const state = {
+        user: null,
+        csrfToken: null
+    };
+
+    // ================= HELPERS =================
+
+    function escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function canEdit() {
+        return ROLE_LEVELS[state.user.rol] >= ROLE_LEVELS.editor;
+    }
+
+    function showAlert(message, type = 'danger') {
+        const alertBox = document.getElementById('admin-alert');
+        alertBox.className = `alert alert-${type}`;
+        alertBox.textContent = message;
+        window.scrollTo(0, 0);
+        if (type === 'success') {
+            setTimeout(() => alertBox.classList.add('d-none'), 3000);
+        }
+    }
+
+    function clearAlert() {
+        document.getElementById('admin-alert').className = 'alert d-none';
+    }
+
+    // Calls the API with the session cookie and CSRF token
+    async function api(url, options = {}) {
+        const headers = { ...(options.headers || {}) };
+        if (options.method && options.method !== 'GET') {
+            headers['X-CSRF-Token'] = state.csrfToken;
+        }
+
+        const response = await fetch(url, { ...options, headers, credentials: 'same-origin' });
+        if (response.status === 401) {
+            window.location.href = '/admin/login';
+            throw new Error('Sesión expirada');
+        }
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `Error ${response.status}`);
+        }
+        return response.status === 204 ? null : response.json();
+    }
+
+    // Unversioned media URLs are revalidated, so a replaced image shows up at once
+    function imageUrl(entity, id, field) {
+        return `/media/${entity}/${id}/${field}`;
+    }
+
+    function formatCell(value) {
+        if (value === true) return 'Sí';
+        if (value === false) return 'No';
+        const text = String(value === null || value === undefined ? '' : value);
+        return escapeHtml(text.length > 80 ? `${text.slice(0, 80)}…` : text);
+    }
+
+    // ================= LIST SCREEN =================
+
+    async function renderList(key) {
+        const resource = RESOURCES[key];
+        const content = document.getElementById('admin-content');
+        content.innerHTML = '<p class="text-muted">Cargando...</p>';
+
+        try {
+            const rows = await api(resource.endpoint);
+            content.innerHTML = `
+                <div class="d-flex justify-content-between align-items-center mb-3">
+                    <h1 class="h3 mb-0">${resource.title}</h1>
+                    ${canEdit() || resource.role === 'admin' ? '<button class="btn btn-primary" data-action="create">Nuevo</button>' : ''}
+                </div>
+                ${renderTable(resource, rows)}`;
+
+            bindTableActions(content, {
+                create: () => renderForm(key, null),
+                edit: id => renderForm(key, id),
+                remove: id => removeItem(resource.endpoint, id, () => renderList(key))
+            });
+        } catch (error) {
+            content.innerHTML = '';
+            showAlert(`No se pudo cargar ${resource.title.toLowerCase()}: ${error.message}`);
+        }
+    }
+
+    function renderTable(resource, rows, { reorder = false } = {}) {
+        if (rows.length === 0) {
+            return '<p class="text-muted">No hay registros.</p>';
+        }
+
+        const editable = canEdit() || resource.role === 'admin';
+        const header = resource.columns.map(([, label]) => `<th>${label}</th>`).join('');
+        const body = rows.map((row, index) => `
+            <tr>
+                ${resource.columns.map(([name]) => `<td>${formatCell(row[name])}</td>`).join('')}
+                <td class="admin-actions">
+                    ${reorder && editable ? `
+                        <button class="btn btn-sm btn-outline-secondary" data-action="up" data-id="${row.id}" ${index === 0 ? 'disabled' : ''} title="Subir">↑</button>
+                        <button class="btn btn-sm btn-outline-secondary" data-action="down" data-id="${row.id}" ${index === rows.length - 1 ? 'disabled' : ''} title="Bajar">↓</button>
+                    ` : ''}
+                    <button class="btn btn-sm btn-outline-primary" data-action="edit" data-id="${row.id}">${editable ? 'Editar' : 'Ver'}</button>
+                    ${editable ? `<button class="btn btn-sm btn-outline-danger" data-action="remove" data-id="${row.id}">Eliminar</button>` : ''}
+                </td>
+            </tr>`).join('');
+
+        return `
+            <div class="table-responsive">
+                <table class="table table-hover bg-white admin-table">
+                    <thead><tr>${header}<th></th></tr></thead>
+                    <tbody>${body}</tbody>
+                </table>
+            </div>`;
+    }
+
+    function bindTableActions(container, handlers) {
+        container.querySelectorAll('[data-action]').forEach(button => {
+            const handler = handlers[button.dataset.action];
+            if (!handler) return;
+            button.addEventListener('click', () => handler(button.dataset.id ? Number(button.dataset.id) : null));
+        });
+    }
+
+    async function removeItem(url, id, done) {
+        if (!window.confirm('¿Eliminar este registro? Esta acción no se puede deshacer.')) return;
+        try {
+            await api(`${url}/${id}`, { method: 'DELETE' });
+            showAlert('Registro eliminado.', 'success');
+            done();
+        } catch (error) {
+            showAlert(`No se pudo eliminar: ${error.message}`);
+        }
+    }
+
+    // ================= FORM SCREEN =================
+
+    function renderField(field, item, resource, isNew) {
+        const value = item ? item[field.name] : '';
+        const id = `field-${field.name}`;
+        const required = field.required && !(field.type === 'password' && !isNew) ? 'required' : '';
+        const disabled = (field.createOnly && !isNew) || (!canEdit() && resource.role !== 'admin') ? 'disabled' : '';
+
+        if (field.createOnly && !isNew && value === undefined) return '';
+        if (field.editOnly && isNew) return '';
+
+        switch (field.type) {
+            case 'textarea':
+                return `
+                    <div class="mb-3">
+                        <label for="${id}" class="form-label">${field.label}</label>
+                        <textarea id="${id}" name="${field.name}" class="form-control" rows="${field.rows || 4}" ${required} ${disabled}>${escapeHtml(value)}</textarea>
+                        ${field.preview ? `
+                            <small class="text-muted">Vista previa en el portal:</small>
+                            <div class="admin-text-preview formatted-content" data-preview-for="${field.name}"></div>
+                        ` : ''}
+                    </div>`;
+
+            case 'checkbox':
+                return `
+                    <div class="form-check mb-3">
+                        <input type="checkbox" id="${id}" name="${field.name}" class="form-check-input" ${value ? 'checked' : ''} ${disabled}>
+                        <label for="${id}" class="form-check-label">${field.label}</label>
+                    </div>`;
+
+            case 'select':
+                return `
+                    <div class="mb-3">
+                        <label for="${id}" class="form-label">${field.label}</label>
+                        <select id="${id}" name="${field.name}" class="form-select" ${required} ${disabled}>
+                            ${field.options.map(option => `<option value="${option}" ${option === value ? 'selected' : ''}>${option}</option>`).join('')}
+                        </select>
+                    </div>`;
+
+            case 'image':
+            case 'file': {
+                const hasFile = item && item[field.flag];
+                const current = hasFile && field.type === 'image'
+                    ? `<img src="${imageUrl(field.entity, item.id, field.name)}" alt="" class="admin-image-preview" data-image-for="${field.name}">`
+                    : `<img alt="" class="admin-image-preview d-none" data-image-for="${field.name}">`;
+                return `
+                    <div class="mb-3">
+                        <label for="${id}" class="form-label">${field.label}</label>
+                        <input type="file" id="${id}" name="${field.name}" class="form-control" accept="${field.accept || 'image/jpeg,image/png,image/gif,image/webp'}" ${disabled}>
+                        ${field.type === 'image' ? current : ''}
+                        ${hasFile && field.type === 'file' ? '<small class="text-muted d-block">Hay un archivo guardado.</small>' : ''}
+                        ${hasFile && !disabled ? `
+                            <div class="form-check mt-2">
+                                <input type="checkbox" id="${id}-remove" name="quitar_${field.name}" class="form-check-input">
+                                <label for="${id}-remove" class="form-check-label">Quitar archivo actual</label>
+                            </div>` : ''}
+                    </div>`;
+            }
+
+            default: {
+                const inputType = { url: 'url', email: 'email', date: 'date', password: 'password' }[field.type] || 'text';
+                return `
+                    <div class="mb-3">
+                        <label for="${id}" class="form-label">${field.label}</label>
+                        <input type="${inputType}" id="${id}" name="${field.name}" class="form-control"
+                            value="${field.type === 'password' ? '' : escapeHtml(value)}" placeholder="${escapeHtml(field.placeholder || '')}"
+                            autocomplete="${field.type === 'password' ? 'new-password' : 'off'}" ${required} ${disabled}>
+                        ${field.hint && !isNew ? `<small class="text-muted">${field.hint}</small>` : ''}
+                    </div>`;
+            }
+        }
+    }
+
+    // Live preview of formatTextContent and of the selected images
+    function bindPreviews(form) {
+        form.querySelectorAll('[data-preview-for]').forEach(preview => {
+            const textarea = form.elements[preview.dataset.previewFor];
+            const update = () => {
+                preview.innerHTML = window.formatTextContent(textarea.value);
+            };
+            textarea.addEventListener('input', update);
+            update();
+        });
+
+        form.querySelectorAll('input[type="file"]').forEach(input => {
+            const preview = form.querySelector(`[data-image-for="${input.name}"]`);
+            if (!preview) return;
+            input.addEventListener('change', () => {
+                const file = input.files[0];
+                if (!file) return;
+                // Data URL rather than blob:, which the portal's CSP doesn't allow
+                const reader = new FileReader();
+                reader.onload = () => {
+                    preview.src = reader.result;
+                    preview.classList.remove('d-none');
+                };
+                reader.readAsDataURL(file);
+            });
+        });
+    }
+
+    // Collects the form into FormData (or a plain object for JSON endpoints)
+    function collectForm(form, resource, isNew) {
+        const data = new FormData();
+        const json = {};
+
+        resource.fields.forEach(field => {
+            const input = form.elements[field.name];
+            if (!input || input.disabled) return;
+
+            if (field.type === 'checkbox') {
+                data.append(field.name, input.checked ? 'true' : 'false');
+                json[field.name] = input.checked;
+            } else if (field.type === 'image' || field.type === 'file') {
+                if (input.files[0]) data.append(field.name, input.files[0]);
+                const remove = form.elements[`quitar_${field.name}`];
+                if (remove && remove.checked) data.append(`quitar_${field.name}`, 'true');
+            } else if (field.type === 'password') {
+                if (input.value || isNew) {
+                    data.append(field.name, input.value);
+                    json[field.name] = input.value;
+                }
+            } else {
+                data.append(field.name, input.value);
+                json[field.name] = input.value;
+            }
+        });
+
+        return resource.json
+            ? { body: JSON.stringify(json), headers: { 'Content-Type': 'application/json' } }
+            : { body: data, headers: {} };
+    }
+
+    /**
+     * Shows the create/edit form for a resource.
+     *
+     * @param {string} key - Resource key
+     * @param {number|null} id - Item to edit, or null to create
+     * @param {Object} [parent] - Parent service for product lines
+     */
+    async function renderForm(key, id, parent = null) {
+        clearAlert();
+        const resource = RESOURCES[key];
+        const baseUrl = parent ? `${RESOURCES.servicios.endpoint}/${parent.id}/lineas` : resource.endpoint;
+        const isNew = id === null && !resource.single;
+        const content = document.getElementById('admin-content');
+        content.innerHTML = '<p class="text-muted">Cargando...</p>';
+
+        let item = null;
+        try {
+            if (resource.single) {
+                item = await api(resource.endpoint);
+            } else if (!isNew) {
+                item = parent || resource.fromList
+                    ? (await api(baseUrl)).find(row => row.id === id)
+                    : await api(`${baseUrl}/${id}`);
+            }
+        } catch (error) {
+            showAlert(`No se pudo cargar el registro: ${error.message}`);
+            return;
+        }
+
+        const editable = canEdit() || resource.role === 'admin';
+        const backTo = parent ? () => renderForm('servicios', parent.id) : () => renderList(key);
+        const heading = resource.single
+            ? resource.title
+            : `${isNew ? 'Nuevo registro' : 'Editar registro'} - ${parent ? `${resource.title} de ${escapeHtml(parent.nombre)}` : resource.title}`;
+
+        content.innerHTML = `
+            <div class="d-flex justify-content-between align-items-center mb-3">
+                <h1 class="h3 mb-0">${heading}</h1>
+                ${resource.single ? '' : '<button class="btn btn-outline-secondary" data-action="back">Volver</button>'}
+            </div>
+            <form id="resource-form" class="bg-white p-3 rounded border" novalidate>
+                ${resource.fields.map(field => renderField(field, item, resource, isNew)).join('')}
+                ${editable ? '<button type="submit" class="btn btn-primary">Guardar</button>' : ''}
+            </form>
+            <div id="children-container" class="mt-4"></div>`;
+
+        const form = document.getElementById('resource-form');
+        bindPreviews(form);
+        const back = content.querySelector('[data-action="back"]');
+        if (back) back.addEventListener('click', backTo);
+
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            if (!form.reportValidity()) return;
+
+            const { body, headers } = collectForm(form, resource, isNew);
+            const url = resource.single ? resource.endpoint : (isNew ? baseUrl : `${baseUrl}/${id}`);
+            try {
+                const saved = await api(url, { method: isNew ? 'POST' : 'PUT', body, headers });
+                showAlert('Cambios guardados.', 'success');
+                if (resource.single) {
+                    renderForm(key, null);
+                } else if (resource.children && isNew) {
+                    // Continue with the product lines of the new service
+                    renderForm(key, saved.id);
+                } else {
+                    backTo();
+                }
+            } catch (error) {
+                showAlert(`No se pudo guardar: ${error.message}`);
+            }
+        });
+
+        if (resource.children && !isNew) {
+            renderChildren(item);
+        }
+    }
+
+    // ================= PRODUCT LINES OF A SERVICE =================
+
+    async function renderChildren(servicio) {
+        const resource = RESOURCES.lineas;
+        const container = document.getElementById('children-container');
+        const url = `${RESOURCES.servicios.endpoint}/${servicio.id}/lineas`;
+
+        try {
+            const lineas = await api(url);
+            container.innerHTML = `
+                <div class="d-flex justify-content-between align-items-center mb-3">
+                    <h2 class="h4 mb-0">${resource.title}</h2>
+                    ${canEdit() ? '<button class="btn btn-primary" data-action="create">Nueva línea</button>' : ''}
+                </div>
+                ${lineas.length === 0 ? '<p class="text-muted">Sin líneas de producto: servicios.html mostrará las líneas predeterminadas.</p>' : ''}
+                ${lineas.length > 0 ? renderTable(resource, lineas, { reorder: true }) : ''}`;
+
+            const move = async (lineaId, offset) => {
+                const ids = lineas.map(linea => linea.id);
+                const index = ids.indexOf(lineaId);
+                const target = index + offset;
+                if (target < 0 || target >= ids.length) return;
+                [ids[index], ids[target]] = [ids[target], ids[index]];
+                try {
+                    await api(`${url}/orden`, {
+                        method: 'PUT',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ orden: ids })
+                    });
+                    renderChildren(servicio);
+                } catch (error) {
+                    showAlert(`No se pudo reordenar: ${error.message}`);
+                }
+            };
+
+            bindTableActions(container, {
+                create: () => renderForm('lineas', null, servicio),
+                edit: lineaId => renderForm('lineas', lineaId, servicio),
+                remove: lineaId => removeItem(url, lineaId, () => renderChildren(servicio)),
+                up: lineaId => move(lineaId, -1),
+                down: lineaId => move(lineaId, 1)
+            });
+        } catch (error) {
+            showAlert(`No se pudieron cargar las líneas de producto: ${error.message}`);
+        }
+    }
+
+    // ================= IP BANS =================
+
+    // Temporary bans set by the server; the only action is lifting one early
+    async function renderBans() {
+        const resource = RESOURCES.bloqueos;
+        const content = document.getElementById('admin-content');
+        content.innerHTML = '<p class="text-muted">Cargando...</p>';
+
+        try {
+            const bans = await api(resource.endpoint);
+            const header = resource.columns.map(([, label]) => `<th>${label}</th>`).join('');
+            const body = bans.map(ban => `
+                <tr>
+                    ${resource.columns.map(([name]) => `<td>${formatCell(ban[name])}</td>`).join('')}
+                    <td class="admin-actions">
+                        <button class="btn btn-sm btn-outline-danger" data-ip="${escapeHtml(ban.ip)}">Levantar</button>
+                    </td>
+                </tr>`).join('');
+
+            content.innerHTML = `
+                <h1 class="h3 mb-3">${resource.title}</h1>
+                ${bans.length === 0 ? '<p class="text-muted">No hay direcciones bloqueadas.</p>' : `
+                <div class="table-responsive">
+                    <table class="table table-hover bg-white admin-table">
+                        <thead><tr>${header}<th></th></tr></thead>
+                        <tbody>${body}</tbody>
+                    </table>
+                </div>`}`;
+
+            content.querySelectorAll('[data-ip]').forEach(button => {
+                button.addEventListener('click', async () => {
+                    try {
+                        await api(`${resource.endpoint}/${encodeURIComponent(button.dataset.ip)}`, { method: 'DELETE' });
+                        showAlert('Bloqueo levantado.', 'success');
+                        renderBans();
+                    } catch (error) {
+                        showAlert(`No se pudo levantar el bloqueo: ${error.message}`);
+                    }
+                });
+            });
+        } catch (error) {
+            content.innerHTML = '';
+            showAlert(`No se pudieron cargar los bloqueos: ${error.message}`);
+        }
+    }
+
+    // ================= NAVIGATION =================
+
+    function openSection(key) {
+        clearAlert();
+        document.querySelectorAll('#section-menu .nav-link').forEach(link => {
+            link.classList.toggle('active', link.dataset.section === key);
+        });
+        window.location.hash = key;
+
+        if (RESOURCES[key].single) {
+            renderForm(key, null);
+        } else if (RESOURCES[key].bans) {
+            renderBans();
+        } else {
+            renderList(key);
+        }
+    }
+
+    function renderMenu() {
+        const menu = document.getElementById('section-menu');
+        menu.innerHTML = Object.entries(RESOURCES)
+            .filter(([, resource]) => !resource.nested)
+            .filter(([, resource]) => !resource.role || ROLE_LEVELS[state.user.rol] >= ROLE_LEVELS[resource.role])
+            .map(([key, resource]) => `
+                <li class="nav-item">
+                    <a href="#${key}" class="nav-link" data-section="${key}">${resource.title}</a>
+                </li>`)
+            .join('');
+
+        menu.querySelectorAll('.nav-link').forEach(link => {
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                openSection(link.dataset.section);
+            });
+        });
+    }
+
+    async function logout() {
+        try {
+            await api('/auth/logout', { method: 'POST' });
+        } finally {
+            window.location.href = '/admin/login';
+        }
+    }
+
+    // Single initialization point
+    document.addEventListener('DOMContentLoaded', async () => {
+        try {
+            const session = await api('/auth/session');
+            state.user = session.user;
+            state.csrfToken = session.csrfToken;
+        } catch (error) {
+            console.error('Error loading session:', error);
+            return;
+        }
+
+        document.getElementById('current-user').textContent = `${state.user.nombre || state.user.usuario} (${state.user.rol})`;
+        document.getElementById('logout-button').addEventListener('click', logout);
+
+        renderMenu();
+        const initial = window.location.hash.slice(1);
+        openSection(RESOURCES[initial] && !RESOURCES[initial].nested ? initial : 'noticias');
+    });
+})();
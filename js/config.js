@@ -6,13 +6,14 @@
     // Determine the current protocol (http: or https:)
     const currentProtocol = window.location.protocol;
     const currentHostname = window.location.hostname || 'localhost';
-    const currentPort = window.location.port || '8030';
+    // An empty port means the protocol's default one
+    const currentPort = window.location.port || (currentProtocol === 'https:' ? '443' : '80');
 
-    // Use server-injected configuration or fallback to defaults
+    // Use server-injected configuration or fallback to the page's own origin
     window.API_CONFIG = window.SERVER_CONFIG || {
         server: currentHostname,
         port: currentPort,
-        apiUrl: `http://${currentHostname}:${currentPort}/api`
+        apiUrl: `${currentProtocol}//${window.location.host || currentHostname}/api`
     };
 
     // Function to get the API URL for a specific endpoint - GLOBAL SCOPE
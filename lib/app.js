@@ -0,0 +1,136 @@
+const express = require('express');
+const helmet = require('helmet');
+const cors = require('cors');
+const path = require('path');
+const security = require('./middleware/security');
+const { defaultBodyParsers } = require('./middleware/body');
+const html = require('./middleware/html');
+const createApiRouter = require('./routes');
+const createAuthRouter = require('./routes/auth');
+const createAdminPagesRouter = require('./routes/admin-pages');
+const createMediaRouter = require('./routes/media');
+const createFeedsRouter = require('./routes/feeds');
+const createPagesRouter = require('./routes/pages');
+const createSitemapRouter = require('./routes/sitemap');
+const createHealthRouter = require('./routes/health');
+const { loadSession } = require('./auth/sessions');
+const { createResponseCache } = require('./response-cache');
+const { createPostgresRepos } = require('./repos');
+const { logger: defaultLogger } = require('./logger');
+const { REQUEST_ID_HEADER, requestLogging } = require('./middleware/request-log');
+const { requestMetrics } = require('./middleware/metrics');
+const { trustedProxies, createBanList, ipAccessControl } = require('./ip-access');
+const { isWorker } = require('./cluster');
+const { getConfig } = require('./config');
+const { sharedRateLimitStore, sharedBanList, shareCacheInvalidations } = require('./shared-state');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+/**
+ * Creates the Express application for the given server mode.
+ * The API routes are the same in every mode; the mode only switches
+ * the security layers and static file serving on or off.
+ *
+ * @param {Object} options
+ * @param {Object} options.mode - Mode settings from lib/modes.js
+ * @param {import('pg').Pool} [options.pool] - PostgreSQL connection pool
+ * @param {Object} [options.repos] - Content repositories (lib/repos); PostgreSQL over pool by default
+ * @param {Object} [options.logger] - Logger for access and error lines (lib/logger.js)
+ * @param {string} [options.origin] - Origin of the absolute links in pages, feeds and the sitemap; the public address by default
+ * @return {express.Application}
+ */
+function createApp({ mode, pool, repos = createPostgresRepos(pool), logger = defaultLogger, origin = html.publicOrigin() }) {
+    const config = getConfig();
+    const app = express();
+    const cache = createResponseCache();
+    // In multi-worker mode the bans and the rate-limit hits are kept by the primary (lib/shared-state.js)
+    if (isWorker) shareCacheInvalidations(cache);
+    // IPs that keep hitting the whitelist or the rate limit are banned for a while
+    const bans = mode.whitelist || mode.rateLimit ? (isWorker ? sharedBanList() : createBanList()) : null;
+    const strike = reason => req => bans.strike(req.ip, reason);
+
+    // req.ip is read from X-Forwarded-For only behind the proxies in TRUST_PROXY
+    app.set('trust proxy', trustedProxies.size > 0 ? trustedProxies.ranges : false);
+
+    // Request ID, req.log and the access log line, for every request
+    app.use(requestLogging({ logger }));
+    app.use(requestMetrics());
+
+    // Health checks answer before the whitelist, busy guard and rate limit
+    app.use(createHealthRouter({ pool, mode, cache }));
+
+    // ================= SECURITY MIDDLEWARE =================
+    app.disable('x-powered-by');
+    app.use(ipAccessControl({ bans }));
+    // With HTTPS_REDIRECT the HTTP server only redirects; the health checks above still answer on it
+    if (mode.https && config.HTTPS_REDIRECT) {
+        app.use(security.httpsRedirect({ httpsPort: config.HTTPS_PORT, allowedHosts: config.ALLOWED_REDIRECT_DOMAINS }));
+    }
+    app.use(cors({ exposedHeaders: [REQUEST_ID_HEADER] })); // Allow CORS requests
+
+    // HSTS follows the HSTS_* settings in every mode, not Helmet's default
+    if (mode.helmet) app.use(helmet({ ...mode.helmet, strictTransportSecurity: false }));
+    if (config.HSTS_MAX_AGE > 0) {
+        app.use(security.strictTransportSecurity({
+            maxAge: config.HSTS_MAX_AGE,
+            includeSubDomains: config.HSTS_INCLUDE_SUBDOMAINS,
+            preload: config.HSTS_PRELOAD
+        }));
+    }
+    if (mode.securityHeaders) app.use(security.securityHeaders());
+    if (mode.whitelist) app.use(security.pathWhitelist(security.ALLOWED_PATTERNS, { onReject: strike('whitelist') }));
+    if (mode.toobusy) app.use(security.tooBusyGuard(mode.toobusy));
+
+    // Request body size limits (content management routes parse their own bodies)
+    app.use(defaultBodyParsers());
+
+    // Resolve the logged-in user from the session cookie
+    if (!repos.readOnly) app.use(['/api', '/auth', '/admin'], loadSession({ pool }));
+
+    if (mode.rateLimit) app.use(['/api/', '/media/', '/feeds/', /^\/sitemap(-\d+)?\.xml$/], security.apiRateLimit({
+        ...mode.rateLimit,
+        onReject: strike('rate-limit'),
+        store: isWorker ? sharedRateLimitStore('api') : undefined
+    }));
+    if (mode.timeout) app.use(security.requestTimeout(mode.timeout));
+
+    // ================= STATIC FILES SERVING =================
+    if (mode.serveStatic) {
+        if (mode.ipDetection) app.use(html.detectIpAccess());
+        if (mode.templateVariables) app.use(html.templateVariables());
+        if (mode.serverConfigScript) app.use(html.serverConfigScript());
+
+        // Admin console pages; the views are only reachable through these routes
+        app.use('/admin', createAdminPagesRouter());
+        app.use('/views', (req, res) => res.status(404).end());
+        app.use(createPagesRouter({ repos, origin }));
+        app.use(createSitemapRouter({ repos, origin }));
+
+        app.use('/assets', express.static(path.join(ROOT_DIR, 'assets')));
+        app.use('/js', express.static(path.join(ROOT_DIR, 'js')));
+        app.use('/css', express.static(path.join(ROOT_DIR, 'css')));
+        app.use(express.static(ROOT_DIR)); // Serve all HTML files from root directory
+    }
+
+    // ================= API ENDPOINTS =================
+    if (repos.readOnly) {
+        // Sign-in, content management and reports need PostgreSQL
+        app.use(['/auth', '/api/admin', '/api/usuarios', '/api/reports'], (req, res) => {
+            res.status(503).json({ error: 'El portal funciona en modo de solo lectura, sin base de datos.' });
+        });
+    }
+    app.use('/auth', createAuthRouter({ pool, mode }));
+    app.use('/api', createApiRouter({ pool, mode, cache, repos, bans }));
+    app.use('/media', createMediaRouter({ repos }));
+    app.use('/feeds', createFeedsRouter({ repos, origin }));
+
+    // Global error handling middleware
+    app.use((err, req, res, next) => {
+        req.log.error('Unhandled error', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    });
+
+    return app;
+}
+
+module.exports = { createApp, ROOT_DIR };
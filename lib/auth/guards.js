@@ -0,0 +1,54 @@
+/**
+ * Authorization middlewares: login, roles and CSRF
+ */
+
+const crypto = require('crypto');
+
+// Higher levels include the permissions of the lower ones
+const ROLE_LEVELS = { viewer: 1, editor: 2, admin: 3 };
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Requires a logged-in user.
+ */
+function requireAuth(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required.' });
+    }
+    next();
+}
+
+/**
+ * Requires a logged-in user with at least the given role.
+ *
+ * @param {'admin'|'editor'|'viewer'} role - Minimum role
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required.' });
+        }
+        if ((ROLE_LEVELS[req.user.rol] || 0) < ROLE_LEVELS[role]) {
+            return res.status(403).json({ error: 'Insufficient permissions.' });
+        }
+        next();
+    };
+}
+
+/**
+ * Requires the session's CSRF token in the X-CSRF-Token header for
+ * state-changing requests made with a session cookie.
+ */
+function csrfProtection(req, res, next) {
+    if (SAFE_METHODS.includes(req.method) || !req.session) return next();
+
+    const provided = Buffer.from(req.get('x-csrf-token') || '');
+    const expected = Buffer.from(req.session.csrfToken);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return res.status(403).json({ error: 'Invalid CSRF token.' });
+    }
+    next();
+}
+
+module.exports = { ROLE_LEVELS, requireAuth, requireRole, csrfProtection };
@@ -0,0 +1,57 @@
+/**
+ * Password hashing with scrypt (node crypto)
+ *
+ * Hashes are stored as "scrypt$N$r$p$salt$hash" with base64 salt and hash,
+ * so the cost parameters can be raised later without breaking old hashes.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const COST = { N: 16384, r: 8, p: 1 };
+const MIN_PASSWORD_LENGTH = 10;
+
+/**
+ * @param {string} password - Plain text password
+ * @return {Promise<string>} Encoded scrypt hash
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const hash = await scrypt(password, salt, KEY_LENGTH, COST);
+    return ['scrypt', COST.N, COST.r, COST.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * @param {string} password - Plain text password
+ * @param {string} encoded - Hash produced by hashPassword
+ * @return {Promise<boolean>} True when the password matches
+ */
+async function verifyPassword(password, encoded) {
+    const parts = String(encoded || '').split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+
+    const [, N, r, p, saltB64, hashB64] = parts;
+    const expected = Buffer.from(hashB64, 'base64');
+    const actual = await scrypt(password, Buffer.from(saltB64, 'base64'), expected.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p)
+    });
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Returns an error message when the password is too weak, or null.
+ */
+function checkPasswordStrength(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres.`;
+    }
+    return null;
+}
+
+module.exports = { hashPassword, verifyPassword, checkPasswordStrength };
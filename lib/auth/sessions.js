@@ -0,0 +1,140 @@
+/**
+ * Server-side sessions referenced by a signed, HTTP-only cookie
+ *
+ * The cookie holds "<session id>.<HMAC signature>"; the session row in
+ * sitio.sesiones holds the user and the CSRF token for that session.
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('../config');
+const { logger } = require('../logger');
+
+const COOKIE_NAME = 'geocuba_sid';
+const SESSION_HOURS = getConfig().SESSION_HOURS;
+
+let sessionSecret = getConfig().SESSION_SECRET;
+if (!sessionSecret) {
+    // Without a configured secret sessions do not survive a restart (required in production)
+    logger.warn('SESSION_SECRET is not set; using a random secret for this process.');
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+}
+
+function sign(value) {
+    return crypto.createHmac('sha256', sessionSecret).update(value).digest('base64url');
+}
+
+// Returns the session id when the signature is valid, otherwise null
+function unsign(cookieValue) {
+    const index = String(cookieValue || '').lastIndexOf('.');
+    if (index <= 0) return null;
+
+    const value = cookieValue.slice(0, index);
+    const signature = Buffer.from(cookieValue.slice(index + 1));
+    const expected = Buffer.from(sign(value));
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        return null;
+    }
+    return value;
+}
+
+// Minimal Cookie header parser (only the session cookie is needed)
+function readCookie(req, name) {
+    const header = req.headers.cookie || '';
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index < 0) continue;
+        if (part.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+function cookieOptions(req) {
+    return {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        path: '/'
+    };
+}
+
+/**
+ * Creates a session for the user and sets the cookie on the response.
+ *
+ * @return {Promise<{id: string, csrfToken: string}>}
+ */
+async function createSession(pool, req, res, user) {
+    const id = crypto.randomBytes(32).toString('hex');
+    const csrfToken = crypto.randomBytes(32).toString('hex');
+
+    await pool.query(`
+        INSERT INTO sitio.sesiones (id, usuario_id, csrf_token, expira)
+        VALUES ($1, $2, $3, now() + make_interval(hours => $4))
+    `, [id, user.id, csrfToken, SESSION_HOURS]);
+
+    res.cookie(COOKIE_NAME, `${id}.${sign(id)}`, {
+        ...cookieOptions(req),
+        maxAge: SESSION_HOURS * 60 * 60 * 1000
+    });
+    return { id, csrfToken };
+}
+
+async function destroySession(pool, req, res) {
+    if (req.session) {
+        await pool.query('DELETE FROM sitio.sesiones WHERE id = $1', [req.session.id]);
+    }
+    res.clearCookie(COOKIE_NAME, cookieOptions(req));
+}
+
+/**
+ * Loads req.user and req.session from the session cookie, if any.
+ * Requests without the cookie never touch the database.
+ */
+function loadSession({ pool }) {
+    return async (req, res, next) => {
+        req.user = null;
+        req.session = null;
+
+        const sessionId = unsign(readCookie(req, COOKIE_NAME));
+        if (!sessionId) return next();
+
+        try {
+            const result = await pool.query(`
+                SELECT s.id AS session_id, s.csrf_token, u.id, u.usuario, u.nombre, u.rol
+                FROM sitio.sesiones s
+                JOIN sitio.usuarios u ON u.id = s.usuario_id
+                WHERE s.id = $1 AND s.expira > now() AND u.activo
+            `, [sessionId]);
+
+            const row = result.rows[0];
+            if (row) {
+                req.session = { id: row.session_id, csrfToken: row.csrf_token };
+                req.user = { id: row.id, usuario: row.usuario, nombre: row.nombre, rol: row.rol };
+            }
+            next();
+        } catch (error) {
+            req.log.error('Error loading session', error);
+            next();
+        }
+    };
+}
+
+/**
+ * Removes expired sessions; called periodically by the server.
+ */
+async function purgeExpiredSessions(pool) {
+    await pool.query('DELETE FROM sitio.sesiones WHERE expira <= now()');
+}
+
+module.exports = {
+    COOKIE_NAME,
+    createSession,
+    destroySession,
+    loadSession,
+    purgeExpiredSessions
+};
@@ -0,0 +1,159 @@
+/**
+ * Access to sitio.usuarios, including the failed-login lockout
+ */
+
+const { hashPassword, verifyPassword } = require('./passwords');
+const { getConfig } = require('../config');
+
+const ROLES = ['admin', 'editor', 'viewer'];
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,64}$/;
+const MAX_FAILED_LOGINS = getConfig().AUTH_MAX_FAILED_LOGINS;
+const LOCKOUT_MINUTES = getConfig().AUTH_LOCKOUT_MINUTES;
+
+const PUBLIC_COLUMNS = 'id, usuario, nombre, rol, activo, bloqueado_hasta, ultimo_acceso, creado';
+
+// Hash verified when the user does not exist, so response times don't reveal valid usernames
+let dummyHash = null;
+async function getDummyHash() {
+    if (!dummyHash) dummyHash = await hashPassword('dummy-password-for-timing');
+    return dummyHash;
+}
+
+/**
+ * Returns an error message when the username is not valid, or null.
+ */
+function checkUsername(usuario) {
+    if (typeof usuario !== 'string' || !USERNAME_PATTERN.test(usuario)) {
+        return 'El usuario debe tener entre 3 y 64 caracteres (letras, números, ".", "_" o "-").';
+    }
+    return null;
+}
+
+/**
+ * Checks the credentials and applies the lockout policy.
+ *
+ * @return {Promise<{user?: Object, error?: string}>} The user on success,
+ *     otherwise 'invalid' or 'locked'
+ */
+async function authenticate(pool, usuario, password) {
+    const result = await pool.query(`
+        SELECT id, usuario, nombre, rol, activo, password_hash, intentos_fallidos, bloqueado_hasta
+        FROM sitio.usuarios
+        WHERE usuario = $1
+    `, [usuario]);
+    const user = result.rows[0];
+
+    if (!user || !user.activo) {
+        await verifyPassword(password, await getDummyHash());
+        return { error: 'invalid' };
+    }
+
+    if (user.bloqueado_hasta && new Date(user.bloqueado_hasta) > new Date()) {
+        return { error: 'locked' };
+    }
+
+    const valid = await verifyPassword(password, user.password_hash);
+    if (!valid) {
+        // Lock the account once the attempts reach the limit
+        await pool.query(`
+            UPDATE sitio.usuarios
+            SET intentos_fallidos = CASE WHEN intentos_fallidos + 1 >= $2 THEN 0 ELSE intentos_fallidos + 1 END,
+                bloqueado_hasta = CASE WHEN intentos_fallidos + 1 >= $2
+                                       THEN now() + make_interval(mins => $3) ELSE bloqueado_hasta END
+            WHERE id = $1
+        `, [user.id, MAX_FAILED_LOGINS, LOCKOUT_MINUTES]);
+        return { error: 'invalid' };
+    }
+
+    await pool.query(`
+        UPDATE sitio.usuarios
+        SET intentos_fallidos = 0, bloqueado_hasta = NULL, ultimo_acceso = now()
+        WHERE id = $1
+    `, [user.id]);
+
+    const { password_hash, intentos_fallidos, bloqueado_hasta, ...publicUser } = user;
+    return { user: publicUser };
+}
+
+async function listUsers(pool) {
+    const result = await pool.query(`SELECT ${PUBLIC_COLUMNS} FROM sitio.usuarios ORDER BY usuario ASC`);
+    return result.rows;
+}
+
+async function createUser(pool, { usuario, nombre, password, rol }) {
+    const passwordHash = await hashPassword(password);
+    const result = await pool.query(`
+        INSERT INTO sitio.usuarios (usuario, nombre, password_hash, rol)
+        VALUES ($1, $2, $3, $4)
+        RETURNING ${PUBLIC_COLUMNS}
+    `, [usuario, nombre || null, passwordHash, rol]);
+    return result.rows[0];
+}
+
+// Fields updateUser changes; a request without any of them has nothing to save
+const UPDATABLE_FIELDS = ['nombre', 'password', 'rol', 'activo'];
+
+/**
+ * Updates the given fields; a new password also clears any lockout.
+ * A new password or role, or deactivating the user, ends their sessions
+ * in the same statement, so a stolen session doesn't outlive the change.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {number} id
+ * @param {Object} fields - nombre, password, rol and activo
+ * @param {Object} [options]
+ * @param {string} [options.keepSessionId] - Session that survives the change, e.g. the one
+ *     of a user changing their own password
+ * @return {Promise<Object|null>} The user, or null when it does not exist
+ */
+async function updateUser(pool, id, { nombre, password, rol, activo }, { keepSessionId = null } = {}) {
+    const sets = [];
+    const values = [];
+    const add = (column, value) => {
+        values.push(value);
+        sets.push(`${column} = $${values.length}`);
+    };
+
+    if (nombre !== undefined) add('nombre', nombre || null);
+    if (rol !== undefined) add('rol', rol);
+    if (activo !== undefined) add('activo', activo);
+    if (password !== undefined) {
+        add('password_hash', await hashPassword(password));
+        sets.push('intentos_fallidos = 0', 'bloqueado_hasta = NULL');
+    }
+    if (sets.length === 0) throw new Error('updateUser called without fields to update');
+
+    values.push(id);
+    const idParam = values.length;
+    const revokeSessions = password !== undefined || rol !== undefined || activo === false;
+    if (revokeSessions) values.push(keepSessionId);
+    const result = await pool.query(`
+        WITH updated AS (
+            UPDATE sitio.usuarios SET ${sets.join(', ')}
+            WHERE id = $${idParam}
+            RETURNING ${PUBLIC_COLUMNS}
+        )${revokeSessions ? `, revoked AS (
+            DELETE FROM sitio.sesiones
+            WHERE usuario_id IN (SELECT id FROM updated) AND id IS DISTINCT FROM $${values.length}::varchar
+        )` : ''}
+        SELECT * FROM updated
+    `, values);
+    return result.rows[0] || null;
+}
+
+// Sessions go with the user (ON DELETE CASCADE)
+async function deleteUser(pool, id) {
+    const result = await pool.query('DELETE FROM sitio.usuarios WHERE id = $1', [id]);
+    return result.rowCount > 0;
+}
+
+module.exports = {
+    ROLES,
+    UPDATABLE_FIELDS,
+    checkUsername,
+    authenticate,
+    listUsers,
+    createUser,
+    updateUser,
+    deleteUser
+};
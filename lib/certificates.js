@@ -0,0 +1,137 @@
+/**
+ * TLS certificates for the HTTPS server
+ *
+ * The certificate and key are read from TLS_CERT_FILE and TLS_KEY_FILE.
+ * When they are missing and TLS_SELF_SIGNED is on (the development
+ * default) a self-signed certificate is generated for this machine's
+ * names and addresses. Browsers warn about it, so it is only meant for
+ * development.
+ *
+ * The files are checked every TLS_RELOAD_INTERVAL_MS and a renewed
+ * certificate replaces the old one on the running servers; connections
+ * already open keep the one they started with.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const selfsigned = require('selfsigned');
+const { getConfig } = require('./config');
+const { logger } = require('./logger');
+const { registry } = require('./metrics');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SELF_SIGNED_DAYS = 365;
+// Renewal tools write the key and the certificate one after the other
+const RELOAD_SETTLE_MS = 1000;
+
+// Certificate and key paths from the configuration, relative to the project directory
+function certificateFiles() {
+    const config = getConfig();
+    return {
+        certFile: path.resolve(ROOT_DIR, config.TLS_CERT_FILE),
+        keyFile: path.resolve(ROOT_DIR, config.TLS_KEY_FILE)
+    };
+}
+
+/**
+ * Writes a self-signed certificate when the certificate files are
+ * missing and TLS_SELF_SIGNED allows it.
+ *
+ * @param {Object} options
+ * @param {string[]} options.hosts - Names and IP addresses the certificate is valid for
+ * @return {Promise<boolean>} Whether a certificate was generated
+ * @throws {Error} When the files are missing and may not be generated
+ */
+async function ensureCertificate({ hosts }) {
+    const { certFile, keyFile } = certificateFiles();
+    const missing = [certFile, keyFile].filter(file => !fs.existsSync(file));
+    if (missing.length === 0) return false;
+
+    if (!getConfig().TLS_SELF_SIGNED) {
+        throw new Error(`TLS certificate files not found: ${missing.join(', ')}. Set TLS_CERT_FILE and TLS_KEY_FILE, or TLS_SELF_SIGNED=true for development`);
+    }
+
+    const names = [...new Set(['localhost', '127.0.0.1', '::1', ...hosts])];
+    const notBeforeDate = new Date();
+    const notAfterDate = new Date(notBeforeDate.getTime() + SELF_SIGNED_DAYS * 24 * 60 * 60 * 1000);
+    const pems = await selfsigned.generate([{ name: 'commonName', value: names.find(name => !net.isIP(name)) }], {
+        keySize: 2048,
+        algorithm: 'sha256',
+        notBeforeDate,
+        notAfterDate,
+        extensions: [
+            { name: 'basicConstraints', cA: false },
+            { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+            { name: 'extKeyUsage', serverAuth: true },
+            { name: 'subjectAltName', altNames: names.map(name => (net.isIP(name) ? { type: 7, ip: name } : { type: 2, value: name })) }
+        ]
+    });
+
+    fs.mkdirSync(path.dirname(certFile), { recursive: true });
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+    fs.writeFileSync(keyFile, pems.private, { mode: 0o600 });
+    fs.writeFileSync(certFile, pems.cert);
+    logger.warn('Generated a self-signed TLS certificate for development; browsers will warn about it', {
+        certFile,
+        names,
+        validTo: notAfterDate.toISOString()
+    });
+    return true;
+}
+
+/**
+ * Reads the certificate and key and checks that they belong together.
+ *
+ * @return {{cert: Buffer, key: Buffer, certificate: crypto.X509Certificate}}
+ * @throws {Error} When a file can't be read or the pair doesn't match
+ */
+function loadCertificate() {
+    const { certFile, keyFile } = certificateFiles();
+    const cert = fs.readFileSync(certFile);
+    const key = fs.readFileSync(keyFile);
+    const certificate = new crypto.X509Certificate(cert);
+    if (!certificate.checkPrivateKey(crypto.createPrivateKey(key))) {
+        throw new Error(`The certificate in ${certFile} does not match the key in ${keyFile}`);
+    }
+    if (Date.parse(certificate.validTo) < Date.now()) {
+        logger.warn('The TLS certificate has expired', { certFile, validTo: certificate.validTo });
+    }
+    registry.setGauge('portal_tls_certificate_expiry_timestamp_seconds', 'Expiry time of the TLS certificate being served',
+        () => Date.parse(certificate.validTo) / 1000);
+    return { cert, key, certificate };
+}
+
+/**
+ * Reloads the certificate on the servers whenever its files change.
+ * A certificate that fails to load is logged and the servers keep the
+ * current one.
+ *
+ * @param {import('https').Server[]} servers
+ */
+function watchCertificate(servers) {
+    const { certFile, keyFile } = certificateFiles();
+    let timer = null;
+
+    function reload() {
+        timer = null;
+        try {
+            const { cert, key, certificate } = loadCertificate();
+            servers.forEach(server => server.setSecureContext({ cert, key }));
+            logger.info('TLS certificate reloaded', { subject: certificate.subject, validTo: certificate.validTo });
+        } catch (error) {
+            logger.error('TLS certificate reload failed; still serving the previous one', error);
+        }
+    }
+
+    const onChange = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs && current.ino === previous.ino) return;
+        clearTimeout(timer);
+        timer = setTimeout(reload, RELOAD_SETTLE_MS);
+    };
+    const interval = getConfig().TLS_RELOAD_INTERVAL_MS;
+    [certFile, keyFile].forEach(file => fs.watchFile(file, { interval, persistent: false }, onChange));
+}
+
+module.exports = { certificateFiles, ensureCertificate, loadCertificate, watchCertificate };
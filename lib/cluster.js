@@ -0,0 +1,342 @@
+/**
+ * Multi-worker mode
+ *
+ * With CLUSTER_WORKERS > 0 server.js becomes a primary process that
+ * forks that many workers, each running the whole portal on the shared
+ * port. The primary only manages the workers and holds the state they
+ * share (lib/shared-state.js), reached over the cluster IPC channel:
+ * workers call() methods of the primary and get the result back, or
+ * notify() it without waiting, and the primary broadcast()s changes or
+ * asks every worker for something (askWorkers, e.g. their metrics).
+ *
+ * SIGHUP to the primary replaces the workers one at a time: a new worker
+ * is started and, once it listens, the old one stops accepting
+ * connections and finishes the requests in flight before exiting.
+ */
+
+const cluster = require('cluster');
+
+const MESSAGE_PREFIX = 'portal:';
+// Calls to the primary that take longer are given up on (callers fail open)
+const CALL_TIMEOUT_MS = 2000;
+// A worker that dies this soon after starting is respawned after RESPAWN_DELAY_MS, doubled on every
+// such death in a row up to MAX_RESPAWN_DELAY_MS; after MAX_QUICK_DEATHS of them the primary gives up
+const CRASH_LOOP_MS = 5000;
+const RESPAWN_DELAY_MS = 1000;
+const MAX_RESPAWN_DELAY_MS = 30000;
+const MAX_QUICK_DEATHS = 5;
+
+const isWorker = cluster.isWorker;
+
+// ================= WORKER SIDE =================
+
+const pendingCalls = new Map();
+const broadcastListeners = new Map();
+const questionHandlers = new Map();
+const shutdownListeners = [];
+let nextCallId = 0;
+
+if (isWorker) {
+    process.on('message', (message) => {
+        if (!message || typeof message.type !== 'string' || !message.type.startsWith(MESSAGE_PREFIX)) return;
+
+        if (message.type === 'portal:reply') {
+            const call = pendingCalls.get(message.id);
+            if (!call) return;
+            pendingCalls.delete(message.id);
+            clearTimeout(call.timer);
+            if (message.error) call.reject(new Error(message.error));
+            else call.resolve(message.result);
+        } else if (message.type === 'portal:broadcast') {
+            (broadcastListeners.get(message.channel) || []).forEach(listener => listener(message.data));
+        } else if (message.type === 'portal:shutdown') {
+            shutdownListeners.forEach(listener => listener());
+        } else if (message.type === 'portal:ask') {
+            answer(message);
+        }
+    });
+}
+
+function send(message) {
+    if (!process.connected) return false;
+    process.send(message);
+    return true;
+}
+
+/**
+ * Calls a method of the primary's shared state.
+ *
+ * @param {string} method
+ * @param {...*} args - Must survive JSON serialization
+ * @return {Promise<*>} The result; rejects after CALL_TIMEOUT_MS or when the primary is gone
+ */
+function call(method, ...args) {
+    return new Promise((resolve, reject) => {
+        const id = ++nextCallId;
+        const timer = setTimeout(() => {
+            pendingCalls.delete(id);
+            reject(new Error(`No answer from the primary to ${method} in ${CALL_TIMEOUT_MS} ms`));
+        }, CALL_TIMEOUT_MS);
+        pendingCalls.set(id, { resolve, reject, timer });
+        if (!send({ type: 'portal:call', id, method, args })) {
+            clearTimeout(timer);
+            pendingCalls.delete(id);
+            reject(new Error('Not connected to the primary process'));
+        }
+    });
+}
+
+// Calls a method of the primary without waiting for the result
+function notify(method, ...args) {
+    send({ type: 'portal:notify', method, args });
+}
+
+// Runs listener(data) for every broadcast on the channel
+function onBroadcast(channel, listener) {
+    if (!broadcastListeners.has(channel)) broadcastListeners.set(channel, []);
+    broadcastListeners.get(channel).push(listener);
+}
+
+// Runs listener() when the primary retires this worker (rolling restart or stop)
+function onShutdownRequest(listener) {
+    shutdownListeners.push(listener);
+}
+
+// Answers a question of the primary (askWorkers) with the handler registered for it
+async function answer({ id, name }) {
+    const handler = questionHandlers.get(name);
+    let result;
+    let error;
+    try {
+        if (!handler) throw new Error(`No answer for ${name} in this worker`);
+        result = await handler();
+    } catch (handlerError) {
+        error = handlerError.message;
+    }
+    send({ type: 'portal:answer', id, result, error });
+}
+
+// Registers the function that answers the primary's askWorkers(name)
+function onQuestion(name, handler) {
+    questionHandlers.set(name, handler);
+}
+
+// Tells the primary that every server of this worker is listening
+function workerReady() {
+    send({ type: 'portal:ready' });
+}
+
+// ================= PRIMARY SIDE =================
+
+// Sends data to every worker listening on the channel
+function broadcast(channel, data) {
+    for (const worker of Object.values(cluster.workers)) {
+        if (worker.isConnected()) worker.send({ type: 'portal:broadcast', channel, data });
+    }
+}
+
+let nextQuestionId = 0;
+
+/**
+ * Asks every worker the question registered with onQuestion(name).
+ *
+ * @param {string} name
+ * @param {number} timeoutMs - Workers that take longer are left out
+ * @return {Promise<{worker: number, result: *}[]>} The answers, by worker id
+ */
+function askWorkers(name, timeoutMs) {
+    const id = ++nextQuestionId;
+    const workers = Object.values(cluster.workers).filter(worker => worker.isConnected());
+
+    return Promise.all(workers.map(worker => new Promise((resolve) => {
+        const onMessage = (message) => {
+            if (!message || message.type !== 'portal:answer' || message.id !== id) return;
+            done(message.error ? null : { worker: worker.id, result: message.result });
+        };
+        const timer = setTimeout(() => done(null), timeoutMs);
+        function done(answerOrNull) {
+            clearTimeout(timer);
+            worker.off('message', onMessage);
+            resolve(answerOrNull);
+        }
+        worker.on('message', onMessage);
+        worker.send({ type: 'portal:ask', id, name });
+    }))).then(answers => answers.filter(Boolean).sort((a, b) => a.worker - b.worker));
+}
+
+// Answers the calls and notifications of the workers with the given handlers
+function serveSharedState(handlers, logger) {
+    cluster.on('message', async (worker, message) => {
+        if (!message || (message.type !== 'portal:call' && message.type !== 'portal:notify')) return;
+
+        const handler = handlers[message.method];
+        let result;
+        let error;
+        try {
+            if (!handler) throw new Error(`Unknown shared state method ${message.method}`);
+            result = await handler(worker, ...message.args);
+        } catch (handlerError) {
+            logger.error(`Error in shared state method ${message.method}`, handlerError);
+            error = handlerError.message;
+        }
+
+        if (message.type === 'portal:call' && worker.isConnected()) {
+            worker.send({ type: 'portal:reply', id: message.id, result, error });
+        }
+    });
+}
+
+// Resolves when the worker has reported ready; rejects if it exits before that
+function whenReady(worker) {
+    return new Promise((resolve, reject) => {
+        const onMessage = (message) => {
+            if (message && message.type === 'portal:ready') {
+                worker.off('exit', onExit);
+                worker.off('message', onMessage);
+                resolve(worker);
+            }
+        };
+        const onExit = (code, signal) => {
+            worker.off('message', onMessage);
+            reject(new Error(`Worker ${worker.process.pid} exited before listening (${signal || `code ${code}`})`));
+        };
+        worker.on('message', onMessage);
+        worker.once('exit', onExit);
+    });
+}
+
+// Asks the worker to finish its requests and exit; kills it after timeoutMs
+function retire(worker, timeoutMs) {
+    return new Promise((resolve) => {
+        worker.retiring = true;
+        if (worker.isDead()) return resolve();
+        const timer = setTimeout(() => worker.process.kill('SIGKILL'), timeoutMs);
+        worker.once('exit', () => {
+            clearTimeout(timer);
+            resolve();
+        });
+        if (worker.isConnected()) worker.send({ type: 'portal:shutdown' });
+        else worker.process.kill('SIGTERM');
+    });
+}
+
+/**
+ * Runs the primary process: forks the workers, replaces the ones that
+ * die, rolls them over on SIGHUP and stops them on SIGTERM/SIGINT.
+ * When workers keep dying right after starting it stops them all and
+ * exits with code 1, so the service manager can report the failure.
+ *
+ * @param {Object} options
+ * @param {number} options.workers - Number of workers
+ * @param {number} options.shutdownTimeoutMs - Time a worker gets to finish its requests
+ * @param {{handlers: Object<string, function>, releaseWorker: function}} options.sharedState
+ *     From createSharedStateHost (lib/shared-state.js)
+ * @param {import('./logger').Logger} options.logger
+ */
+function runPrimary({ workers, shutdownTimeoutMs, sharedState, logger }) {
+    let restarting = false;
+    let stopping = false;
+    // Workers in a row that died within CRASH_LOOP_MS of starting
+    let quickDeaths = 0;
+
+    function fork() {
+        const worker = cluster.fork();
+        worker.startedAt = Date.now();
+        setTimeout(() => {
+            if (!worker.isDead()) quickDeaths = 0;
+        }, CRASH_LOOP_MS).unref();
+        return worker;
+    }
+
+    serveSharedState(sharedState.handlers, logger);
+
+    cluster.on('exit', (worker, code, signal) => {
+        sharedState.releaseWorker(worker);
+        // A new worker that fails during a rolling restart is not retried: the old ones keep serving.
+        // An old worker that dies during one is replaced by the restart itself
+        if (worker.retiring || worker.probation || worker.replacing || stopping) return;
+
+        if (Date.now() - worker.startedAt >= CRASH_LOOP_MS) {
+            quickDeaths = 0;
+            logger.warn('Worker died; starting a new one', { pid: worker.process.pid, code, signal });
+            fork();
+            return;
+        }
+
+        quickDeaths++;
+        if (quickDeaths >= MAX_QUICK_DEATHS) {
+            logger.error(`${quickDeaths} workers in a row died right after starting; stopping`, { pid: worker.process.pid, code, signal });
+            shutdown(1);
+            return;
+        }
+        const delayMs = Math.min(RESPAWN_DELAY_MS * 2 ** (quickDeaths - 1), MAX_RESPAWN_DELAY_MS);
+        logger.warn(`Worker died right after starting; starting a new one in ${delayMs} ms`, { pid: worker.process.pid, code, signal });
+        setTimeout(() => {
+            if (!stopping) fork();
+        }, delayMs);
+    });
+
+    async function rollingRestart() {
+        if (restarting || stopping) {
+            logger.warn('Rolling restart already in progress; signal ignored');
+            return;
+        }
+        restarting = true;
+        logger.info('Rolling restart started', { workers: Object.keys(cluster.workers).length });
+
+        const oldWorkers = Object.values(cluster.workers).filter(worker => !worker.retiring);
+        oldWorkers.forEach((worker) => { worker.replacing = true; });
+
+        try {
+            for (const oldWorker of oldWorkers) {
+                if (stopping) break;
+                const candidate = fork();
+                candidate.probation = true;
+                const newWorker = await whenReady(candidate);
+                newWorker.probation = false;
+                logger.info('Worker replaced', { old: oldWorker.process.pid, new: newWorker.process.pid });
+                await retire(oldWorker, shutdownTimeoutMs);
+            }
+            logger.info('Rolling restart finished');
+        } catch (error) {
+            // The old workers keep serving; the new code probably fails to start
+            logger.error('Rolling restart stopped', error);
+        } finally {
+            restarting = false;
+            oldWorkers.forEach((worker) => { worker.replacing = false; });
+            // Old workers that died and were not replaced before the restart stopped
+            if (!stopping) {
+                oldWorkers.filter(worker => worker.isDead() && !worker.retiring).forEach(() => fork());
+            }
+        }
+    }
+
+    async function shutdown(exitCode = 0) {
+        if (stopping) return;
+        stopping = true;
+        logger.info('Stopping the workers...');
+        await Promise.all(Object.values(cluster.workers).map(worker => retire(worker, shutdownTimeoutMs)));
+        logger.info('All workers stopped');
+        process.exit(exitCode);
+    }
+
+    process.on('SIGHUP', rollingRestart);
+    process.on('SIGTERM', () => shutdown());
+    process.on('SIGINT', () => shutdown());
+
+    logger.info(`Primary process ${process.pid} starting ${workers} workers (kill -HUP ${process.pid} restarts them one by one)`);
+    for (let i = 0; i < workers; i++) fork();
+}
+
+module.exports = {
+    isWorker,
+    call,
+    notify,
+    onBroadcast,
+    onShutdownRequest,
+    onQuestion,
+    workerReady,
+    broadcast,
+    askWorkers,
+    runPrimary
+};
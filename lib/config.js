@@ -0,0 +1,339 @@
+/**
+ * Central configuration
+ *
+ * Every setting the portal reads is declared once in SETTINGS with its
+ * type and default. Values come from, highest precedence first: the
+ * environment, .env.<profile>, .env, the profile defaults in PROFILES
+ * and the SETTINGS defaults. The profile is --env=<name>, NODE_ENV or
+ * "development".
+ *
+ * The whole configuration is checked when it is first loaded and every
+ * problem is reported at once, so the server refuses to start with a
+ * typo in .env instead of failing on the first request that needs it.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const dotenv = require('dotenv');
+const { MODES } = require('./modes');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const MASK = '********';
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+// Keywords accepted in TRUST_PROXY besides addresses and ranges
+const RANGE_KEYWORDS = ['loopback', 'linklocal', 'uniquelocal'];
+
+/**
+ * Settings by environment variable name.
+ * type: string, int, port, boolean, enum (with values), list, hosts or ranges
+ * (comma separated lists). secret: masked when the configuration is printed.
+ */
+const SETTINGS = {
+    NODE_ENV: { type: 'enum', values: ['development', 'production', 'test'], default: 'development' },
+    SERVER_MODE: { type: 'enum', values: Object.keys(MODES), default: 'standard' },
+    PORT: { type: 'port', default: 8080 },
+    CLUSTER_WORKERS: { type: 'int', min: 0, default: 0 },
+    CLUSTER_SHUTDOWN_TIMEOUT_MS: { type: 'int', min: 1000, default: 30000 },
+    SERVER: { type: 'string', default: 'localhost' },
+    PRODUCTION_SERVER: { type: 'string', default: '' },
+    ALLOWED_REDIRECT_DOMAINS: { type: 'hosts', default: [] },
+
+    // PORT + 1 when unset
+    HTTPS_PORT: { type: 'port', default: null },
+    TLS_CERT_FILE: { type: 'string', default: 'cert/cert.pem' },
+    TLS_KEY_FILE: { type: 'string', default: 'cert/key.pem' },
+    TLS_SELF_SIGNED: { type: 'boolean', default: false },
+    TLS_RELOAD_INTERVAL_MS: { type: 'int', min: 1000, default: 10000 },
+    HTTPS_REDIRECT: { type: 'boolean', default: false },
+    HSTS_MAX_AGE: { type: 'int', min: 0, default: 0 },
+    HSTS_INCLUDE_SUBDOMAINS: { type: 'boolean', default: false },
+    HSTS_PRELOAD: { type: 'boolean', default: false },
+
+    DATA_BACKEND: { type: 'enum', values: ['postgres', 'snapshot'], default: 'postgres' },
+    SNAPSHOT_FILE: { type: 'string', default: '' },
+    DB_HOST: { type: 'string', default: '' },
+    DB_PORT: { type: 'port', default: 5432 },
+    DB_USER: { type: 'string', default: '' },
+    DB_PASSWORD: { type: 'string', default: '', secret: true },
+    DB_NAME: { type: 'string', default: '' },
+    DB_MAINTENANCE_NAME: { type: 'string', default: 'postgres' },
+
+    SESSION_SECRET: { type: 'string', default: '', secret: true },
+    SESSION_HOURS: { type: 'int', min: 1, default: 8 },
+    AUTH_MAX_FAILED_LOGINS: { type: 'int', min: 1, default: 5 },
+    AUTH_LOCKOUT_MINUTES: { type: 'int', min: 1, default: 15 },
+    USER_PASSWORD: { type: 'string', default: '', secret: true },
+
+    REPORTS_API_KEY: { type: 'list', default: [], secret: true },
+    REPORTS_STATEMENT_TIMEOUT_MS: { type: 'int', min: 1, default: 5000 },
+    METRICS_API_KEY: { type: 'list', default: [], secret: true },
+    READY_DB_TIMEOUT_MS: { type: 'int', min: 1, default: 2000 },
+
+    API_CACHE_MAX_ENTRIES: { type: 'int', min: 0, default: 500 },
+    IMAGE_MAX_BYTES: { type: 'int', min: 1, default: 2 * 1024 * 1024 },
+    PDF_MAX_BYTES: { type: 'int', min: 1, default: 10 * 1024 * 1024 },
+
+    TRUST_PROXY: { type: 'ranges', default: [] },
+    IP_ALLOWLIST: { type: 'ranges', default: [] },
+    IP_DENYLIST: { type: 'ranges', default: [] },
+    BAN_THRESHOLD: { type: 'int', min: 0, default: 30 },
+    BAN_WINDOW_MS: { type: 'int', min: 1, default: 10 * 60 * 1000 },
+    BAN_DURATION_MS: { type: 'int', min: 1, default: 60 * 60 * 1000 },
+
+    SITEMAP_MAX_URLS: { type: 'int', min: 1, max: 50000, default: 50000 },
+    ROBOTS_DISALLOW_ALL: { type: 'boolean', default: false },
+    ROBOTS_ALLOW: { type: 'list', default: [] },
+    ROBOTS_DISALLOW: { type: 'list', default: ['/admin', '/api/', '/auth/'] },
+    ROBOTS_CRAWL_DELAY: { type: 'int', min: 0, default: 0 },
+    ROBOTS_BLOCKED_AGENTS: { type: 'list', default: [] },
+
+    LOG_LEVEL: { type: 'enum', values: LOG_LEVELS, default: 'info' },
+    LOG_FILE: { type: 'string', default: '' },
+    LOG_MAX_SIZE: { type: 'int', min: 1024, default: 10 * 1024 * 1024 },
+    LOG_MAX_FILES: { type: 'int', min: 1, default: 14 },
+    LOG_REDACT_KEYS: { type: 'list', default: [] }
+};
+
+// Browsers only accept HSTS preload requests of at least a year
+const HSTS_PRELOAD_MIN_AGE = 365 * 24 * 60 * 60;
+
+// Per-environment defaults and the settings each environment requires
+const PROFILES = {
+    development: {
+        // Missing certificates are replaced by a self-signed one
+        defaults: { LOG_LEVEL: 'debug', TLS_SELF_SIGNED: true },
+        required: []
+    },
+    production: {
+        // HSTS for 180 days on HTTPS requests
+        defaults: { LOG_LEVEL: 'info', HSTS_MAX_AGE: 180 * 24 * 60 * 60 },
+        // A random per-process secret would sign everyone out on every restart
+        required: ['SESSION_SECRET']
+    },
+    test: {
+        defaults: { LOG_LEVEL: 'warn' },
+        required: []
+    }
+};
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function splitList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function isRange(entry) {
+    if (RANGE_KEYWORDS.includes(entry)) return true;
+    const [address, prefix, extra] = entry.split('/');
+    const family = net.isIP(address);
+    if (!family || extra !== undefined) return false;
+    return prefix === undefined || (/^\d+$/.test(prefix) && Number(prefix) <= (family === 6 ? 128 : 32));
+}
+
+const HOSTNAME = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i;
+
+/**
+ * Converts a raw string to the type of the setting.
+ * @return {*} The value
+ * @throws {Error} Saying what is wrong with the value
+ */
+function parseValue(setting, raw) {
+    const value = raw.trim();
+    switch (setting.type) {
+        case 'string':
+            return value;
+        case 'int':
+        case 'port': {
+            const min = setting.type === 'port' ? 1 : setting.min;
+            const max = setting.type === 'port' ? 65535 : setting.max;
+            const number = /^-?\d+$/.test(value) ? Number(value) : NaN;
+            if (Number.isNaN(number)) throw new Error('expected a whole number');
+            if (min !== undefined && number < min) throw new Error(`must be at least ${min}`);
+            if (max !== undefined && number > max) throw new Error(`must be at most ${max}`);
+            return number;
+        }
+        case 'boolean':
+            if (/^(true|1|yes)$/i.test(value)) return true;
+            if (/^(false|0|no)$/i.test(value)) return false;
+            throw new Error('expected true or false');
+        case 'enum':
+            if (!setting.values.includes(value)) throw new Error(`expected one of ${setting.values.join(', ')}`);
+            return value;
+        case 'list':
+            return splitList(value);
+        case 'hosts': {
+            const hosts = splitList(value).map(host => host.toLowerCase());
+            const invalid = hosts.filter(host => !HOSTNAME.test(host));
+            if (invalid.length > 0) throw new Error(`not a domain name: ${invalid.join(', ')}; write the name without protocol or path`);
+            return hosts;
+        }
+        case 'ranges': {
+            const ranges = splitList(value);
+            const invalid = ranges.filter(entry => !isRange(entry));
+            if (invalid.length > 0) throw new Error(`not an IP address or CIDR range: ${invalid.join(', ')}`);
+            return ranges;
+        }
+        default:
+            throw new Error(`unknown setting type "${setting.type}"`);
+    }
+}
+
+// Variables of an env file, or {} when it does not exist
+function readEnvFile(file) {
+    return fs.existsSync(file) ? dotenv.parse(fs.readFileSync(file)) : {};
+}
+
+function profileFlag(argv) {
+    const flag = argv.find(arg => arg.startsWith('--env='));
+    return flag ? flag.slice('--env='.length) : undefined;
+}
+
+/**
+ * Reads and checks the configuration.
+ *
+ * Variables from the .env files are also copied to process.env, like
+ * dotenv does, for the libraries that read it (NODE_ENV for Express,
+ * PG* for pg).
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment variables
+ * @param {string[]} [options.argv] - Process arguments (--env=<profile>)
+ * @param {string} [options.dir] - Directory with the .env files
+ * @return {Readonly<Object>} Typed values by variable name, plus `sources`
+ * @throws {ConfigError} With every problem found
+ */
+function loadConfig({ env = process.env, argv = process.argv, dir = ROOT_DIR } = {}) {
+    const baseFile = readEnvFile(path.join(dir, '.env'));
+    const [profile, profileSource] = [
+        [profileFlag(argv), '--env'],
+        [env.NODE_ENV, 'environment'],
+        [baseFile.NODE_ENV, '.env'],
+        [SETTINGS.NODE_ENV.default, 'default']
+    ].find(([name]) => name);
+    if (!Object.prototype.hasOwnProperty.call(PROFILES, profile)) {
+        throw new ConfigError([`NODE_ENV: unknown profile "${profile}", expected one of ${Object.keys(PROFILES).join(', ')}`]);
+    }
+
+    const profileFileName = `.env.${profile}`;
+    const layers = [
+        ['environment', { ...env }],
+        [profileFileName, readEnvFile(path.join(dir, profileFileName))],
+        ['.env', baseFile]
+    ];
+
+    for (const [, variables] of layers.slice(1)) {
+        for (const [name, value] of Object.entries(variables)) {
+            if (env[name] === undefined) env[name] = value;
+        }
+    }
+    env.NODE_ENV = profile;
+
+    const values = { NODE_ENV: profile };
+    const sources = { NODE_ENV: profileSource };
+    const problems = [];
+
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+        if (name === 'NODE_ENV') continue;
+
+        // Empty values count as unset, except for lists, where they mean an empty list
+        const layer = layers.find(([, variables]) => {
+            const raw = variables[name];
+            return raw !== undefined && (raw.trim() !== '' || setting.type === 'list');
+        });
+        const profileDefault = PROFILES[profile].defaults[name];
+
+        if (layer) {
+            try {
+                values[name] = parseValue(setting, layer[1][name]);
+                sources[name] = layer[0];
+            } catch (error) {
+                problems.push(`${name}: ${error.message} (got "${layer[1][name].trim()}" from ${layer[0]})`);
+            }
+        } else if (profileDefault !== undefined) {
+            values[name] = profileDefault;
+            sources[name] = `${profile} profile`;
+        } else {
+            values[name] = setting.default;
+            sources[name] = 'default';
+        }
+    }
+
+    for (const name of PROFILES[profile].required) {
+        if (sources[name] === 'default' && !problems.some(problem => problem.startsWith(`${name}:`))) {
+            problems.push(`${name}: required in the ${profile} profile`);
+        }
+    }
+
+    // Settings that depend on each other
+    if (values.HTTPS_REDIRECT && values.ALLOWED_REDIRECT_DOMAINS && values.ALLOWED_REDIRECT_DOMAINS.length === 0) {
+        problems.push('HTTPS_REDIRECT: needs ALLOWED_REDIRECT_DOMAINS, the host names HTTP requests may be redirected to');
+    }
+    if (values.HSTS_PRELOAD && (!values.HSTS_INCLUDE_SUBDOMAINS || values.HSTS_MAX_AGE < HSTS_PRELOAD_MIN_AGE)) {
+        problems.push(`HSTS_PRELOAD: needs HSTS_INCLUDE_SUBDOMAINS=true and HSTS_MAX_AGE of at least ${HSTS_PRELOAD_MIN_AGE}`);
+    }
+    if (values.HTTPS_PORT === null && values.PORT) {
+        values.HTTPS_PORT = values.PORT + 1;
+        sources.HTTPS_PORT = 'PORT + 1';
+        if (values.HTTPS_PORT > 65535) problems.push('HTTPS_PORT: PORT + 1 is not a valid port; set HTTPS_PORT');
+    }
+
+    if (problems.length > 0) throw new ConfigError(problems);
+
+    Object.defineProperty(values, 'sources', { value: Object.freeze(sources) });
+    return Object.freeze(values);
+}
+
+let current = null;
+
+/**
+ * The configuration of this process, loaded on first use.
+ * @throws {ConfigError}
+ */
+function getConfig() {
+    if (!current) current = loadConfig();
+    return current;
+}
+
+/**
+ * For entry points (server.js, scripts): loads the configuration or
+ * prints its problems and exits.
+ */
+function loadConfigOrExit() {
+    try {
+        return getConfig();
+    } catch (error) {
+        if (!(error instanceof ConfigError)) throw error;
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * The effective configuration with secrets masked, for printing.
+ * @return {Object<string, {value: *, source: string}>}
+ */
+function describeConfig(config) {
+    return Object.fromEntries(Object.keys(SETTINGS).map(name => {
+        const value = config[name];
+        const isEmpty = value === '' || (Array.isArray(value) && value.length === 0);
+        return [name, { value: SETTINGS[name].secret && !isEmpty ? MASK : value, source: config.sources[name] }];
+    }));
+}
+
+module.exports = {
+    SETTINGS,
+    PROFILES,
+    ConfigError,
+    loadConfig,
+    getConfig,
+    loadConfigOrExit,
+    describeConfig
+};
@@ -0,0 +1,86 @@
+const { metrics } = require('./metrics');
+
+/**
+ * Counts the active connections and the connections of the last minute
+ * of every IP.
+ *
+ * @param {Object} options
+ * @param {number} options.maxPerIp - Concurrent connections allowed per IP
+ * @param {number|null} options.maxQueue - Connections per IP per minute, or null for no limit
+ * @return {{open: function(string): (string|null), close: function(string)}}
+ *     open() counts a new connection and returns why it is over the limit
+ *     ("concurrent" or "rate"), or null; every open() is followed by a close()
+ */
+function createConnectionTracker({ maxPerIp, maxQueue }) {
+    const activeConnections = new Map();
+    const requestQueue = new Map();
+
+    return {
+        open(ip) {
+            // Track connections by IP
+            activeConnections.set(ip, (activeConnections.get(ip) || 0) + 1);
+
+            // Add to request queue
+            if (!requestQueue.has(ip)) {
+                requestQueue.set(ip, []);
+            }
+
+            const queue = requestQueue.get(ip);
+            queue.push(Date.now());
+
+            const overQueue = maxQueue !== null && queue.length > maxQueue;
+            const overLimit = activeConnections.get(ip) > maxPerIp;
+
+            // Cleanup old requests from queue (older than 1 minute)
+            const now = Date.now();
+            while (queue.length > 0 && queue[0] < now - 60000) {
+                queue.shift();
+            }
+
+            if (overQueue) return 'rate';
+            return overLimit ? 'concurrent' : null;
+        },
+
+        close(ip) {
+            // Update connection count
+            const count = activeConnections.get(ip);
+            if (count <= 1) {
+                activeConnections.delete(ip);
+            } else {
+                activeConnections.set(ip, count - 1);
+            }
+        }
+    };
+}
+
+/**
+ * Limits active connections per IP on a Node HTTP(S) server.
+ * Sockets over the limit are destroyed as soon as they connect.
+ *
+ * @param {import('net').Server} server
+ * @param {Object} options
+ * @param {number} options.maxPerIp - Concurrent connections allowed per IP
+ * @param {number|null} options.maxQueue - Connections per IP per minute, or null for no limit
+ * @param {Object} [options.trusted] - Trusted proxies (lib/ip-access.js); every client behind
+ *     a proxy shares its address, so its connections are not limited
+ * @param {Object} [options.tracker] - Connection counts; in multi-worker mode the primary's
+ *     (lib/shared-state.js), whose open() returns a promise
+ */
+function limitConnections(server, { maxPerIp, maxQueue, trusted, tracker = createConnectionTracker({ maxPerIp, maxQueue }) }) {
+    server.on('connection', (socket) => {
+        const ip = socket.remoteAddress || '0.0.0.0';
+        if (trusted && trusted.includes(ip)) return;
+
+        Promise.resolve(tracker.open(ip)).then((reason) => {
+            if (!reason) return;
+            metrics.destroyedSockets.inc({ reason });
+            socket.destroy();
+        }, () => {
+            // Without an answer from the shared counts the connection is let through
+        });
+
+        socket.on('close', () => tracker.close(ip));
+    });
+}
+
+module.exports = { createConnectionTracker, limitConnections };
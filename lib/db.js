@@ -0,0 +1,50 @@
+const { Pool } = require('pg');
+const { getConfig } = require('./config');
+
+/**
+ * Connection settings from the DB_* variables in .env; unset ones are
+ * left to pg's own defaults (PGHOST, PGUSER, ...).
+ *
+ * @param {string} [database] - Defaults to DB_NAME
+ */
+function connectionSettings(database = getConfig().DB_NAME) {
+    const config = getConfig();
+    return {
+        host: config.DB_HOST || undefined,
+        user: config.DB_USER || undefined,
+        password: config.DB_PASSWORD || undefined,
+        database: database || undefined,
+        port: config.DB_PORT
+    };
+}
+
+/**
+ * Creates the PostgreSQL connection pool shared by every route module.
+ */
+function createPool() {
+    return new Pool(connectionSettings());
+}
+
+/**
+ * Runs fn(client) inside a transaction, rolling back if it throws.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {function(import('pg').PoolClient): Promise<*>} fn
+ * @return {Promise<*>} The value returned by fn
+ */
+async function withTransaction(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = { connectionSettings, createPool, withTransaction };
@@ -0,0 +1,105 @@
+/**
+ * RSS 2.0 and Atom 1.0 writers for the news feeds
+ */
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function element(name, value, attributes = {}) {
+    const attrs = Object.entries(attributes)
+        .filter(([, attr]) => attr !== undefined && attr !== null)
+        .map(([key, attr]) => ` ${key}="${escapeXml(attr)}"`)
+        .join('');
+    return value === undefined ? `<${name}${attrs}/>` : `<${name}${attrs}>${escapeXml(value)}</${name}>`;
+}
+
+/**
+ * Feed items have this shape:
+ * { id, title, link, summary, published: Date, enclosure: { url, type, length } | null }
+ *
+ * @param {Object} feed - { title, description, link, selfUrl, language, updated: Date }
+ * @param {Object[]} items
+ * @return {string} RSS 2.0 document
+ */
+function buildRss(feed, items) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '<channel>',
+        element('title', feed.title),
+        element('link', feed.link),
+        element('description', feed.description),
+        element('language', feed.language),
+        element('atom:link', undefined, { href: feed.selfUrl, rel: 'self', type: 'application/rss+xml' })
+    ];
+    if (feed.updated) lines.push(element('lastBuildDate', feed.updated.toUTCString()));
+
+    items.forEach(item => {
+        lines.push('<item>');
+        lines.push(element('title', item.title));
+        lines.push(element('link', item.link));
+        lines.push(element('guid', item.link, { isPermaLink: 'true' }));
+        if (item.published) lines.push(element('pubDate', item.published.toUTCString()));
+        if (item.summary) lines.push(element('description', item.summary));
+        if (item.enclosure) lines.push(element('enclosure', undefined, item.enclosure));
+        lines.push('</item>');
+    });
+
+    lines.push('</channel>', '</rss>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * @param {Object} feed - Same fields as for buildRss; selfUrl is the feed id
+ * @param {Object[]} items
+ * @return {string} Atom 1.0 document
+ */
+function buildAtom(feed, items) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.language)}">`,
+        element('id', feed.selfUrl),
+        element('title', feed.title),
+        element('subtitle', feed.description),
+        element('link', undefined, { rel: 'self', type: 'application/atom+xml', href: feed.selfUrl }),
+        element('link', undefined, { rel: 'alternate', type: 'text/html', href: feed.link }),
+        element('updated', (feed.updated || new Date()).toISOString()),
+        `<author>${element('name', feed.title)}</author>`
+    ];
+
+    items.forEach(item => {
+        lines.push('<entry>');
+        lines.push(element('id', item.link));
+        lines.push(element('title', item.title));
+        lines.push(element('link', undefined, { rel: 'alternate', type: 'text/html', href: item.link }));
+        if (item.published) {
+            lines.push(element('published', item.published.toISOString()));
+            lines.push(element('updated', item.published.toISOString()));
+        } else {
+            lines.push(element('updated', (feed.updated || new Date()).toISOString()));
+        }
+        if (item.summary) lines.push(element('summary', item.summary, { type: 'text' }));
+        if (item.enclosure) {
+            lines.push(element('link', undefined, {
+                rel: 'enclosure',
+                type: item.enclosure.type,
+                length: item.enclosure.length,
+                href: item.enclosure.url
+            }));
+        }
+        lines.push('</entry>');
+    });
+
+    lines.push('</feed>');
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { escapeXml, buildRss, buildAtom };
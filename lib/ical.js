@@ -0,0 +1,98 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for the events calendar
+ */
+
+const CRLF = '\r\n';
+const PRODID = '-//GEOCUBA//Portal Web//ES';
+
+// Escapes a TEXT value: backslash, semicolon, comma and line breaks
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Folds a content line to 75 octets without splitting UTF-8 characters
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards the limit
+        if (size + charSize > 75) {
+            parts.push(current);
+            current = ' ';
+            size = 1;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+    return parts.join(CRLF);
+}
+
+// UTC timestamp in the basic format, e.g. 20240501T120000Z
+function formatTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Builds a VEVENT for an all-day event.
+ *
+ * @param {Object} evento
+ * @param {string} evento.uid - Globally unique and stable identifier
+ * @param {string} evento.start - First day, YYYYMMDD
+ * @param {string} evento.end - Day after the last day (exclusive), YYYYMMDD
+ * @param {string} evento.summary
+ * @param {string} [evento.location]
+ * @param {string} [evento.description]
+ * @param {string} [evento.url]
+ * @param {Date} [stamp] - Creation time of the calendar object
+ * @return {string[]} Unfolded content lines
+ */
+function eventLines(evento, stamp = new Date()) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${evento.uid}`,
+        `DTSTAMP:${formatTimestamp(stamp)}`,
+        `DTSTART;VALUE=DATE:${evento.start}`,
+        `DTEND;VALUE=DATE:${evento.end}`,
+        `SUMMARY:${escapeText(evento.summary)}`
+    ];
+    if (evento.location) lines.push(`LOCATION:${escapeText(evento.location)}`);
+    if (evento.description) lines.push(`DESCRIPTION:${escapeText(evento.description)}`);
+    if (evento.url) lines.push(`URL:${evento.url}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    return lines;
+}
+
+/**
+ * Builds a complete VCALENDAR document.
+ *
+ * @param {Object[]} eventos - Events as accepted by eventLines
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name shown by calendar apps
+ * @param {string} [options.refresh] - Suggested refresh interval for subscribers (ISO 8601 duration)
+ * @return {string}
+ */
+function buildCalendar(eventos, { name, refresh } = {}) {
+    const stamp = new Date();
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    if (refresh) lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${refresh}`, `X-PUBLISHED-TTL:${refresh}`);
+    eventos.forEach(evento => lines.push(...eventLines(evento, stamp)));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+module.exports = { escapeText, foldLine, buildCalendar };
@@ -0,0 +1,199 @@
+/**
+ * Client IP addresses: trusted proxies, CIDR allow and deny lists and
+ * temporary bans
+ *
+ * Behind a reverse proxy every connection comes from the proxy, so the
+ * client address is read from X-Forwarded-For, but only when the
+ * connection comes from one of TRUST_PROXY. Lists are comma separated
+ * addresses or CIDR ranges (IPv4 or IPv6); TRUST_PROXY also accepts the
+ * keywords "loopback", "linklocal" and "uniquelocal".
+ */
+
+const net = require('net');
+const { getConfig } = require('./config');
+const { logger } = require('./logger');
+const { metrics, registry } = require('./metrics');
+
+const config = getConfig();
+
+// Same keywords as Express's "trust proxy" setting
+const RANGE_KEYWORDS = {
+    loopback: ['127.0.0.1/8', '::1/128'],
+    linklocal: ['169.254.0.0/16', 'fe80::/10'],
+    uniquelocal: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']
+};
+
+// IPv4 clients of a dual-stack server show up as ::ffff:a.b.c.d
+function normalizeIp(ip) {
+    if (!ip) return '';
+    return ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+}
+
+/**
+ * Parses a list of addresses, CIDR ranges and keywords.
+ *
+ * @param {string|string[]} value - Comma separated, or already split
+ * @return {string[]} Addresses and ranges, keywords expanded
+ * @throws {Error} For an entry that is not an address or range
+ */
+function parseRanges(value) {
+    const ranges = [];
+    const entries = Array.isArray(value) ? value : value.split(',');
+    for (const entry of entries.map(item => item.trim()).filter(Boolean)) {
+        if (RANGE_KEYWORDS[entry]) {
+            ranges.push(...RANGE_KEYWORDS[entry]);
+            continue;
+        }
+        const [address, prefix, extra] = entry.split('/');
+        const family = net.isIP(address);
+        const maxPrefix = family === 6 ? 128 : 32;
+        if (!family || extra !== undefined || (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix))) {
+            throw new Error(`Invalid IP address or range "${entry}"`);
+        }
+        ranges.push(entry);
+    }
+    return ranges;
+}
+
+/**
+ * @param {string[]} ranges - Output of parseRanges
+ * @return {{ranges: string[], size: number, includes: function(string): boolean}}
+ */
+function createIpList(ranges) {
+    const blockList = new net.BlockList();
+    for (const range of ranges) {
+        const [address, prefix] = range.split('/');
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        if (prefix === undefined) {
+            blockList.addAddress(address, type);
+        } else {
+            blockList.addSubnet(address, Number(prefix), type);
+        }
+    }
+
+    return {
+        ranges,
+        size: ranges.length,
+        includes(ip) {
+            const address = normalizeIp(ip);
+            const family = net.isIP(address);
+            return family !== 0 && blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+        }
+    };
+}
+
+const trustedProxies = createIpList(parseRanges(config.TRUST_PROXY));
+const allowList = createIpList(parseRanges(config.IP_ALLOWLIST));
+const denyList = createIpList(parseRanges(config.IP_DENYLIST));
+
+/**
+ * Temporary bans for IPs that keep getting rejected (403 from the
+ * whitelist, 429 from the rate limit).
+ *
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Strikes within the window that trigger a ban; 0 disables bans
+ * @param {number} [options.windowMs]
+ * @param {number} [options.durationMs] - Length of a ban
+ * @param {function()} [options.onChange] - Called when an IP is banned or a ban is lifted
+ */
+function createBanList({ threshold = config.BAN_THRESHOLD, windowMs = config.BAN_WINDOW_MS, durationMs = config.BAN_DURATION_MS, onChange } = {}) {
+    const strikes = new Map(); // ip -> timestamps of recent rejections
+    const bans = new Map(); // ip -> { ip, reason, strikes, since, until }
+
+    // Keyed by normalized address, so ::ffff:a.b.c.d and a.b.c.d are the same client
+    function activeBan(ip) {
+        const ban = bans.get(normalizeIp(ip));
+        if (ban && ban.until <= Date.now()) {
+            bans.delete(ban.ip);
+            return null;
+        }
+        return ban || null;
+    }
+
+    // Drops the expired state so the maps don't grow with every visitor
+    function prune() {
+        const now = Date.now();
+        for (const [ip, times] of strikes) {
+            if (times[times.length - 1] <= now - windowMs) strikes.delete(ip);
+        }
+        for (const [ip, ban] of bans) {
+            if (ban.until <= now) bans.delete(ip);
+        }
+    }
+    setInterval(prune, windowMs).unref();
+
+    registry.setGauge('portal_ip_bans_active', 'IP addresses currently banned', () => {
+        prune();
+        return bans.size;
+    });
+
+    return {
+        /**
+         * Records a rejection; bans the IP once it reaches the threshold.
+         * @param {string} ip
+         * @param {string} reason - "whitelist" or "rate-limit"
+         */
+        strike(clientIp, reason) {
+            const ip = normalizeIp(clientIp);
+            if (threshold <= 0 || !ip || activeBan(ip)) return;
+
+            const now = Date.now();
+            const recent = (strikes.get(ip) || []).filter(time => time > now - windowMs);
+            recent.push(now);
+            strikes.set(ip, recent);
+            if (recent.length < threshold) return;
+
+            strikes.delete(ip);
+            bans.set(ip, { ip, reason, strikes: recent.length, since: new Date(now).toISOString(), until: now + durationMs });
+            logger.warn('IP banned', { ip, reason, strikes: recent.length, minutes: Math.round(durationMs / 60000) });
+            if (onChange) onChange();
+        },
+
+        isBanned: ip => activeBan(ip) !== null,
+
+        // Active bans, newest first
+        list() {
+            prune();
+            return [...bans.values()]
+                .map(ban => ({ ...ban, until: new Date(ban.until).toISOString() }))
+                .sort((a, b) => b.since.localeCompare(a.since));
+        },
+
+        // Removes a ban and its strikes; false if the IP was not banned
+        lift(clientIp) {
+            const ip = normalizeIp(clientIp);
+            strikes.delete(ip);
+            const lifted = Boolean(activeBan(ip)) && bans.delete(ip);
+            if (lifted && onChange) onChange();
+            return lifted;
+        }
+    };
+}
+
+/**
+ * Rejects clients outside the allow list, in the deny list or banned,
+ * with a 403. Runs after "trust proxy" is set, so req.ip is the client.
+ */
+function ipAccessControl({ allow = allowList, deny = denyList, bans } = {}) {
+    return (req, res, next) => {
+        let reason = null;
+        if (deny.includes(req.ip)) reason = 'deny';
+        else if (allow.size > 0 && !allow.includes(req.ip)) reason = 'allow';
+        else if (bans && bans.isBanned(req.ip)) reason = 'ban';
+
+        if (!reason) return next();
+        metrics.ipRejections.inc({ reason });
+        res.status(403).send('Access Forbidden');
+    };
+}
+
+module.exports = {
+    trustedProxies,
+    allowList,
+    denyList,
+    normalizeIp,
+    parseRanges,
+    createIpList,
+    createBanList,
+    ipAccessControl
+};
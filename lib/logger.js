@@ -0,0 +1,238 @@
+/**
+ * Structured logging
+ *
+ * Every line is a JSON object with the time, the level, a message and
+ * context fields (the request ID for lines written while serving a
+ * request). Lines go to stdout/stderr, or to LOG_FILE, which is rotated
+ * when it reaches LOG_MAX_SIZE bytes and when the day changes. Fields
+ * whose name looks sensitive (passwords, tokens, cookies, keys) are
+ * written as "[REDACTED]".
+ */
+
+const cluster = require('cluster');
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./config');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const { LOG_LEVEL, LOG_FILE, LOG_MAX_SIZE, LOG_MAX_FILES } = getConfig();
+
+const REDACTED = '[REDACTED]';
+// Extra field names to redact (LOG_REDACT_KEYS)
+const EXTRA_REDACTED_KEYS = getConfig().LOG_REDACT_KEYS.map(key => key.toLowerCase());
+// Matched against the whole name in snake_case (apiKey and X-Api-Key become api_key and x_api_key), so
+// names that only contain one of the words, like SESSION_HOURS, are logged; LOG_REDACT_KEYS covers the rest
+const SENSITIVE_KEY = /(^|_)(pass|passwd|password|password_hash|secret|token|api_?key|csrf)$|^(authorization|proxy_authorization|cookie|set_cookie)$/;
+const MAX_DEPTH = 5;
+
+function isSensitive(key) {
+    const name = key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[-\s]/g, '_').toLowerCase();
+    return SENSITIVE_KEY.test(name) || EXTRA_REDACTED_KEYS.includes(key.toLowerCase());
+}
+
+/**
+ * Copy of value with the sensitive fields replaced.
+ */
+function redact(value, depth = 0) {
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[Object]';
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = isSensitive(key) ? REDACTED : redact(item, depth + 1);
+    }
+    return copy;
+}
+
+/**
+ * URL with the values of sensitive query parameters replaced.
+ */
+function redactUrl(url) {
+    const index = url.indexOf('?');
+    if (index === -1) return url;
+
+    const query = url.slice(index + 1).split('&').map(pair => {
+        const name = pair.split('=')[0];
+        let decoded = name;
+        try {
+            decoded = decodeURIComponent(name.replace(/\+/g, ' '));
+        } catch (error) {
+            // Malformed escapes are matched as they are
+        }
+        return isSensitive(decoded) ? `${name}=${REDACTED}` : pair;
+    });
+    return `${url.slice(0, index)}?${query.join('&')}`;
+}
+
+// Query details (pg's "detail") may contain row values, so only these are kept
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        code: error.code,
+        stack: error.stack
+    };
+}
+
+// Local date, used to name the rotated files
+function dateOf(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Appends lines to a file that is renamed to <name>.<date>[.<n>]<ext>
+ * when it would exceed maxSize or when the day changes. Only the newest
+ * maxFiles rotated files are kept.
+ */
+function createRotatingFile({ file, maxSize = LOG_MAX_SIZE, maxFiles = LOG_MAX_FILES }) {
+    const dir = path.dirname(file);
+    const ext = path.extname(file);
+    const base = path.basename(file, ext);
+    const rotatedPattern = new RegExp(`^${base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.\\d{4}-\\d{2}-\\d{2}(\\.\\d+)?${ext.replace('.', '\\.')}$`);
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    let fd = null;
+    let size = 0;
+    let day = null;
+
+    function open() {
+        fd = fs.openSync(file, 'a');
+        const stat = fs.fstatSync(fd);
+        size = stat.size;
+        // A file left from an earlier day is rotated on the first write
+        day = size > 0 ? dateOf(stat.mtime) : dateOf();
+    }
+
+    function rotate() {
+        fs.closeSync(fd);
+        let target = path.join(dir, `${base}.${day}${ext}`);
+        for (let n = 1; fs.existsSync(target); n++) {
+            target = path.join(dir, `${base}.${day}.${n}${ext}`);
+        }
+        fs.renameSync(file, target);
+        prune();
+        open();
+    }
+
+    function prune() {
+        const rotated = fs.readdirSync(dir)
+            .filter(name => rotatedPattern.test(name))
+            .map(name => ({ name, mtime: fs.statSync(path.join(dir, name)).mtimeMs }))
+            .sort((a, b) => b.mtime - a.mtime);
+        for (const { name } of rotated.slice(maxFiles)) {
+            fs.unlinkSync(path.join(dir, name));
+        }
+    }
+
+    open();
+
+    return {
+        write(line) {
+            const bytes = Buffer.byteLength(line);
+            if (size > 0 && (day !== dateOf() || size + bytes > maxSize)) rotate();
+            fs.writeSync(fd, line);
+            size += bytes;
+        },
+        close() {
+            if (fd !== null) fs.closeSync(fd);
+            fd = null;
+        }
+    };
+}
+
+function consoleOutput() {
+    return {
+        write(line, level) {
+            (LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout).write(line);
+        }
+    };
+}
+
+const LOG_MESSAGE = 'portal:log';
+
+// Lines of a worker in multi-worker mode, written to LOG_FILE by the primary
+function primaryOutput() {
+    const fallback = consoleOutput();
+    return {
+        write(line, level) {
+            if (process.connected) process.send({ type: LOG_MESSAGE, line, level });
+            else fallback.write(line, level);
+        }
+    };
+}
+
+let sharedOutput = null;
+
+/**
+ * The output of every logger of this process that doesn't set its own:
+ * LOG_FILE or the console. Only one process opens LOG_FILE, so a single
+ * one rotates it; in multi-worker mode that is the primary, which writes
+ * the lines of the workers too.
+ */
+function defaultOutput() {
+    if (sharedOutput) return sharedOutput;
+    if (!LOG_FILE) {
+        sharedOutput = consoleOutput();
+    } else if (cluster.isWorker) {
+        sharedOutput = primaryOutput();
+    } else {
+        const file = createRotatingFile({ file: path.resolve(LOG_FILE) });
+        cluster.on('message', (worker, message) => {
+            if (message && message.type === LOG_MESSAGE) file.write(message.line, message.level);
+        });
+        sharedOutput = file;
+    }
+    return sharedOutput;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.level] - Lowest level written (LOG_LEVEL, "info" by default)
+ * @param {{write: function(string, string)}} [options.output] - Defaults to LOG_FILE or the console
+ * @param {Object} [options.fields] - Context added to every line
+ * @return {Logger}
+ *
+ * @typedef {Object} Logger
+ * @property {function(string, (Error|Object)=)} error
+ * @property {function(string, (Error|Object)=)} warn
+ * @property {function(string, (Error|Object)=)} info
+ * @property {function(string, (Error|Object)=)} debug
+ * @property {function(Object): Logger} child - Logger with extra context fields
+ */
+function createLogger({ level = LOG_LEVEL, output, fields = {} } = {}) {
+    if (!output) output = defaultOutput();
+
+    function write(lineLevel, msg, extra) {
+        if (LEVELS[lineLevel] > LEVELS[level]) return;
+
+        const entry = { time: new Date().toISOString(), level: lineLevel, msg, ...redact(fields) };
+        if (extra instanceof Error) {
+            entry.error = serializeError(extra);
+        } else if (extra) {
+            Object.assign(entry, redact(extra));
+        }
+
+        try {
+            output.write(JSON.stringify(entry) + '\n', lineLevel);
+        } catch (error) {
+            // Logging must never take a request down
+            process.stderr.write(`Log write failed: ${error.message}\n`);
+        }
+    }
+
+    const logger = { child: extra => createLogger({ level, output, fields: { ...fields, ...extra } }) };
+    for (const name of Object.keys(LEVELS)) {
+        logger[name] = (msg, extra) => write(name, msg, extra);
+    }
+    return logger;
+}
+
+// Shared by the whole process, so every module writes to the same file;
+// in multi-worker mode each line says which worker wrote it
+const logger = createLogger({ fields: cluster.isWorker ? { worker: cluster.worker.id } : {} });
+
+module.exports = { LEVELS, logger, createLogger, createRotatingFile, redact, redactUrl };
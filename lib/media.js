@@ -0,0 +1,73 @@
+/**
+ * File type detection from content (magic bytes)
+ *
+ * The Content-Type sent by the browser can't be trusted, so uploads and
+ * stored binaries are identified by their first bytes instead.
+ */
+
+const SIGNATURES = [
+    { mime: 'image/jpeg', ext: 'jpg', test: b => b.length > 3 && b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF },
+    { mime: 'image/png', ext: 'png', test: b => b.length > 8 && b.readUInt32BE(0) === 0x89504E47 && b.readUInt32BE(4) === 0x0D0A1A0A },
+    { mime: 'image/gif', ext: 'gif', test: b => b.length > 6 && ['GIF87a', 'GIF89a'].includes(b.toString('ascii', 0, 6)) },
+    { mime: 'image/webp', ext: 'webp', test: b => b.length > 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+    { mime: 'application/pdf', ext: 'pdf', test: b => b.length > 5 && b.toString('ascii', 0, 5) === '%PDF-' }
+];
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+/**
+ * @param {Buffer} buffer - File contents
+ * @return {{mime: string, ext: string}|null} Detected type, or null if unknown
+ */
+function detectType(buffer) {
+    if (!Buffer.isBuffer(buffer)) return null;
+    const match = SIGNATURES.find(signature => signature.test(buffer));
+    return match ? { mime: match.mime, ext: match.ext } : null;
+}
+
+/**
+ * @param {Buffer} buffer - File contents
+ * @return {boolean} True for JPEG, PNG, GIF or WebP images
+ */
+function isImage(buffer) {
+    const type = detectType(buffer);
+    return Boolean(type && IMAGE_TYPES.includes(type.mime));
+}
+
+// Stored images served under /media/<entity>/<id>/<column>
+const MEDIA_SOURCES = {
+    noticias: { table: 'sitio.noticias', columns: ['imagen'] },
+    eventos: { table: 'sitio.eventos', columns: ['imagen'] },
+    empresas: { table: 'sitio.empresas', columns: ['logo'] },
+    servicios: { table: 'sitio.productos_servicios', columns: ['img', 'img2'] },
+    lineas: { table: 'sitio.lineaprod', columns: ['img'] },
+    presentacion: { table: 'sitio.presentacion', columns: ['imagen', 'img'] }
+};
+
+// Length of the content hash used as the ?v= cache buster
+const VERSION_LENGTH = 12;
+
+/**
+ * SQL select expression that yields the /media URL of a stored image,
+ * or NULL when there is none. The ?v= parameter changes whenever the
+ * image does, so browsers can cache the URL indefinitely.
+ *
+ * @param {string} entity - Key of MEDIA_SOURCES
+ * @param {string} column - Binary column
+ * @param {Object} [options]
+ * @param {string} [options.alias] - Output column name (defaults to the column)
+ * @param {string} [options.table] - Table alias used in the query, e.g. "s"
+ * @return {string}
+ */
+function mediaUrlSql(entity, column, { alias = column, table = '' } = {}) {
+    const source = MEDIA_SOURCES[entity];
+    if (!source || !source.columns.includes(column)) {
+        throw new Error(`Unknown media column ${entity}.${column}`);
+    }
+    const ref = table ? `${table}.` : '';
+    return `CASE WHEN ${ref}${column} IS NOT NULL
+                THEN '/media/${entity}/' || ${ref}id || '/${column}?v=' || left(md5(${ref}${column}), ${VERSION_LENGTH})
+            END as ${alias}`;
+}
+
+module.exports = { IMAGE_TYPES, MEDIA_SOURCES, VERSION_LENGTH, detectType, isImage, mediaUrlSql };
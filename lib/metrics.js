@@ -0,0 +1,204 @@
+/**
+ * Prometheus metrics
+ *
+ * A small registry of counters, histograms and gauges rendered in the
+ * Prometheus text exposition format (version 0.0.4). Counters and
+ * histograms are updated as things happen; gauges are read from a
+ * callback when /metrics is scraped.
+ */
+
+const toobusy = require('toobusy-js');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Request latency buckets in seconds
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+// Series are stored by their label values joined with a separator that can't appear in them
+function seriesKey(labelNames, labels) {
+    return labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+}
+
+function seriesLabels(labelNames, key) {
+    const values = key.split('\u0000');
+    return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+function header(name, help, type) {
+    return [`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${name} ${type}`];
+}
+
+function createCounter(name, help, labelNames) {
+    const series = new Map();
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = seriesKey(labelNames, labels);
+            series.set(key, (series.get(key) || 0) + amount);
+        },
+        render() {
+            const lines = header(name, help, 'counter');
+            // A counter without labels is shown at 0 before its first increment
+            if (series.size === 0 && labelNames.length === 0) lines.push(`${name} 0`);
+            for (const [key, value] of series) {
+                lines.push(`${name}${formatLabels(seriesLabels(labelNames, key))} ${formatValue(value)}`);
+            }
+            return lines;
+        }
+    };
+}
+
+function createHistogram(name, help, labelNames, buckets) {
+    const series = new Map();
+    return {
+        observe(labels, value) {
+            const key = seriesKey(labelNames, labels);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            buckets.forEach((bound, index) => {
+                if (value <= bound) entry.counts[index]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        render() {
+            const lines = header(name, help, 'histogram');
+            for (const [key, entry] of series) {
+                const labels = seriesLabels(labelNames, key);
+                buckets.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${entry.counts[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+            }
+            return lines;
+        }
+    };
+}
+
+/**
+ * @param {function(): (number|Array<{labels: Object, value: number}>|null)} collect
+ *     Current value, one value per label set, or null to leave the metric out
+ * @param {string} type - "counter" for totals kept elsewhere (e.g. cache hits)
+ */
+function createGauge(name, help, collect, type) {
+    return {
+        render() {
+            const value = collect();
+            if (value === null || value === undefined) return [];
+
+            const lines = header(name, help, type);
+            const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+            for (const sample of samples) {
+                lines.push(`${name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+            }
+            return lines;
+        }
+    };
+}
+
+/**
+ * @return {{counter, histogram, gauge, render: function(): string}}
+ */
+function createRegistry() {
+    const metrics = new Map();
+
+    function register(name, metric) {
+        if (metrics.has(name)) throw new Error(`Metric ${name} is already registered`);
+        metrics.set(name, metric);
+        return metric;
+    }
+
+    return {
+        counter: (name, help, labelNames = []) => register(name, createCounter(name, help, labelNames)),
+        histogram: (name, help, labelNames = [], buckets = LATENCY_BUCKETS) => register(name, createHistogram(name, help, labelNames, buckets)),
+        gauge: (name, help, collect, type = 'gauge') => register(name, createGauge(name, help, collect, type)),
+        // Replaces a gauge, e.g. when a new app registers its pool
+        setGauge(name, help, collect, type = 'gauge') {
+            metrics.set(name, createGauge(name, help, collect, type));
+        },
+        render() {
+            const lines = [];
+            for (const metric of metrics.values()) lines.push(...metric.render());
+            return lines.join('\n') + '\n';
+        }
+    };
+}
+
+/**
+ * Joins the output of several registries into one exposition, adding
+ * the given labels to every sample of each part; in multi-worker mode
+ * every worker's series stay apart under a `worker` label.
+ *
+ * @param {{labels: Object<string, string>, text: string}[]} parts - Outputs of registry.render()
+ * @return {string}
+ */
+function mergeExpositions(parts) {
+    const families = new Map(); // metric name -> { header, samples }
+
+    parts.forEach(({ labels, text }, index) => {
+        const extra = formatLabels(labels).slice(1, -1);
+        let family = null;
+
+        for (const line of text.split('\n')) {
+            if (!line) continue;
+            const comment = /^# (HELP|TYPE) (\S+)/.exec(line);
+            if (comment) {
+                if (!families.has(comment[2])) families.set(comment[2], { header: [], samples: [], part: index });
+                family = families.get(comment[2]);
+                // HELP and TYPE are written once, from the first part that has the metric
+                if (family.part === index) family.header.push(line);
+                continue;
+            }
+            if (!family) continue;
+
+            const brace = line.indexOf('{');
+            const space = line.indexOf(' ');
+            family.samples.push(brace !== -1 && brace < space
+                ? `${line.slice(0, brace + 1)}${extra},${line.slice(brace + 1)}`
+                : `${line.slice(0, space)}{${extra}}${line.slice(space)}`);
+        }
+    });
+
+    const lines = [];
+    for (const { header: familyHeader, samples } of families.values()) lines.push(...familyHeader, ...samples);
+    return lines.join('\n') + '\n';
+}
+
+// Shared by the app and the server (the connection limiter works on sockets)
+const registry = createRegistry();
+
+const metrics = {
+    httpRequests: registry.counter('portal_http_requests_total', 'HTTP requests answered, by route', ['method', 'route', 'status']),
+    httpDuration: registry.histogram('portal_http_request_duration_seconds', 'Time to answer HTTP requests, by route', ['method', 'route']),
+    rateLimitRejections: registry.counter('portal_rate_limit_rejections_total', 'Requests rejected by the per-IP rate limit'),
+    busyRejections: registry.counter('portal_busy_rejections_total', 'Requests rejected with 503 while the event loop lagged'),
+    destroyedSockets: registry.counter('portal_connections_destroyed_total', 'Sockets destroyed by the per-IP connection limiter', ['reason']),
+    ipRejections: registry.counter('portal_ip_rejections_total', 'Requests rejected by the IP allow and deny lists or a ban', ['reason'])
+};
+
+registry.gauge('portal_process_uptime_seconds', 'Seconds since the process started', () => Math.round(process.uptime()));
+registry.gauge('portal_process_resident_memory_bytes', 'Resident memory size', () => process.memoryUsage().rss);
+registry.gauge('portal_process_heap_used_bytes', 'V8 heap in use', () => process.memoryUsage().heapUsed);
+// Smoothed lag measured by toobusy-js, the same value the busy guard uses
+registry.gauge('portal_event_loop_lag_seconds', 'Event loop lag', () => toobusy.lag() / 1000);
+
+module.exports = { CONTENT_TYPE, LATENCY_BUCKETS, createRegistry, mergeExpositions, registry, metrics };
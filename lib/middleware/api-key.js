@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const { getConfig } = require('../config');
+
+// Constant-time comparison so the key can't be guessed byte by byte
+function safeEqual(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Reads the key from "X-API-Key" or "Authorization: Bearer <key>"
+function extractKey(req) {
+    const header = req.get('x-api-key');
+    if (header) return header.trim();
+
+    const authorization = req.get('authorization') || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : '';
+}
+
+/**
+ * Requires one of the comma-separated keys in the given setting
+ * (lib/config.js). Answers 503 while no key is configured, so the
+ * endpoints stay closed by default.
+ *
+ * @param {string} setting - Name of the setting with the keys, e.g. REPORTS_API_KEY
+ */
+function requireApiKey(setting) {
+    return (req, res, next) => {
+        const keys = getConfig()[setting];
+
+        if (keys.length === 0) {
+            return res.status(503).json({ error: 'API credential not configured.' });
+        }
+
+        const provided = extractKey(req);
+        if (!provided || !keys.some(key => safeEqual(key, provided))) {
+            return res.status(401).json({ error: 'Invalid or missing API credential.' });
+        }
+
+        next();
+    };
+}
+
+module.exports = { requireApiKey };
@@ -0,0 +1,102 @@
+/**
+ * Request body parsing
+ *
+ * Public routes keep the 1kb limit. Content management routes are
+ * exempt from it and parse their own bodies with larger limits,
+ * including multipart uploads.
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { IMAGE_TYPES, detectType } = require('../media');
+const { getConfig } = require('../config');
+
+// Paths that parse their own bodies
+const LARGE_BODY_PATHS = ['/api/admin/'];
+
+const CONTENT_JSON_LIMIT = '256kb';
+const IMAGE_MAX_BYTES = getConfig().IMAGE_MAX_BYTES;
+const PDF_MAX_BYTES = getConfig().PDF_MAX_BYTES;
+
+// Runs the middleware except on the exempt paths
+function unlessLargeBody(middleware) {
+    return (req, res, next) => {
+        if (LARGE_BODY_PATHS.some(prefix => req.path.startsWith(prefix))) return next();
+        return middleware(req, res, next);
+    };
+}
+
+/**
+ * Default parsers with the 1kb limit for every non-exempt route.
+ */
+function defaultBodyParsers() {
+    return [
+        unlessLargeBody(express.json({ limit: '1kb' })), // Secure payload size
+        unlessLargeBody(express.urlencoded({ extended: true, limit: '1kb' }))
+    ];
+}
+
+/**
+ * Parsers for content management routes: JSON, or multipart with the
+ * given file fields. Each file is checked by content against its
+ * accepted types; req.files[field] holds the Buffer of a valid file.
+ *
+ * @param {Object<string, {types: string[], maxBytes: number}>} [fileFields]
+ */
+function contentBody(fileFields = { imagen: { types: IMAGE_TYPES, maxBytes: IMAGE_MAX_BYTES } }) {
+    const fieldNames = Object.keys(fileFields);
+    const maxBytes = Math.max(...fieldNames.map(name => fileFields[name].maxBytes), 0);
+
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: fieldNames.length, fields: 50 }
+    }).fields(fieldNames.map(name => ({ name, maxCount: 1 })));
+
+    const handleUpload = (req, res, next) => {
+        if (!req.is('multipart/form-data')) {
+            req.files = {};
+            return next();
+        }
+
+        upload(req, res, (error) => {
+            if (error) {
+                if (error.code === 'LIMIT_FILE_SIZE') {
+                    return res.status(413).json({ error: 'El archivo supera el tamaño máximo permitido.' });
+                }
+                return res.status(400).json({ error: `Error en el archivo enviado: ${error.message}` });
+            }
+
+            const files = {};
+            for (const name of fieldNames) {
+                const file = req.files && req.files[name] && req.files[name][0];
+                if (!file || file.size === 0) continue;
+
+                const spec = fileFields[name];
+                const type = detectType(file.buffer);
+                if (!type || !spec.types.includes(type.mime)) {
+                    return res.status(415).json({ error: `Tipo de archivo no permitido para "${name}".` });
+                }
+                if (file.size > spec.maxBytes) {
+                    return res.status(413).json({ error: `El archivo "${name}" supera el tamaño máximo permitido.` });
+                }
+                files[name] = { buffer: file.buffer, mime: type.mime, size: file.size, originalName: file.originalname };
+            }
+            req.files = files;
+            next();
+        });
+    };
+
+    return [
+        express.json({ limit: CONTENT_JSON_LIMIT }),
+        express.urlencoded({ extended: true, limit: CONTENT_JSON_LIMIT }),
+        handleUpload
+    ];
+}
+
+module.exports = {
+    LARGE_BODY_PATHS,
+    IMAGE_MAX_BYTES,
+    PDF_MAX_BYTES,
+    defaultBodyParsers,
+    contentBody
+};
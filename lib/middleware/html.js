@@ -0,0 +1,155 @@
+/**
+ * HTML response rewriting
+ *
+ * These middlewares wrap res.send so HTML pages can receive values from
+ * .env before they reach the browser.
+ */
+
+const { getConfig } = require('../config');
+
+const config = getConfig();
+
+const IPV4_HOST = /^(\d{1,3}\.){3}\d{1,3}$/;
+
+// Wraps res.send so `transform` runs on every HTML string body
+function rewriteHtml(req, res, transform) {
+    const originalSend = res.send;
+
+    res.send = function(body) {
+        if (typeof body === 'string' && body.includes('<!DOCTYPE html>')) {
+            body = transform(body);
+        }
+        return originalSend.call(this, body);
+    };
+}
+
+// Only page requests need rewriting, not assets
+function isPageRequest(req) {
+    return req.path === '/' || req.path.endsWith('.html');
+}
+
+// Public address of the portal: PRODUCTION_SERVER in the production profile, SERVER otherwise
+function publicServer() {
+    return config.NODE_ENV === 'production' && config.PRODUCTION_SERVER ? config.PRODUCTION_SERVER : config.SERVER;
+}
+
+// Strips the protocol from the public address
+function serverHostname() {
+    let serverHost = publicServer();
+    if (serverHost.startsWith('http://')) {
+        serverHost = serverHost.substring(7);
+    } else if (serverHost.startsWith('https://')) {
+        serverHost = serverHost.substring(8);
+    }
+    return serverHost;
+}
+
+/**
+ * Absolute origin of the portal for the links in permalink pages, feeds
+ * and the sitemap. These responses are cached publicly, so the origin
+ * comes from the public address and never from the Host header. An
+ * address without protocol is served over https in the production
+ * profile and over http on PORT otherwise.
+ */
+function publicOrigin() {
+    const server = publicServer().replace(/\/+$/, '');
+    if (/^https?:\/\//.test(server)) return server;
+    if (config.NODE_ENV === 'production') return `https://${server}`;
+    const port = /:\d+$/.test(server) || config.PORT === 80 ? '' : `:${config.PORT}`;
+    return `http://${server}${port}`;
+}
+
+/**
+ * Replaces all instances of {{SERVER}} and {{PORT}} in HTML responses.
+ */
+function templateVariables() {
+    return (req, res, next) => {
+        rewriteHtml(req, res, body => {
+            return body
+                .replace(/\{\{SERVER\}\}/g, publicServer())
+                .replace(/\{\{PORT\}\}/g, String(config.PORT));
+        });
+        next();
+    };
+}
+
+/**
+ * Flags requests for pages made through an IP address instead of a hostname.
+ */
+function detectIpAccess() {
+    return (req, res, next) => {
+        if (isPageRequest(req)) {
+            const host = req.hostname;
+            if (host !== 'localhost' && IPV4_HOST.test(host)) {
+                req.log.debug('Detected access via IP address', { host });
+                res.locals.usingIpAddress = true;
+            }
+        }
+        next();
+    };
+}
+
+// Rewrites https:// asset URLs to http:// for pages opened by IP address
+const IP_HANDLER_SCRIPT = `
+    <script>
+        // Special script to handle asset loading for IP-based access
+        document.addEventListener('DOMContentLoaded', function() {
+            // Fix all link tags (CSS)
+            document.querySelectorAll('link[rel="stylesheet"]').forEach(function(link) {
+                if (link.href && link.href.includes('https://')) {
+                    link.href = link.href.replace('https://', 'http://');
+                }
+            });
+
+            // Fix all script tags
+            document.querySelectorAll('script[src]').forEach(function(script) {
+                if (script.src && script.src.includes('https://')) {
+                    script.src = script.src.replace('https://', 'http://');
+                }
+            });
+
+            // Fix all images
+            document.querySelectorAll('img[src]').forEach(function(img) {
+                if (img.src && img.src.includes('https://')) {
+                    img.src = img.src.replace('https://', 'http://');
+                }
+            });
+        });
+    </script>`;
+
+/**
+ * Inserts window.SERVER_CONFIG before </head> so js/config.js picks it up.
+ * The API URL keeps the protocol and host of the incoming request.
+ */
+function serverConfigScript() {
+    return (req, res, next) => {
+        if (!isPageRequest(req)) return next();
+
+        rewriteHtml(req, res, body => {
+            if (res.locals.usingIpAddress) {
+                body = body.replace('<head>', '<head>' + IP_HANDLER_SCRIPT);
+            }
+
+            const configScript = `
+    <script>
+        // Server-injected configuration
+        window.SERVER_CONFIG = {
+            server: "${serverHostname()}",
+            port: "${config.PORT}",
+            apiUrl: "${req.protocol}://${req.headers.host}/api"
+        };
+    </script>`;
+
+            return body.replace('</head>', configScript + '</head>');
+        });
+        next();
+    };
+}
+
+module.exports = {
+    templateVariables,
+    detectIpAccess,
+    serverConfigScript,
+    serverHostname,
+    publicOrigin
+};
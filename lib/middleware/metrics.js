@@ -0,0 +1,28 @@
+/**
+ * Request counts and latencies per route for /metrics
+ */
+
+const { metrics } = require('../metrics');
+
+// Route pattern rather than the URL, so ids and slugs don't multiply the series
+function routeLabel(req, res) {
+    if (req.route) return req.baseUrl + String(req.route.path);
+    return res.statusCode < 400 ? 'static' : 'other';
+}
+
+function requestMetrics() {
+    return (req, res, next) => {
+        const start = process.hrtime.bigint();
+
+        res.once('finish', () => {
+            const route = routeLabel(req, res);
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+            metrics.httpDuration.observe({ method: req.method, route }, seconds);
+        });
+
+        next();
+    };
+}
+
+module.exports = { requestMetrics };
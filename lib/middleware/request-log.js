@@ -0,0 +1,55 @@
+/**
+ * Request IDs and access logs
+ */
+
+const crypto = require('crypto');
+const { redactUrl } = require('../logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// IDs set by a proxy in front of the portal are kept if they look like one
+const VALID_REQUEST_ID = /^[\w.:-]{1,100}$/;
+
+/**
+ * Gives every request an ID, echoed in the X-Request-Id response header,
+ * and a req.log logger that adds it to every line. When the response is
+ * sent (or the client goes away) one access log line is written.
+ *
+ * @param {Object} options
+ * @param {import('../logger').Logger} options.logger
+ */
+function requestLogging({ logger }) {
+    return (req, res, next) => {
+        const incoming = req.get(REQUEST_ID_HEADER);
+        req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+        req.log = logger.child({ requestId: req.id });
+        res.setHeader(REQUEST_ID_HEADER, req.id);
+
+        const start = process.hrtime.bigint();
+        let logged = false;
+
+        const log = () => {
+            if (logged) return;
+            logged = true;
+
+            const aborted = !res.writableFinished;
+            const status = aborted ? null : res.statusCode;
+            req.log[status >= 500 ? 'warn' : 'info']('request', {
+                method: req.method,
+                path: redactUrl(req.originalUrl),
+                status,
+                durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+                bytes: parseInt(res.getHeader('Content-Length'), 10) || undefined,
+                ip: req.ip,
+                userAgent: req.get('user-agent'),
+                user: req.user ? req.user.usuario : undefined,
+                aborted: aborted || undefined
+            });
+        };
+        res.once('finish', log);
+        res.once('close', log);
+
+        next();
+    };
+}
+
+module.exports = { REQUEST_ID_HEADER, requestLogging };
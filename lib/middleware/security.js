@@ -0,0 +1,184 @@
+const rateLimit = require('express-rate-limit');
+const timeout = require('connect-timeout');
+const toobusy = require('toobusy-js');
+const { metrics } = require('../metrics');
+
+// Paths the whitelist lets through; anything else gets a 403
+const ALLOWED_PATTERNS = [
+    // HTML pages
+    /^\/$/,
+    /^\/index\.html$/,
+    /^\/noticias\.html$/,
+    /^\/eventos\.html$/,
+    /^\/servicios\.html$/,
+    /^\/empresas\.html$/,
+    /^\/producto\.html$/,
+    /^\/buscar\.html$/,
+
+    // Server-rendered permalink pages
+    /^\/noticias\/\d+(-[a-z0-9-]+)?$/,
+    /^\/eventos\/\d+(-[a-z0-9-]+)?$/,
+    /^\/servicios\/[a-z0-9-]+$/,
+    /^\/empresas\/[a-z0-9-]+$/,
+
+    // Admin console
+    /^\/admin(\/login)?$/,
+
+    // API endpoints
+    /^\/api\/.+$/,
+
+    // News feeds
+    /^\/feeds\/noticias(-destacadas)?\.(rss|atom)$/,
+
+    // Crawler files
+    /^\/robots\.txt$/,
+    /^\/sitemap(-\d+)?\.xml$/,
+
+    // Images stored in the database
+    /^\/media\/[a-z]+\/\d+\/[a-z0-9]+$/,
+
+    // Login, logout and current session
+    /^\/auth\/(login|logout|session)$/,
+
+    // Allowed asset directories
+    /^\/assets\/.+\.(css|js|png|jpg|jpeg|gif|svg|woff|woff2|ttf|eot|ico|webp)$/,
+    /^\/js\/.+\.js$/,
+    /^\/css\/.+\.css$/,
+
+    // Favicon
+    /^\/favicon\.ico$/
+];
+
+/**
+ * Adds X-Frame-Options and a Content-Security-Policy that allows
+ * Google Fonts and Maps.
+ */
+function securityHeaders() {
+    return (req, res, next) => {
+        // Add X-Frame-Options to prevent clickjacking
+        res.setHeader('X-Frame-Options', 'SAMEORIGIN');
+        res.setHeader('Content-Security-Policy', "default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline' https://fonts.googleapis.com; font-src 'self' https://fonts.gstatic.com; img-src 'self' data: https:; connect-src 'self'; frame-src https://*.google.com https://www.google.com");
+        next();
+    };
+}
+
+/**
+ * Sends Strict-Transport-Security on HTTPS responses; browsers ignore it
+ * over plain HTTP.
+ */
+function strictTransportSecurity({ maxAge, includeSubDomains, preload }) {
+    const value = [`max-age=${maxAge}`, includeSubDomains && 'includeSubDomains', preload && 'preload'].filter(Boolean).join('; ');
+    return (req, res, next) => {
+        if (req.secure) res.setHeader('Strict-Transport-Security', value);
+        next();
+    };
+}
+
+/**
+ * Redirects plain HTTP requests to the same path on HTTPS. Only the
+ * hosts in allowedHosts are redirected to; any other Host header gets a
+ * 400, so a forged one can't send visitors to another site.
+ *
+ * @param {Object} options
+ * @param {number} options.httpsPort
+ * @param {string[]} options.allowedHosts - ALLOWED_REDIRECT_DOMAINS
+ */
+function httpsRedirect({ httpsPort, allowedHosts }) {
+    return (req, res, next) => {
+        if (req.secure) return next();
+
+        const host = (req.hostname || '').toLowerCase();
+        if (!allowedHosts.includes(host)) {
+            req.log.warn('HTTPS redirect refused for a host not in ALLOWED_REDIRECT_DOMAINS', { host });
+            return res.status(400).send('Unknown host');
+        }
+
+        // Only the path and query of the request are kept, never a host from an absolute URL
+        const { pathname, search } = new URL(req.originalUrl, 'http://localhost');
+        const port = httpsPort === 443 ? '' : `:${httpsPort}`;
+        // 308 keeps the method and body of form submissions
+        res.redirect(req.method === 'GET' || req.method === 'HEAD' ? 301 : 308, `https://${host}${port}${pathname}${search}`);
+    };
+}
+
+/**
+ * Blocks every path that is not explicitly allowed.
+ *
+ * @param {RegExp[]} [patterns]
+ * @param {Object} [options]
+ * @param {function(import('express').Request)} [options.onReject] - Called for every blocked request
+ */
+function pathWhitelist(patterns = ALLOWED_PATTERNS, { onReject } = {}) {
+    return (req, res, next) => {
+        const isAllowed = patterns.some(pattern => pattern.test(req.path));
+
+        if (isAllowed) {
+            next();
+        } else {
+            if (onReject) onReject(req);
+            return res.status(403).send('Access Forbidden');
+        }
+    };
+}
+
+/**
+ * Answers 503 while the event loop lags behind more than maxLag ms.
+ */
+function tooBusyGuard({ maxLag }) {
+    toobusy.maxLag(maxLag);
+    return (req, res, next) => {
+        if (toobusy()) {
+            metrics.busyRejections.inc();
+            res.status(503).json({ error: 'Server is too busy. Please try again later.' });
+        } else {
+            next();
+        }
+    };
+}
+
+/**
+ * Per-IP request rate limiter for the API routes. onReject is called
+ * for every request answered with 429. The hits are kept in memory, or
+ * in `store` (shared by the workers in multi-worker mode); requests are
+ * let through when the store fails.
+ */
+function apiRateLimit({ windowMs, max, message, onReject, store }) {
+    return rateLimit({
+        windowMs,
+        max,
+        standardHeaders: true,
+        message,
+        store,
+        passOnStoreError: true,
+        handler(req, res, next, options) {
+            metrics.rateLimitRejections.inc();
+            if (onReject) onReject(req);
+            res.status(options.statusCode).send(options.message);
+        }
+    });
+}
+
+/**
+ * Timeout middleware to prevent slow DoS attacks, followed by the handler
+ * that answers 408 once the request has timed out.
+ */
+function requestTimeout(duration) {
+    return [
+        timeout(duration),
+        (req, res, next) => {
+            if (!req.timedout) next();
+            else res.status(408).json({ error: 'Request timed out. Please try again.' });
+        }
+    ];
+}
+
+module.exports = {
+    ALLOWED_PATTERNS,
+    securityHeaders,
+    strictTransportSecurity,
+    httpsRedirect,
+    pathWhitelist,
+    tooBusyGuard,
+    apiRateLimit,
+    requestTimeout
+};
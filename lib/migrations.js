@@ -0,0 +1,146 @@
+/**
+ * Versioned SQL migrations (db/migrations/<version>_<name>.sql)
+ *
+ * Applied versions are recorded in sitio.migraciones together with a
+ * checksum of the file, so an edited migration is reported instead of
+ * silently ignored. Each migration runs in its own transaction.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'db', 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.sql$/;
+
+// Serializes concurrent runners (two deploys at once) on the same database
+const LOCK_KEY = 73400417;
+
+const CREATE_TABLE = `
+    CREATE SCHEMA IF NOT EXISTS sitio;
+    CREATE TABLE IF NOT EXISTS sitio.migraciones (
+        version  integer PRIMARY KEY,
+        nombre   varchar(255) NOT NULL,
+        checksum char(64) NOT NULL,
+        aplicada timestamptz NOT NULL DEFAULT now()
+    );
+`;
+
+/**
+ * Migration files sorted by version.
+ *
+ * @param {string} [dir]
+ * @return {Array<{version: number, name: string, file: string, sql: string, checksum: string}>}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.sql'))
+        .map(file => {
+            const match = FILE_PATTERN.exec(file);
+            if (!match) throw new Error(`Invalid migration file name "${file}" (expected <version>_<name>.sql)`);
+
+            const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                file,
+                sql,
+                checksum: crypto.createHash('sha256').update(sql).digest('hex')
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file} and ${migration.file}`);
+        }
+    });
+
+    return migrations;
+}
+
+async function appliedVersions(client) {
+    await client.query(CREATE_TABLE);
+    const result = await client.query('SELECT version, checksum, aplicada FROM sitio.migraciones');
+    return new Map(result.rows.map(row => [row.version, row]));
+}
+
+/**
+ * State of every migration file.
+ *
+ * @param {import('pg').Pool} pool
+ * @return {Promise<Array<{version, name, file, appliedAt: Date|null, changed: boolean}>>}
+ */
+async function migrationStatus(pool) {
+    const migrations = loadMigrations();
+    const client = await pool.connect();
+    try {
+        const applied = await appliedVersions(client);
+        return migrations.map(migration => {
+            const row = applied.get(migration.version);
+            return {
+                version: migration.version,
+                name: migration.name,
+                file: migration.file,
+                appliedAt: row ? row.aplicada : null,
+                changed: Boolean(row && row.checksum !== migration.checksum)
+            };
+        });
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Applies the pending migrations in version order and stops at the
+ * first one that fails (its transaction is rolled back).
+ *
+ * @param {import('pg').Pool} pool
+ * @param {Object} [options]
+ * @param {function(string): void} [options.log]
+ * @return {Promise<string[]>} Files applied
+ */
+async function migrate(pool, { log = () => {} } = {}) {
+    const migrations = loadMigrations();
+    const client = await pool.connect();
+    const appliedNow = [];
+
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+        const applied = await appliedVersions(client);
+
+        for (const migration of migrations) {
+            const row = applied.get(migration.version);
+            if (row) {
+                if (row.checksum !== migration.checksum) {
+                    log(`Aviso: ${migration.file} cambió después de aplicarse; cree una migración nueva en lugar de editarla.`);
+                }
+                continue;
+            }
+
+            try {
+                await client.query('BEGIN');
+                await client.query(migration.sql);
+                await client.query(
+                    'INSERT INTO sitio.migraciones (version, nombre, checksum) VALUES ($1, $2, $3)',
+                    [migration.version, migration.name, migration.checksum]
+                );
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK').catch(() => {});
+                error.message = `Migration ${migration.file} failed: ${error.message}`;
+                throw error;
+            }
+
+            appliedNow.push(migration.file);
+            log(`Aplicada ${migration.file}`);
+        }
+
+        return appliedNow;
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+        client.release();
+    }
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, migrationStatus, migrate };
@@ -0,0 +1,146 @@
+/**
+ * Server modes for the GEOCUBA Portal
+ *
+ * Every mode serves the same API routes. A mode only decides how the
+ * server listens and which security layers are switched on.
+ */
+
+const MODES = {
+    // Public deployment: plain HTTP with every security layer enabled
+    standard: {
+        description: 'Servidor HTTP con todas las capas de seguridad',
+        host: '0.0.0.0',
+        https: false,
+        serveStatic: true,
+        helmet: false,
+        securityHeaders: true,
+        whitelist: true,
+        toobusy: { maxLag: 100 },
+        rateLimit: {
+            windowMs: 1 * 60 * 1000, // 1 minute
+            max: 500,
+            message: 'Too many requests from this IP, please try again later.'
+        },
+        timeout: '10s',
+        templateVariables: true,
+        serverConfigScript: false,
+        ipDetection: false,
+        connectionLimit: { maxPerIp: 50, maxQueue: 400 },
+        serverTimeouts: { headersTimeout: 15000, requestTimeout: 10000 }
+    },
+
+    // Development with HTTP on PORT and HTTPS on HTTPS_PORT (PORT+1 by default)
+    dual: {
+        description: 'Servidores HTTP y HTTPS simultáneos para desarrollo',
+        host: undefined,
+        https: true,
+        serveStatic: true,
+        helmet: {
+            contentSecurityPolicy: false, // Disable CSP for development
+            strictTransportSecurity: false // HSTS comes from the HSTS_* settings
+        },
+        securityHeaders: false,
+        whitelist: false,
+        toobusy: false,
+        rateLimit: false,
+        timeout: false,
+        templateVariables: false,
+        serverConfigScript: true,
+        ipDetection: false,
+        connectionLimit: false,
+        serverTimeouts: false
+    },
+
+    // Public deployment over HTTPS (HTTPS_PORT) with every security layer of standard;
+    // the HTTP server on PORT redirects to it with HTTPS_REDIRECT
+    secure: {
+        description: 'Servidor HTTPS con todas las capas de seguridad',
+        host: '0.0.0.0',
+        https: true,
+        serveStatic: true,
+        helmet: false,
+        securityHeaders: true,
+        whitelist: true,
+        toobusy: { maxLag: 100 },
+        rateLimit: {
+            windowMs: 1 * 60 * 1000, // 1 minute
+            max: 500,
+            message: 'Too many requests from this IP, please try again later.'
+        },
+        timeout: '10s',
+        templateVariables: true,
+        serverConfigScript: false,
+        ipDetection: false,
+        connectionLimit: { maxPerIp: 50, maxQueue: 400 },
+        serverTimeouts: { headersTimeout: 15000, requestTimeout: 10000 }
+    },
+
+    // Local network development, reachable by IP address from other devices
+    lan: {
+        description: 'Servidor de desarrollo accesible por IP en la red local',
+        host: '0.0.0.0',
+        https: false,
+        serveStatic: true,
+        helmet: {
+            contentSecurityPolicy: false,
+            crossOriginOpenerPolicy: false,
+            crossOriginEmbedderPolicy: false
+        },
+        securityHeaders: false,
+        whitelist: false,
+        toobusy: false,
+        rateLimit: false,
+        timeout: false,
+        templateVariables: false,
+        serverConfigScript: true,
+        ipDetection: true,
+        connectionLimit: false,
+        serverTimeouts: false
+    },
+
+    // API only, without static pages
+    api: {
+        description: 'Solo API, sin páginas estáticas',
+        host: undefined,
+        https: false,
+        serveStatic: false,
+        helmet: {},
+        securityHeaders: false,
+        whitelist: false,
+        toobusy: false,
+        rateLimit: {
+            windowMs: 1 * 60 * 1000, // 1 minute
+            max: 100,
+            message: 'Too many requests, please try again later.'
+        },
+        timeout: '10s',
+        templateVariables: false,
+        serverConfigScript: false,
+        ipDetection: false,
+        connectionLimit: { maxPerIp: 10, maxQueue: null },
+        serverTimeouts: { headersTimeout: 11000, requestTimeout: 10000 }
+    }
+};
+
+const DEFAULT_MODE = 'standard';
+
+/**
+ * Resolves the mode to run from the command line (--mode=<name>)
+ * or the SERVER_MODE setting.
+ *
+ * @param {string[]} argv - Process arguments
+ * @param {string} [fallback] - Mode without --mode, usually SERVER_MODE from lib/config.js
+ * @return {{name: string}} The mode settings together with its name
+ */
+function resolveMode(argv = process.argv, fallback = DEFAULT_MODE) {
+    const flag = argv.find(arg => arg.startsWith('--mode='));
+    const name = flag ? flag.slice('--mode='.length) : fallback;
+
+    if (!Object.prototype.hasOwnProperty.call(MODES, name)) {
+        throw new Error(`Unknown server mode "${name}". Available modes: ${Object.keys(MODES).join(', ')}`);
+    }
+
+    return { name, ...MODES[name] };
+}
+
+module.exports = { MODES, DEFAULT_MODE, resolveMode };
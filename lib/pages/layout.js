@@ -0,0 +1,112 @@
+/**
+ * HTML shell of the server-rendered pages: per-page title, description,
+ * canonical URL, Open Graph tags and JSON-LD, with the portal's navbar
+ * and stylesheets.
+ */
+
+const { escapeHtml } = require('../text');
+
+const SITE_NAME = 'Portal Web GEOCUBA';
+const LOGO_PATH = '/assets/images/icon2x-354x158.png';
+
+// JSON-LD goes inside <script>, so "<" must not appear literally
+function jsonLd(data) {
+    return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/**
+ * @param {Object} page
+ * @param {string} page.title - Page title (the site name is appended)
+ * @param {string} page.description - Meta and Open Graph description
+ * @param {string} page.canonical - Absolute canonical URL
+ * @param {string} [page.image] - Absolute image URL for link previews
+ * @param {string} [page.ogType] - Open Graph type ("article", "website", ...)
+ * @param {Object} [page.structuredData] - JSON-LD object
+ * @param {string} page.body - Main content HTML
+ * @return {string}
+ */
+function renderPage({ title, description, canonical, image, ogType = 'website', structuredData, body }) {
+    const fullTitle = `${title} - ${SITE_NAME}`;
+    const meta = [
+        `<meta name="description" content="${escapeHtml(description)}">`,
+        `<link rel="canonical" href="${escapeHtml(canonical)}">`,
+        `<meta property="og:site_name" content="${SITE_NAME}">`,
+        '<meta property="og:locale" content="es_ES">',
+        `<meta property="og:type" content="${escapeHtml(ogType)}">`,
+        `<meta property="og:title" content="${escapeHtml(title)}">`,
+        `<meta property="og:description" content="${escapeHtml(description)}">`,
+        `<meta property="og:url" content="${escapeHtml(canonical)}">`,
+        image ? `<meta property="og:image" content="${escapeHtml(image)}">` : '',
+        `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`,
+        structuredData ? `<script type="application/ld+json">${jsonLd(structuredData)}</script>` : ''
+    ].filter(Boolean).join('\n    ');
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1, minimum-scale=1">
+    <link rel="shortcut icon" href="${LOGO_PATH}" type="image/x-icon">
+    <title>${escapeHtml(fullTitle)}</title>
+    ${meta}
+    <link rel="alternate" type="application/rss+xml" title="Noticias GEOCUBA (RSS)" href="/feeds/noticias.rss">
+    <link rel="stylesheet" href="/assets/web/assets/mobirise-icons2/mobirise2.css">
+    <link rel="stylesheet" href="/assets/bootstrap/css/bootstrap.min.css">
+    <link rel="stylesheet" href="/assets/bootstrap/css/bootstrap-grid.min.css">
+    <link rel="stylesheet" href="/assets/bootstrap/css/bootstrap-reboot.min.css">
+    <link rel="stylesheet" href="/assets/dropdown/css/style.css">
+    <link rel="stylesheet" href="/assets/socicon/css/styles.css">
+    <link rel="stylesheet" href="/assets/theme/css/style.css">
+    <link rel="stylesheet" href="/assets/mobirise/css/mbr-additional.css" type="text/css">
+    <link rel="stylesheet" href="/css/pages.css">
+</head>
+<body>
+    <section data-bs-version="5.1" class="menu menu1 cid-umARzPo6Q0" once="menu">
+        <nav class="navbar navbar-dropdown navbar-fixed-top navbar-expand-lg">
+            <div class="container">
+                <div class="navbar-brand">
+                    <span class="navbar-logo">
+                        <a href="/index.html">
+                            <img src="${LOGO_PATH}" alt="Portal Web OSDE GEOCUBA" style="height: 3.7rem;">
+                        </a>
+                    </span>
+                </div>
+                <button class="navbar-toggler" type="button" data-bs-toggle="collapse" data-bs-target="#navbarSupportedContent"
+                    aria-controls="navbarSupportedContent" aria-expanded="false" aria-label="Toggle navigation">
+                    <div class="hamburger">
+                        <span></span>
+                        <span></span>
+                        <span></span>
+                        <span></span>
+                    </div>
+                </button>
+                <div class="collapse navbar-collapse" id="navbarSupportedContent">
+                    <ul class="navbar-nav nav-dropdown nav-right">
+                        <li class="nav-item"><a class="nav-link link text-black text-primary" href="/index.html"><strong>Inicio</strong></a></li>
+                        <li class="nav-item"><a class="nav-link link text-black text-primary" href="/servicios.html"><strong>Bienes y Servicios</strong></a></li>
+                        <li class="nav-item"><a class="nav-link link text-black text-primary" href="/empresas.html"><strong>Empresas</strong></a></li>
+                        <li class="nav-item"><a class="nav-link link text-black text-primary" href="/eventos.html"><strong>Eventos</strong></a></li>
+                        <li class="nav-item"><a class="nav-link link text-black text-primary" href="/noticias.html"><strong>Noticias</strong></a></li>
+                    </ul>
+                    <form class="d-flex my-2 my-lg-0 mx-lg-2" role="search" action="/buscar.html" method="get">
+                        <input class="form-control form-control-sm" type="search" name="q" placeholder="Buscar..." aria-label="Buscar en el portal" minlength="2" maxlength="200" required>
+                    </form>
+                </div>
+            </div>
+        </nav>
+    </section>
+
+    <main class="permalink-page">
+        <div class="container">
+${body}
+        </div>
+    </main>
+
+    <script src="/assets/bootstrap/js/bootstrap.bundle.min.js" defer></script>
+    <script src="/assets/dropdown/js/navbar-dropdown.js" defer></script>
+</body>
+</html>
+`;
+}
+
+module.exports = { SITE_NAME, LOGO_PATH, renderPage };
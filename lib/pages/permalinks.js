@@ -0,0 +1,30 @@
+/**
+ * Permanent URLs of the server-rendered content pages
+ */
+
+const { slugify } = require('../text');
+
+// Names without letters or digits fall back to the id so every row has a slug
+function nameSlug(name, id) {
+    return slugify(name) || String(id);
+}
+
+function noticiaPath({ id, titulo }) {
+    const slug = slugify(titulo);
+    return slug ? `/noticias/${id}-${slug}` : `/noticias/${id}`;
+}
+
+function eventoPath({ id, titulo }) {
+    const slug = slugify(titulo);
+    return slug ? `/eventos/${id}-${slug}` : `/eventos/${id}`;
+}
+
+function servicioPath({ id, nombre }) {
+    return `/servicios/${nameSlug(nombre, id)}`;
+}
+
+function empresaPath({ id, empresa }) {
+    return `/empresas/${nameSlug(empresa, id)}`;
+}
+
+module.exports = { nameSlug, noticiaPath, eventoPath, servicioPath, empresaPath };
@@ -0,0 +1,99 @@
+/**
+ * Named reports available through /api/reports/:name
+ *
+ * Each report declares its parameters and a parameterized SELECT.
+ * Parameters are validated before the query runs, and values are passed
+ * only as bind parameters ($1, $2, ...), never interpolated into the SQL.
+ */
+
+// Checked when the report runs, so a long-running server accepts the new year
+const nextYear = () => new Date().getFullYear() + 1;
+
+module.exports = {
+    'noticias-por-mes': {
+        description: 'Cantidad de noticias publicadas por mes',
+        params: {
+            anio: { type: 'integer', min: 1990, max: nextYear, required: false }
+        },
+        sql: `
+            SELECT TO_CHAR(date_trunc('month', fecha), 'YYYY-MM') AS mes,
+                   COUNT(*)::int AS total,
+                   COUNT(*) FILTER (WHERE destacar)::int AS destacadas
+            FROM sitio.noticias
+            WHERE $1::int IS NULL OR EXTRACT(YEAR FROM fecha) = $1::int
+            GROUP BY 1
+            ORDER BY 1 DESC
+        `,
+        values: ({ anio }) => [anio]
+    },
+
+    'noticias': {
+        description: 'Listado de noticias sin contenido binario',
+        params: {
+            destacar: { type: 'boolean', required: false },
+            limite: { type: 'integer', min: 1, max: 500, default: 50 }
+        },
+        sql: `
+            SELECT id, titulo, link, destacar, TO_CHAR(fecha, 'YYYY-MM-DD') AS fecha,
+                   imagen IS NOT NULL AS tiene_imagen
+            FROM sitio.noticias
+            WHERE $1::boolean IS NULL OR destacar = $1::boolean
+            ORDER BY fecha DESC, id DESC
+            LIMIT $2
+        `,
+        values: ({ destacar, limite }) => [destacar, limite]
+    },
+
+    'eventos-por-anio': {
+        description: 'Cantidad de eventos por año de inicio',
+        params: {},
+        sql: `
+            SELECT EXTRACT(YEAR FROM fechai)::int AS anio, COUNT(*)::int AS total
+            FROM sitio.eventos
+            GROUP BY 1
+            ORDER BY 1 DESC
+        `,
+        values: () => []
+    },
+
+    'empresas': {
+        description: 'Directorio de empresas sin logos',
+        params: {
+            especializada: { type: 'boolean', required: false }
+        },
+        sql: `
+            SELECT id, empresa, direccion, telf, mail, sitio, especializada
+            FROM sitio.empresas
+            WHERE $1::boolean IS NULL OR especializada = $1::boolean
+            ORDER BY especializada DESC, empresa ASC
+        `,
+        values: ({ especializada }) => [especializada]
+    },
+
+    'lineas-por-servicio': {
+        description: 'Cantidad de líneas de producto por servicio',
+        params: {},
+        sql: `
+            SELECT s.id, s.nombre, COUNT(l.id)::int AS lineas
+            FROM sitio.productos_servicios s
+            LEFT JOIN sitio.lineaprod l ON l.servicioid = s.id
+            GROUP BY s.id, s.nombre
+            ORDER BY s.id ASC
+        `,
+        values: () => []
+    },
+
+    'resumen-contenidos': {
+        description: 'Totales de registros por tipo de contenido',
+        params: {},
+        sql: `
+            SELECT 'noticias' AS contenido, COUNT(*)::int AS total FROM sitio.noticias
+            UNION ALL SELECT 'eventos', COUNT(*)::int FROM sitio.eventos
+            UNION ALL SELECT 'empresas', COUNT(*)::int FROM sitio.empresas
+            UNION ALL SELECT 'servicios', COUNT(*)::int FROM sitio.productos_servicios
+            UNION ALL SELECT 'lineas de producto', COUNT(*)::int FROM sitio.lineaprod
+            UNION ALL SELECT 'preguntas', COUNT(*)::int FROM sitio.preguntas
+        `,
+        values: () => []
+    }
+};
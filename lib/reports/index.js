@@ -0,0 +1,109 @@
+/**
+ * Registry and runner for the named, read-only reports
+ */
+
+const REPORTS = require('./definitions');
+const { ValidationError, TYPES } = require('../validation');
+
+const DEFAULT_STATEMENT_TIMEOUT_MS = 5000;
+
+// Thrown when the request parameters do not match the report definition
+class ReportParamError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReportParamError';
+    }
+}
+
+// Parameter spec with a `max` given as a function computed now, for bounds that move with the date
+function resolveSpec(spec) {
+    return typeof spec.max === 'function' ? { ...spec, max: spec.max() } : spec;
+}
+
+/**
+ * Parameters of a report as they apply right now, for listing them.
+ *
+ * @param {Object} report - Report definition
+ * @return {Object} Parameter specs with their bounds resolved
+ */
+function describeParams(report) {
+    return Object.fromEntries(Object.entries(report.params).map(([name, spec]) => [name, resolveSpec(spec)]));
+}
+
+/**
+ * Converts a raw query string or JSON value with the field types of
+ * lib/validation.js.
+ */
+function coerce(name, spec, raw) {
+    const convert = TYPES[spec.type];
+    if (!convert) throw new Error(`Unsupported parameter type "${spec.type}" for "${name}".`);
+
+    try {
+        return convert(raw, resolveSpec(spec), name);
+    } catch (error) {
+        if (error instanceof ValidationError) throw new ReportParamError(error.message);
+        throw error;
+    }
+}
+
+/**
+ * Validates the incoming parameters against the report definition.
+ * Unknown parameters are rejected so typos don't silently change results.
+ *
+ * @param {Object} report - Report definition
+ * @param {Object} input - Raw parameters (query string or JSON body)
+ * @return {Object} Parameters converted to their declared types
+ */
+function validateParams(report, input = {}) {
+    const unknown = Object.keys(input).filter(key => !Object.prototype.hasOwnProperty.call(report.params, key));
+    if (unknown.length > 0) {
+        throw new ReportParamError(`Unknown parameter(s): ${unknown.join(', ')}.`);
+    }
+
+    const params = {};
+    Object.entries(report.params).forEach(([name, spec]) => {
+        const raw = input[name];
+        if (raw === undefined || raw === '') {
+            if (spec.required) {
+                throw new ReportParamError(`Parameter "${name}" is required.`);
+            }
+            params[name] = spec.default !== undefined ? spec.default : null;
+            return;
+        }
+        params[name] = coerce(name, spec, raw);
+    });
+    return params;
+}
+
+/**
+ * Runs a report inside a read-only transaction with a statement timeout.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {Object} report - Report definition
+ * @param {Object} params - Validated parameters
+ * @param {number} [timeoutMs] - Statement timeout in milliseconds
+ * @return {Promise<Object[]>} Result rows
+ */
+async function runReport(pool, report, params, timeoutMs = DEFAULT_STATEMENT_TIMEOUT_MS) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN READ ONLY');
+        await client.query(`SET LOCAL statement_timeout = ${parseInt(timeoutMs, 10)}`);
+        const result = await client.query(report.sql, report.values(params));
+        await client.query('COMMIT');
+        return result.rows;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    REPORTS,
+    ReportParamError,
+    describeParams,
+    validateParams,
+    runReport
+};
@@ -0,0 +1,82 @@
+/**
+ * Data access for the public pages and API
+ *
+ * The routes read content through these repositories instead of querying
+ * PostgreSQL directly, so the portal can also run from a JSON snapshot
+ * (DATA_BACKEND=snapshot) on a machine without a database. The snapshot
+ * backend is read-only: sign-in, content management and reports need
+ * PostgreSQL.
+ *
+ * @typedef {Object} PresentacionRepo
+ * @property {function(): Promise<Object[]>} list
+ *
+ * @typedef {Object} PreguntasRepo
+ * @property {function(): Promise<Object[]>} list
+ *
+ * @typedef {Object} NoticiasRepo
+ * @property {function(): Promise<Object[]>} listDestacadas - Featured news, newest id first
+ * @property {function({page, size, year, month, destacar}): Promise<{noticias, total, years}>} archive
+ * @property {function(number): Promise<Object|null>} findById
+ * @property {function({destacar, limit}): Promise<Object[]>} listLatest - For the feeds
+ * @property {function(): Promise<Object[]>} listUpdates - { id, titulo, actualizado } for the sitemap
+ *
+ * @typedef {Object} EventosRepo
+ * @property {function(): Promise<Object[]>} list
+ * @property {function(number): Promise<Object|null>} findById
+ * @property {function(number): Promise<{pdf: Buffer, nombre: string}|null>} findDescarga
+ * @property {function(): Promise<Object[]>} listCalendar - Upcoming and ongoing events
+ * @property {function(number): Promise<Object|null>} findCalendar
+ * @property {function(): Promise<Object[]>} listUpdates
+ *
+ * @typedef {Object} EmpresasRepo
+ * @property {function(): Promise<Object[]>} listNames
+ * @property {function(): Promise<Object[]>} listDetails - Specialized companies first, then by name
+ * @property {function(): Promise<Object[]>} listAll - By id, with the modification date
+ *
+ * @typedef {Object} ServiciosRepo
+ * @property {function(): Promise<Object[]>} list
+ * @property {function(string): Promise<Object|null>} findByName
+ * @property {function(): Promise<Object[]>} listAll - By id, with the modification date
+ * @property {function(number): Promise<Object[]>} listLineas - Product lines in display order
+ *
+ * @typedef {Object} MediaRepo
+ * @property {function(string, number, string, string[]): Promise<{hash, data}|null>} find
+ *
+ * @typedef {Object} Repos
+ * @property {'postgres'|'snapshot'} backend
+ * @property {boolean} readOnly
+ * @property {PresentacionRepo} presentacion
+ * @property {PreguntasRepo} preguntas
+ * @property {NoticiasRepo} noticias
+ * @property {EventosRepo} eventos
+ * @property {EmpresasRepo} empresas
+ * @property {ServiciosRepo} servicios
+ * @property {MediaRepo} media
+ * @property {{search: function(string): Promise<Object[]>}} search
+ */
+
+const path = require('path');
+const { createPostgresRepos } = require('./postgres');
+const { loadSnapshotRepos } = require('./snapshot');
+const { getConfig } = require('../config');
+
+const BACKENDS = ['postgres', 'snapshot'];
+const DEFAULT_SNAPSHOT_FILE = path.join(__dirname, '..', '..', 'data', 'snapshot.json');
+
+/**
+ * Builds the repositories of the backend chosen with DATA_BACKEND.
+ *
+ * @param {Object} options
+ * @param {import('pg').Pool} [options.pool] - Required by the postgres backend
+ * @param {string} [options.backend] - Defaults to DATA_BACKEND, or "postgres"
+ * @param {string} [options.snapshotFile] - Defaults to SNAPSHOT_FILE, or data/snapshot.json
+ * @return {Repos}
+ */
+function createRepos({ pool, backend = getConfig().DATA_BACKEND, snapshotFile = getConfig().SNAPSHOT_FILE || DEFAULT_SNAPSHOT_FILE } = {}) {
+    if (!BACKENDS.includes(backend)) {
+        throw new Error(`Unknown data backend "${backend}". Available backends: ${BACKENDS.join(', ')}`);
+    }
+    return backend === 'snapshot' ? loadSnapshotRepos(snapshotFile) : createPostgresRepos(pool);
+}
+
+module.exports = { BACKENDS, DEFAULT_SNAPSHOT_FILE, createRepos, createPostgresRepos };
@@ -0,0 +1,307 @@
+/**
+ * PostgreSQL backend of the repositories (see lib/repos/index.js)
+ */
+
+const { mediaUrlSql, MEDIA_SOURCES } = require('../media');
+const { search } = require('../search');
+
+// All-day range from the date columns; DTEND is the day after fechaf
+const SELECT_CALENDAR = `
+    SELECT id, titulo, lugar, descripcion, link,
+           TO_CHAR(fechai::date, 'YYYYMMDD') as inicio,
+           TO_CHAR(COALESCE(fechaf, fechai)::date + 1, 'YYYYMMDD') as fin
+    FROM sitio.eventos
+`;
+
+function presentacionRepo(pool) {
+    return {
+        async list() {
+            const result = await pool.query(`
+                SELECT id, titulo, qsomos, objetivo, qhacemos, clogramos, descripcion,
+                       ${mediaUrlSql('presentacion', 'imagen')},
+                       ${mediaUrlSql('presentacion', 'img')}
+                FROM sitio.presentacion
+            `);
+            return result.rows;
+        }
+    };
+}
+
+function preguntasRepo(pool) {
+    return {
+        async list() {
+            const result = await pool.query(`
+                SELECT id, pregunta, respuesta, TO_CHAR(fecha, 'YYYY-MM-DD') as fecha
+                FROM sitio.preguntas
+                ORDER BY id ASC
+            `);
+            return result.rows;
+        }
+    };
+}
+
+function noticiasRepo(pool) {
+    return {
+        async listDestacadas() {
+            const result = await pool.query(`
+                SELECT id, titulo, noticia, link,
+                       ${mediaUrlSql('noticias', 'imagen')}
+                FROM sitio.noticias
+                WHERE destacar = true
+                ORDER BY id DESC
+            `);
+            return result.rows;
+        },
+
+        async archive({ page, size, year, month, destacar }) {
+            const where = `
+                WHERE ($1::int IS NULL OR EXTRACT(YEAR FROM fecha) = $1)
+                  AND ($2::int IS NULL OR EXTRACT(MONTH FROM fecha) = $2)
+                  AND ($3::boolean IS NULL OR destacar = $3)
+            `;
+            const values = [year, month, destacar];
+
+            const [rows, count, years] = await Promise.all([
+                pool.query(`
+                    SELECT id, titulo, noticia, link, destacar,
+                           ${mediaUrlSql('noticias', 'imagen', { table: 'n' })},
+                           TO_CHAR(fecha, 'DD/MM/YYYY') as fecha
+                    FROM sitio.noticias n
+                    ${where}
+                    -- n.fecha: a bare "fecha" would sort by the DD/MM/YYYY text
+                    ORDER BY n.fecha DESC NULLS LAST, n.id DESC
+                    LIMIT $4 OFFSET $5
+                `, [...values, size, (page - 1) * size]),
+                pool.query(`SELECT COUNT(*)::int as total FROM sitio.noticias ${where}`, values),
+                // Year sidebar of the archive; only the destacar filter applies
+                pool.query(`
+                    SELECT EXTRACT(YEAR FROM fecha)::int as year, COUNT(*)::int as total
+                    FROM sitio.noticias
+                    WHERE fecha IS NOT NULL AND ($1::boolean IS NULL OR destacar = $1)
+                    GROUP BY 1
+                    ORDER BY 1 DESC
+                `, [destacar])
+            ]);
+
+            return { noticias: rows.rows, total: count.rows[0].total, years: years.rows };
+        },
+
+        async findById(id) {
+            const result = await pool.query(`
+                SELECT id, titulo, noticia, link, destacar,
+                       ${mediaUrlSql('noticias', 'imagen')},
+                       TO_CHAR(fecha, 'DD/MM/YYYY') as fecha,
+                       TO_CHAR(fecha, 'YYYY-MM-DD') as fecha_iso
+                FROM sitio.noticias
+                WHERE id = $1;
+            `, [id]);
+            return result.rows[0] || null;
+        },
+
+        // Newest first; the first bytes of the image are enough to detect its type
+        async listLatest({ destacar = null, limit }) {
+            const result = await pool.query(`
+                SELECT id, titulo, noticia,
+                       TO_CHAR(fecha, 'YYYY-MM-DD') as fecha,
+                       ${mediaUrlSql('noticias', 'imagen', { alias: 'imagen_url', table: 'n' })},
+                       octet_length(n.imagen) as imagen_bytes,
+                       substring(n.imagen from 1 for 16) as imagen_cabecera
+                FROM sitio.noticias n
+                WHERE ($1::boolean IS NULL OR destacar = $1)
+                ORDER BY n.fecha DESC NULLS LAST, n.id DESC
+                LIMIT $2
+            `, [destacar, limit]);
+            return result.rows;
+        },
+
+        async listUpdates() {
+            const result = await pool.query('SELECT id, titulo, actualizado FROM sitio.noticias ORDER BY fecha DESC NULLS LAST, id DESC');
+            return result.rows;
+        }
+    };
+}
+
+function eventosRepo(pool) {
+    return {
+        async list() {
+            // Uploaded brochures are served by the portal; otherwise descarga is an external URL
+            const result = await pool.query(`
+                SELECT id, titulo,
+                       TO_CHAR(fechai, 'DD/MM/YYYY') as fechai,
+                       TO_CHAR(fechaf, 'DD/MM/YYYY') as fechaf,
+                       descripcion, link, lugar,
+                       CASE WHEN descarga_pdf IS NOT NULL
+                            THEN '/api/get-evento-descarga/' || id
+                            ELSE descarga END as descarga,
+                       ${mediaUrlSql('eventos', 'imagen')}
+                FROM sitio.eventos
+                ORDER BY eventos.fechai DESC NULLS LAST, eventos.id DESC;
+            `);
+            return result.rows;
+        },
+
+        async findById(id) {
+            const result = await pool.query(`
+                SELECT id, titulo, lugar, descripcion, link,
+                       TO_CHAR(fechai, 'DD/MM/YYYY') as fechai,
+                       TO_CHAR(fechaf, 'DD/MM/YYYY') as fechaf,
+                       TO_CHAR(fechai, 'YYYY-MM-DD') as fechai_iso,
+                       TO_CHAR(COALESCE(fechaf, fechai), 'YYYY-MM-DD') as fechaf_iso,
+                       CASE WHEN descarga_pdf IS NOT NULL
+                            THEN '/api/get-evento-descarga/' || id
+                            ELSE descarga END as descarga,
+                       ${mediaUrlSql('eventos', 'imagen')}
+                FROM sitio.eventos
+                WHERE id = $1
+            `, [id]);
+            return result.rows[0] || null;
+        },
+
+        async findDescarga(id) {
+            const result = await pool.query(`
+                SELECT descarga_pdf as pdf, descarga_nombre as nombre
+                FROM sitio.eventos
+                WHERE id = $1 AND descarga_pdf IS NOT NULL
+            `, [id]);
+            return result.rows[0] || null;
+        },
+
+        // Upcoming and ongoing events for the calendar feed
+        async listCalendar() {
+            const result = await pool.query(`
+                ${SELECT_CALENDAR}
+                WHERE fechai IS NOT NULL AND COALESCE(fechaf, fechai) >= CURRENT_DATE
+                ORDER BY fechai ASC
+            `);
+            return result.rows;
+        },
+
+        async findCalendar(id) {
+            const result = await pool.query(`${SELECT_CALENDAR} WHERE id = $1 AND fechai IS NOT NULL`, [id]);
+            return result.rows[0] || null;
+        },
+
+        async listUpdates() {
+            const result = await pool.query('SELECT id, titulo, actualizado FROM sitio.eventos ORDER BY fechai DESC NULLS LAST, id DESC');
+            return result.rows;
+        }
+    };
+}
+
+function empresasRepo(pool) {
+    return {
+        async listNames() {
+            const result = await pool.query('SELECT empresa FROM sitio.empresas ORDER BY id');
+            return result.rows;
+        },
+
+        async listDetails() {
+            const result = await pool.query(`
+                SELECT id, empresa, descripcion, direccion, telf, mail, sitio, especializada,
+                       ${mediaUrlSql('empresas', 'logo')}
+                FROM sitio.empresas
+                ORDER BY especializada DESC, empresa ASC
+            `);
+            return result.rows;
+        },
+
+        // By id, with the modification date
+        async listAll() {
+            const result = await pool.query(`
+                SELECT id, empresa, descripcion, direccion, telf, mail, sitio, especializada, actualizado,
+                       ${mediaUrlSql('empresas', 'logo')}
+                FROM sitio.empresas
+                ORDER BY id ASC
+            `);
+            return result.rows;
+        }
+    };
+}
+
+function serviciosRepo(pool) {
+    return {
+        async list() {
+            const result = await pool.query(`
+                SELECT id, nombre, descripcion, link,
+                       ${mediaUrlSql('servicios', 'img')}
+                FROM sitio.productos_servicios
+                ORDER BY id ASC
+            `);
+            return result.rows;
+        },
+
+        async findByName(nombre) {
+            const result = await pool.query(`
+                SELECT id, nombre, descripcion, contacto,
+                       ${mediaUrlSql('servicios', 'img')},
+                       ${mediaUrlSql('servicios', 'img2')}
+                FROM sitio.productos_servicios
+                WHERE nombre = $1
+            `, [nombre]);
+            return result.rows[0] || null;
+        },
+
+        // By id; editing a product line also counts as a change of its service
+        async listAll() {
+            const result = await pool.query(`
+                SELECT s.id, s.nombre, s.descripcion, s.contacto,
+                       GREATEST(s.actualizado, (SELECT max(l.actualizado) FROM sitio.lineaprod l WHERE l.servicioid = s.id)) as actualizado,
+                       ${mediaUrlSql('servicios', 'img', { table: 's' })}
+                FROM sitio.productos_servicios s
+                ORDER BY s.id ASC
+            `);
+            return result.rows;
+        },
+
+        async listLineas(servicioId) {
+            const result = await pool.query(`
+                SELECT id, titulo, descripcion,
+                       ${mediaUrlSql('lineas', 'img')}
+                FROM sitio.lineaprod
+                WHERE servicioid = $1
+                ORDER BY orden ASC NULLS LAST, id ASC
+            `, [servicioId]);
+            return result.rows;
+        }
+    };
+}
+
+function mediaRepo(pool) {
+    return {
+        /**
+         * @return {Promise<{hash: string, data: Buffer|null}|null>} data is null
+         *     when the hash is one of knownHashes (the client's copy is current)
+         */
+        async find(entity, id, column, knownHashes = []) {
+            const source = MEDIA_SOURCES[entity];
+            const result = await pool.query(`
+                SELECT md5(${column}) as hash,
+                       CASE WHEN NOT (md5(${column}) = ANY($2::text[])) THEN ${column} END as data
+                FROM ${source.table}
+                WHERE id = $1
+            `, [id, knownHashes]);
+            const row = result.rows[0];
+            return row && row.hash ? row : null;
+        }
+    };
+}
+
+/**
+ * @param {import('pg').Pool} pool
+ */
+function createPostgresRepos(pool) {
+    return {
+        backend: 'postgres',
+        readOnly: false,
+        presentacion: presentacionRepo(pool),
+        preguntas: preguntasRepo(pool),
+        noticias: noticiasRepo(pool),
+        eventos: eventosRepo(pool),
+        empresas: empresasRepo(pool),
+        servicios: serviciosRepo(pool),
+        media: mediaRepo(pool),
+        search: { search: text => search(pool, text) }
+    };
+}
+
+module.exports = { createPostgresRepos };
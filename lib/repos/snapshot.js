@@ -0,0 +1,548 @@
+/**
+ * Read-only JSON snapshot backend of the repositories (see lib/repos/index.js)
+ *
+ * A snapshot holds the rows of the content tables, with dates as
+ * YYYY-MM-DD text, and the stored files in base64 under "media" keyed
+ * "<entity>/<id>/<column>" (the /media URL path). It is written by
+ * exportSnapshot() from PostgreSQL and answers the same queries as
+ * lib/repos/postgres.js from memory.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { MEDIA_SOURCES, VERSION_LENGTH } = require('../media');
+const { escapeHtml } = require('../text');
+const { SOURCES, RESULTS_PER_TYPE, checkQuery } = require('../search');
+
+const SNAPSHOT_VERSION = 1;
+
+// Columns exported per table; binary columns travel in "media"
+const TABLES = {
+    presentacion: 'SELECT id, titulo, descripcion, qsomos, objetivo, qhacemos, clogramos FROM sitio.presentacion ORDER BY id',
+    noticias: `SELECT id, titulo, noticia, link, destacar, TO_CHAR(fecha, 'YYYY-MM-DD') as fecha, actualizado
+               FROM sitio.noticias ORDER BY id`,
+    eventos: `SELECT id, titulo, lugar, TO_CHAR(fechai, 'YYYY-MM-DD') as fechai, TO_CHAR(fechaf, 'YYYY-MM-DD') as fechaf,
+                     descripcion, link, descarga, descarga_nombre, actualizado
+              FROM sitio.eventos ORDER BY id`,
+    empresas: `SELECT id, empresa, descripcion, direccion, telf, mail, sitio, especializada, actualizado
+               FROM sitio.empresas ORDER BY id`,
+    productos_servicios: 'SELECT id, nombre, descripcion, link, contacto, actualizado FROM sitio.productos_servicios ORDER BY id',
+    lineaprod: 'SELECT id, servicioid, titulo, descripcion, orden, actualizado FROM sitio.lineaprod ORDER BY id',
+    preguntas: `SELECT id, pregunta, respuesta, TO_CHAR(fecha, 'YYYY-MM-DD') as fecha FROM sitio.preguntas ORDER BY id`
+};
+
+// Files that are not images: the event brochures
+const EXTRA_MEDIA = { eventos: { table: 'sitio.eventos', columns: ['descarga_pdf'] } };
+
+// Search sources (lib/search.js) and the snapshot table each one reads
+const SEARCH_TABLES = {
+    noticias: 'noticias',
+    eventos: 'eventos',
+    servicios: 'productos_servicios',
+    lineas: 'lineaprod',
+    empresas: 'empresas',
+    preguntas: 'preguntas'
+};
+
+const SNIPPET_LENGTH = 220;
+
+/**
+ * Reads the content tables and stored files into a snapshot object.
+ *
+ * @param {import('pg').Pool} pool
+ * @return {Promise<Object>}
+ */
+async function exportSnapshot(pool) {
+    const snapshot = { version: SNAPSHOT_VERSION, exportedAt: new Date().toISOString(), tables: {}, media: {} };
+
+    for (const [table, sql] of Object.entries(TABLES)) {
+        snapshot.tables[table] = (await pool.query(sql)).rows;
+    }
+
+    const sources = [...Object.entries(MEDIA_SOURCES), ...Object.entries(EXTRA_MEDIA)];
+    for (const [entity, { table, columns }] of sources) {
+        for (const column of columns) {
+            const result = await pool.query(`SELECT id, encode(${column}, 'base64') as data FROM ${table} WHERE ${column} IS NOT NULL`);
+            for (const row of result.rows) {
+                snapshot.media[`${entity}/${row.id}/${column}`] = row.data.replace(/\n/g, '');
+            }
+        }
+    }
+
+    return snapshot;
+}
+
+// ================= DATE AND SORT HELPERS =================
+
+// YYYY-MM-DD -> DD/MM/YYYY, as TO_CHAR(fecha, 'DD/MM/YYYY')
+function displayDate(date) {
+    return date ? date.split('-').reverse().join('/') : null;
+}
+
+// YYYY-MM-DD (+ days) -> YYYYMMDD
+function compactDate(date, days = 0) {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function localToday() {
+    const now = new Date();
+    const pad = number => String(number).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+// Newest first with missing values last, then by id descending
+function byDateDesc(field) {
+    return (a, b) => {
+        if (a[field] !== b[field]) {
+            if (!a[field]) return 1;
+            if (!b[field]) return -1;
+            return a[field] < b[field] ? 1 : -1;
+        }
+        return b.id - a.id;
+    };
+}
+
+function byId(a, b) {
+    return a.id - b.id;
+}
+
+function toDate(value) {
+    return value ? new Date(value) : null;
+}
+
+// ================= SEARCH =================
+
+// One character in, one character out, so offsets in the folded text match the original
+function fold(text) {
+    return Array.from(String(text || ''), char => {
+        const folded = char.normalize('NFD').charAt(0).toLowerCase();
+        return folded.length === 1 ? folded : char;
+    }).join('');
+}
+
+/**
+ * Web search syntax, as websearch_to_tsquery understands it:
+ * "quoted phrases", -exclusions and "or" between alternatives.
+ * Returns the alternatives, each with its required and excluded terms.
+ */
+function parseSearch(q) {
+    const alternatives = [{ include: [], exclude: [] }];
+    const pattern = /(-?)"([^"]*)"|(-?)(\S+)/g;
+    let match;
+    while ((match = pattern.exec(q)) !== null) {
+        const negated = Boolean(match[1] || match[3]);
+        const term = fold(match[2] !== undefined ? match[2] : match[4]).replace(/[^\p{L}\p{N} ]/gu, ' ').trim();
+        if (!term) continue;
+        if (!negated && term === 'or') {
+            alternatives.push({ include: [], exclude: [] });
+            continue;
+        }
+        alternatives[alternatives.length - 1][negated ? 'exclude' : 'include'].push(term);
+    }
+    return alternatives.filter(alternative => alternative.include.length > 0);
+}
+
+function occurrences(text, term) {
+    let count = 0;
+    for (let index = text.indexOf(term); index !== -1; index = text.indexOf(term, index + term.length)) count++;
+    return count;
+}
+
+// Escaped excerpt around the first match with every match marked
+function snippet(body, terms) {
+    const folded = fold(body);
+    const first = Math.min(...terms.map(term => folded.indexOf(term)).filter(index => index !== -1), folded.length);
+    const start = first === folded.length ? 0 : Math.max(0, first - SNIPPET_LENGTH / 3);
+    const end = Math.min(body.length, start + SNIPPET_LENGTH);
+
+    const ranges = [];
+    for (const term of terms) {
+        for (let index = folded.indexOf(term, start); index !== -1 && index < end; index = folded.indexOf(term, index + term.length)) {
+            ranges.push([index, Math.min(index + term.length, end)]);
+        }
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    let html = start > 0 ? '… ' : '';
+    let position = start;
+    for (const [from, to] of ranges) {
+        if (from < position) continue;
+        html += `${escapeHtml(body.slice(position, from))}<mark>${escapeHtml(body.slice(from, to))}</mark>`;
+        position = to;
+    }
+    html += escapeHtml(body.slice(position, end));
+    return end < body.length ? `${html} …` : html;
+}
+
+function snapshotSearch(tables, text) {
+    const alternatives = parseSearch(checkQuery(text));
+    const servicios = new Map(tables.productos_servicios.map(row => [row.id, row]));
+    const results = [];
+
+    for (const [type, source] of Object.entries(SOURCES)) {
+        const column = expression => expression.replace(/^t\./, '');
+        const matches = [];
+
+        for (const row of tables[SEARCH_TABLES[type]]) {
+            const titulo = row[column(source.title)];
+            const body = source.body.map(expression => row[column(expression)] || '').join(' ');
+            const document = fold(`${titulo || ''} ${body}`);
+
+            const alternative = alternatives.find(({ include, exclude }) =>
+                include.every(term => document.includes(term)) && !exclude.some(term => document.includes(term)));
+            if (!alternative) continue;
+
+            const foldedTitle = fold(titulo);
+            const rank = alternative.include.reduce((total, term) =>
+                total + occurrences(document, term) + (foldedTitle.includes(term) ? 1 : 0), 0);
+            const ref = type === 'lineas' ? (servicios.get(row.servicioid) || {}).nombre : null;
+
+            matches.push({ tipo: type, id: row.id, titulo, ref, rank, snippet: snippet(body, alternative.include) });
+        }
+
+        matches.sort((a, b) => b.rank - a.rank);
+        results.push(...matches.slice(0, RESULTS_PER_TYPE));
+    }
+
+    return results
+        .sort((a, b) => b.rank - a.rank)
+        .map(row => ({
+            tipo: row.tipo,
+            tipoLabel: SOURCES[row.tipo].label,
+            id: row.id,
+            titulo: row.titulo,
+            snippet: row.snippet,
+            url: SOURCES[row.tipo].url(row),
+            rank: row.rank
+        }));
+}
+
+// ================= REPOSITORIES =================
+
+/**
+ * @param {Object} snapshot - Parsed snapshot (see exportSnapshot)
+ */
+function createSnapshotRepos(snapshot) {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !snapshot.tables) {
+        throw new Error(`Unsupported snapshot format (expected version ${SNAPSHOT_VERSION})`);
+    }
+
+    const tables = {};
+    for (const table of Object.keys(TABLES)) {
+        tables[table] = (snapshot.tables[table] || []).slice().sort(byId);
+    }
+
+    // key -> { data, hash }
+    const media = new Map();
+    for (const [key, base64] of Object.entries(snapshot.media || {})) {
+        const data = Buffer.from(base64, 'base64');
+        media.set(key, { data, hash: crypto.createHash('md5').update(data).digest('hex') });
+    }
+
+    // Same URL as mediaUrlSql, so cached copies stay valid across backends
+    function mediaUrl(entity, id, column) {
+        const file = media.get(`${entity}/${id}/${column}`);
+        return file ? `/media/${entity}/${id}/${column}?v=${file.hash.slice(0, VERSION_LENGTH)}` : null;
+    }
+
+    function descargaUrl(evento) {
+        return media.has(`eventos/${evento.id}/descarga_pdf`) ? `/api/get-evento-descarga/${evento.id}` : evento.descarga;
+    }
+
+    function calendarRow(evento) {
+        return {
+            id: evento.id,
+            titulo: evento.titulo,
+            lugar: evento.lugar,
+            descripcion: evento.descripcion,
+            link: evento.link,
+            inicio: compactDate(evento.fechai),
+            fin: compactDate(evento.fechaf || evento.fechai, 1)
+        };
+    }
+
+    function lineasOf(servicioId) {
+        return tables.lineaprod
+            .filter(linea => linea.servicioid === servicioId)
+            .sort((a, b) => {
+                if (a.orden !== b.orden) {
+                    if (a.orden === null) return 1;
+                    if (b.orden === null) return -1;
+                    return a.orden - b.orden;
+                }
+                return a.id - b.id;
+            });
+    }
+
+    const noticiasByDate = () => tables.noticias.slice().sort(byDateDesc('fecha'));
+
+    return {
+        backend: 'snapshot',
+        readOnly: true,
+        exportedAt: snapshot.exportedAt,
+
+        presentacion: {
+            async list() {
+                return tables.presentacion.map(row => ({
+                    id: row.id,
+                    titulo: row.titulo,
+                    qsomos: row.qsomos,
+                    objetivo: row.objetivo,
+                    qhacemos: row.qhacemos,
+                    clogramos: row.clogramos,
+                    descripcion: row.descripcion,
+                    imagen: mediaUrl('presentacion', row.id, 'imagen'),
+                    img: mediaUrl('presentacion', row.id, 'img')
+                }));
+            }
+        },
+
+        preguntas: {
+            async list() {
+                return tables.preguntas.map(({ id, pregunta, respuesta, fecha }) => ({ id, pregunta, respuesta, fecha }));
+            }
+        },
+
+        noticias: {
+            async listDestacadas() {
+                return tables.noticias
+                    .filter(row => row.destacar)
+                    .sort((a, b) => b.id - a.id)
+                    .map(row => ({
+                        id: row.id,
+                        titulo: row.titulo,
+                        noticia: row.noticia,
+                        link: row.link,
+                        imagen: mediaUrl('noticias', row.id, 'imagen')
+                    }));
+            },
+
+            async archive({ page, size, year, month, destacar }) {
+                const matchesDestacar = row => destacar === null || row.destacar === destacar;
+                const rows = noticiasByDate().filter(row => matchesDestacar(row)
+                    && (year === null || (row.fecha && parseInt(row.fecha.slice(0, 4), 10) === year))
+                    && (month === null || (row.fecha && parseInt(row.fecha.slice(5, 7), 10) === month)));
+
+                const years = new Map();
+                for (const row of tables.noticias) {
+                    if (!row.fecha || !matchesDestacar(row)) continue;
+                    const rowYear = parseInt(row.fecha.slice(0, 4), 10);
+                    years.set(rowYear, (years.get(rowYear) || 0) + 1);
+                }
+
+                return {
+                    noticias: rows.slice((page - 1) * size, page * size).map(row => ({
+                        id: row.id,
+                        titulo: row.titulo,
+                        noticia: row.noticia,
+                        link: row.link,
+                        destacar: row.destacar,
+                        imagen: mediaUrl('noticias', row.id, 'imagen'),
+                        fecha: displayDate(row.fecha)
+                    })),
+                    total: rows.length,
+                    years: [...years.entries()].sort((a, b) => b[0] - a[0]).map(([y, total]) => ({ year: y, total }))
+                };
+            },
+
+            async findById(id) {
+                const row = tables.noticias.find(noticia => noticia.id === Number(id));
+                if (!row) return null;
+                return {
+                    id: row.id,
+                    titulo: row.titulo,
+                    noticia: row.noticia,
+                    link: row.link,
+                    destacar: row.destacar,
+                    imagen: mediaUrl('noticias', row.id, 'imagen'),
+                    fecha: displayDate(row.fecha),
+                    fecha_iso: row.fecha
+                };
+            },
+
+            async listLatest({ destacar = null, limit }) {
+                return noticiasByDate()
+                    .filter(row => destacar === null || row.destacar === destacar)
+                    .slice(0, limit)
+                    .map(row => {
+                        const file = media.get(`noticias/${row.id}/imagen`);
+                        return {
+                            id: row.id,
+                            titulo: row.titulo,
+                            noticia: row.noticia,
+                            fecha: row.fecha,
+                            imagen_url: mediaUrl('noticias', row.id, 'imagen'),
+                            imagen_bytes: file ? file.data.length : null,
+                            imagen_cabecera: file ? file.data.subarray(0, 16) : null
+                        };
+                    });
+            },
+
+            async listUpdates() {
+                return noticiasByDate().map(row => ({ id: row.id, titulo: row.titulo, actualizado: toDate(row.actualizado) }));
+            }
+        },
+
+        eventos: {
+            async list() {
+                return tables.eventos.slice().sort(byDateDesc('fechai')).map(row => ({
+                    id: row.id,
+                    titulo: row.titulo,
+                    fechai: displayDate(row.fechai),
+                    fechaf: displayDate(row.fechaf),
+                    descripcion: row.descripcion,
+                    link: row.link,
+                    lugar: row.lugar,
+                    descarga: descargaUrl(row),
+                    imagen: mediaUrl('eventos', row.id, 'imagen')
+                }));
+            },
+
+            async findById(id) {
+                const row = tables.eventos.find(evento => evento.id === Number(id));
+                if (!row) return null;
+                return {
+                    id: row.id,
+                    titulo: row.titulo,
+                    lugar: row.lugar,
+                    descripcion: row.descripcion,
+                    link: row.link,
+                    fechai: displayDate(row.fechai),
+                    fechaf: displayDate(row.fechaf),
+                    fechai_iso: row.fechai,
+                    fechaf_iso: row.fechaf || row.fechai,
+                    descarga: descargaUrl(row),
+                    imagen: mediaUrl('eventos', row.id, 'imagen')
+                };
+            },
+
+            async findDescarga(id) {
+                const row = tables.eventos.find(evento => evento.id === Number(id));
+                const file = row && media.get(`eventos/${row.id}/descarga_pdf`);
+                return file ? { pdf: file.data, nombre: row.descarga_nombre } : null;
+            },
+
+            async listCalendar() {
+                const today = localToday();
+                return tables.eventos
+                    .filter(row => row.fechai && (row.fechaf || row.fechai) >= today)
+                    .sort((a, b) => (a.fechai < b.fechai ? -1 : a.fechai > b.fechai ? 1 : 0))
+                    .map(calendarRow);
+            },
+
+            async findCalendar(id) {
+                const row = tables.eventos.find(evento => evento.id === Number(id) && evento.fechai);
+                return row ? calendarRow(row) : null;
+            },
+
+            async listUpdates() {
+                return tables.eventos.slice().sort(byDateDesc('fechai'))
+                    .map(row => ({ id: row.id, titulo: row.titulo, actualizado: toDate(row.actualizado) }));
+            }
+        },
+
+        empresas: {
+            async listNames() {
+                return tables.empresas.map(row => ({ empresa: row.empresa }));
+            },
+
+            async listDetails() {
+                return tables.empresas
+                    .slice()
+                    .sort((a, b) => (b.especializada - a.especializada) || a.empresa.localeCompare(b.empresa, 'es'))
+                    .map(row => ({
+                        id: row.id,
+                        empresa: row.empresa,
+                        descripcion: row.descripcion,
+                        direccion: row.direccion,
+                        telf: row.telf,
+                        mail: row.mail,
+                        sitio: row.sitio,
+                        especializada: row.especializada,
+                        logo: mediaUrl('empresas', row.id, 'logo')
+                    }));
+            },
+
+            async listAll() {
+                return tables.empresas.map(row => ({
+                    ...row,
+                    actualizado: toDate(row.actualizado),
+                    logo: mediaUrl('empresas', row.id, 'logo')
+                }));
+            }
+        },
+
+        servicios: {
+            async list() {
+                return tables.productos_servicios.map(row => ({
+                    id: row.id,
+                    nombre: row.nombre,
+                    descripcion: row.descripcion,
+                    link: row.link,
+                    img: mediaUrl('servicios', row.id, 'img')
+                }));
+            },
+
+            async findByName(nombre) {
+                const row = tables.productos_servicios.find(servicio => servicio.nombre === nombre);
+                if (!row) return null;
+                return {
+                    id: row.id,
+                    nombre: row.nombre,
+                    descripcion: row.descripcion,
+                    contacto: row.contacto,
+                    img: mediaUrl('servicios', row.id, 'img'),
+                    img2: mediaUrl('servicios', row.id, 'img2')
+                };
+            },
+
+            async listAll() {
+                return tables.productos_servicios.map(row => {
+                    const dates = [row.actualizado, ...lineasOf(row.id).map(linea => linea.actualizado)].filter(Boolean);
+                    return {
+                        id: row.id,
+                        nombre: row.nombre,
+                        descripcion: row.descripcion,
+                        contacto: row.contacto,
+                        actualizado: dates.length > 0 ? new Date(Math.max(...dates.map(date => new Date(date)))) : null,
+                        img: mediaUrl('servicios', row.id, 'img')
+                    };
+                });
+            },
+
+            async listLineas(servicioId) {
+                return lineasOf(Number(servicioId)).map(row => ({
+                    id: row.id,
+                    titulo: row.titulo,
+                    descripcion: row.descripcion,
+                    img: mediaUrl('lineas', row.id, 'img')
+                }));
+            }
+        },
+
+        media: {
+            async find(entity, id, column, knownHashes = []) {
+                const file = media.get(`${entity}/${id}/${column}`);
+                if (!file) return null;
+                return { hash: file.hash, data: knownHashes.includes(file.hash) ? null : file.data };
+            }
+        },
+
+        search: {
+            async search(text) {
+                return snapshotSearch(tables, text);
+            }
+        }
+    };
+}
+
+/**
+ * @param {string} file - Path of a snapshot written by exportSnapshot
+ */
+function loadSnapshotRepos(file) {
+    return createSnapshotRepos(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+module.exports = { SNAPSHOT_VERSION, exportSnapshot, createSnapshotRepos, loadSnapshotRepos };
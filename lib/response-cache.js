@@ -0,0 +1,203 @@
+/**
+ * In-process cache for the public GET API.
+ *
+ * Each cached route declares a TTL and the content tags it depends on;
+ * writes through the admin API invalidate the matching tags. Cached
+ * responses carry an ETag and Last-Modified, so Express answers 304 to
+ * conditional requests. Concurrent misses for the same URL wait for the
+ * first one instead of querying the database again.
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+
+const DEFAULT_MAX_ENTRIES = getConfig().API_CACHE_MAX_ENTRIES;
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Oldest entries are dropped beyond this size
+ */
+function createResponseCache({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    // url -> { route, tags, body, contentType, etag, lastModified, expires }
+    const entries = new Map();
+    // url -> Promise resolved once the first request for a missing url has answered
+    const pending = new Map();
+    const routes = {};
+    const totals = { hits: 0, misses: 0, invalidations: 0 };
+    const invalidationListeners = [];
+    let generation = 0;
+
+    function routeStats(route) {
+        if (!routes[route]) routes[route] = { hits: 0, misses: 0 };
+        return routes[route];
+    }
+
+    function store(url, entry) {
+        const previous = entries.get(url);
+        // Unchanged content keeps its Last-Modified across refreshes
+        if (previous && previous.etag === entry.etag) entry.lastModified = previous.lastModified;
+
+        entries.delete(url);
+        entries.set(url, entry);
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    function sendEntry(res, entry) {
+        res.set({
+            'Content-Type': entry.contentType,
+            'ETag': entry.etag,
+            'Last-Modified': entry.lastModified.toUTCString(),
+            'Cache-Control': 'no-cache'
+        });
+        res.send(entry.body);
+    }
+
+    /**
+     * Caches successful responses of a GET route.
+     *
+     * @param {Object} rule
+     * @param {string} rule.route - Route name in the statistics
+     * @param {number} rule.ttl - Seconds an entry stays fresh
+     * @param {string[]} rule.tags - Content the response depends on
+     */
+    function cacheRoute({ route, ttl, tags }) {
+        return async (req, res, next) => {
+            if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+            const url = req.originalUrl;
+            const stats = routeStats(route);
+
+            let entry = entries.get(url);
+            if ((!entry || entry.expires <= Date.now()) && pending.has(url)) {
+                await pending.get(url);
+                entry = entries.get(url);
+            }
+
+            if (entry && entry.expires > Date.now()) {
+                totals.hits++;
+                stats.hits++;
+                res.set('X-Cache', 'HIT');
+                return sendEntry(res, entry);
+            }
+
+            totals.misses++;
+            stats.misses++;
+            res.set('X-Cache', 'MISS');
+
+            // Responses computed before an invalidation are not stored
+            const startGeneration = generation;
+            let settle;
+            const waiting = new Promise(resolve => { settle = resolve; });
+            pending.set(url, waiting);
+            const done = () => {
+                if (pending.get(url) === waiting) pending.delete(url);
+                settle();
+            };
+            res.on('finish', done);
+            res.on('close', done);
+
+            const send = res.send;
+            res.send = function (body) {
+                res.send = send;
+                if (res.statusCode !== 200 || body === undefined || startGeneration !== generation) {
+                    done();
+                    return send.call(this, body);
+                }
+
+                const buffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+                const newEntry = {
+                    route,
+                    tags,
+                    body: buffer,
+                    contentType: res.get('Content-Type') || 'application/octet-stream',
+                    etag: `"${crypto.createHash('sha1').update(buffer).digest('base64url')}"`,
+                    lastModified: new Date(Math.floor(Date.now() / 1000) * 1000),
+                    expires: Date.now() + ttl * 1000
+                };
+                store(url, newEntry);
+                done();
+                sendEntry(res, newEntry);
+                return res;
+            };
+
+            next();
+        };
+    }
+
+    /**
+     * Drops the entries that depend on any of the given tags, without
+     * telling the invalidation listeners (used for invalidations made
+     * by other workers).
+     *
+     * @param {string[]|null} tags - null drops every entry
+     * @return {number} Entries removed
+     */
+    function drop(tags) {
+        generation++;
+        totals.invalidations++;
+        let removed = 0;
+        for (const [url, entry] of entries) {
+            if (!tags || entry.tags.some(tag => tags.includes(tag))) {
+                entries.delete(url);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Drops the entries that depend on any of the given tags.
+     *
+     * @param {string[]} tags
+     * @return {number} Entries removed
+     */
+    function invalidate(tags) {
+        invalidationListeners.forEach(listener => listener(tags));
+        return drop(tags);
+    }
+
+    function clear() {
+        invalidationListeners.forEach(listener => listener(null));
+        return drop(null);
+    }
+
+    // Runs listener(tags) on every invalidate(), and listener(null) on clear()
+    function onInvalidate(listener) {
+        invalidationListeners.push(listener);
+    }
+
+    /**
+     * Invalidates the given tags once a write request succeeds.
+     *
+     * @param {string[]} tags
+     */
+    function invalidateOnWrite(tags) {
+        return (req, res, next) => {
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                res.on('finish', () => {
+                    if (res.statusCode < 400) invalidate(tags);
+                });
+            }
+            next();
+        };
+    }
+
+    function stats() {
+        const lookups = totals.hits + totals.misses;
+        return {
+            entries: entries.size,
+            maxEntries,
+            hits: totals.hits,
+            misses: totals.misses,
+            hitRatio: lookups > 0 ? Number((totals.hits / lookups).toFixed(3)) : null,
+            invalidations: totals.invalidations,
+            routes: JSON.parse(JSON.stringify(routes))
+        };
+    }
+
+    return { cacheRoute, invalidate, invalidateOnWrite, clear, drop, onInvalidate, stats };
+}
+
+module.exports = { createResponseCache };
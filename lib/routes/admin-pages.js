@@ -0,0 +1,31 @@
+const express = require('express');
+const path = require('path');
+
+const VIEWS_DIR = path.join(__dirname, '..', '..', 'views');
+
+/**
+ * Admin console pages (mounted at /admin). The console itself is only
+ * sent to logged-in users; everyone else is sent to the login page.
+ */
+function createAdminPagesRouter() {
+    const router = express.Router();
+
+    const noStore = (req, res, next) => {
+        res.setHeader('Cache-Control', 'no-store');
+        next();
+    };
+
+    router.get('/', noStore, (req, res) => {
+        if (!req.user) return res.redirect('/admin/login');
+        res.sendFile(path.join(VIEWS_DIR, 'admin.html'));
+    });
+
+    router.get('/login', noStore, (req, res) => {
+        if (req.user) return res.redirect('/admin');
+        res.sendFile(path.join(VIEWS_DIR, 'login.html'));
+    });
+
+    return router;
+}
+
+module.exports = createAdminPagesRouter;
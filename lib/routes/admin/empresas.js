@@ -0,0 +1,130 @@
+const express = require('express');
+const { requireRole } = require('../../auth/guards');
+const { contentBody, IMAGE_MAX_BYTES } = require('../../middleware/body');
+const { IMAGE_TYPES } = require('../../media');
+const { validateFields, parseId } = require('../../validation');
+const { slugify } = require('../../text');
+const { sendError, insertQuery, updateQuery, applyFile } = require('./helpers');
+
+const EMPRESA_FIELDS = {
+    empresa: { type: 'text', required: true, max: 255 },
+    descripcion: { type: 'text', max: 20000 },
+    direccion: { type: 'text', max: 500 },
+    telf: { type: 'phone' },
+    mail: { type: 'email' },
+    // empresas.html prepends https:// to this value
+    sitio: { type: 'website' },
+    especializada: { type: 'boolean', default: false }
+};
+
+const EMPRESA_FILES = {
+    logo: { types: IMAGE_TYPES, maxBytes: IMAGE_MAX_BYTES }
+};
+
+const SELECT_EMPRESA = `
+    SELECT id, empresa, descripcion, direccion, telf, mail, sitio, especializada,
+           logo IS NOT NULL as tiene_logo
+    FROM sitio.empresas
+`;
+
+/**
+ * Company directory management (mounted at /api/admin/empresas)
+ */
+function createEmpresasAdminRouter({ pool }) {
+    const router = express.Router();
+
+    async function findEmpresa(id) {
+        const result = await pool.query(`${SELECT_EMPRESA} WHERE id = $1`, [id]);
+        return result.rows[0] || null;
+    }
+
+    // Company pages and the navbar link by name and /empresas/:slug by its slug, so both must be unique.
+    // The slug drops accents and punctuation, so it is compared in JavaScript rather than in SQL
+    async function nameTaken(empresa, exceptId = null) {
+        const slug = slugify(empresa);
+        const result = await pool.query(
+            'SELECT empresa FROM sitio.empresas WHERE $1::int IS NULL OR id <> $1::int',
+            [exceptId]
+        );
+        return result.rows.some(row => (slug
+            ? slugify(row.empresa) === slug
+            : row.empresa.toLowerCase() === empresa.toLowerCase()));
+    }
+
+    router.get('/', requireRole('viewer'), async (req, res) => {
+        try {
+            const result = await pool.query(`${SELECT_EMPRESA} ORDER BY especializada DESC, empresa ASC`);
+            res.json(result.rows);
+        } catch (error) {
+            sendError(res, error, 'Error fetching empresas');
+        }
+    });
+
+    router.get('/:id', requireRole('viewer'), async (req, res) => {
+        const id = parseId(req.params.id);
+        if (!id) return res.status(404).json({ error: 'Empresa no encontrada' });
+
+        try {
+            const empresa = await findEmpresa(id);
+            if (!empresa) return res.status(404).json({ error: 'Empresa no encontrada' });
+            res.json(empresa);
+        } catch (error) {
+            sendError(res, error, 'Error fetching empresa');
+        }
+    });
+
+    router.post('/', requireRole('editor'), contentBody(EMPRESA_FILES), async (req, res) => {
+        try {
+            const values = validateFields(EMPRESA_FIELDS, req.body);
+            if (await nameTaken(values.empresa)) {
+                return res.status(409).json({ error: 'Ya existe una empresa con ese nombre (sin contar mayúsculas, acentos ni signos).' });
+            }
+            applyFile(values, req, 'logo');
+
+            const { text, values: params } = insertQuery('sitio.empresas', values);
+            const result = await pool.query(text, params);
+            res.status(201).json(await findEmpresa(result.rows[0].id));
+        } catch (error) {
+            sendError(res, error, 'Error creating empresa');
+        }
+    });
+
+    router.put('/:id', requireRole('editor'), contentBody(EMPRESA_FILES), async (req, res) => {
+        const id = parseId(req.params.id);
+        if (!id) return res.status(404).json({ error: 'Empresa no encontrada' });
+
+        try {
+            const values = validateFields(EMPRESA_FIELDS, req.body, { partial: true });
+            if (values.empresa && await nameTaken(values.empresa, id)) {
+                return res.status(409).json({ error: 'Ya existe una empresa con ese nombre (sin contar mayúsculas, acentos ni signos).' });
+            }
+            applyFile(values, req, 'logo');
+
+            const query = updateQuery('sitio.empresas', id, values);
+            if (!query) return res.status(400).json({ error: 'No hay cambios que guardar.' });
+
+            const result = await pool.query(query.text, query.values);
+            if (result.rowCount === 0) return res.status(404).json({ error: 'Empresa no encontrada' });
+            res.json(await findEmpresa(id));
+        } catch (error) {
+            sendError(res, error, 'Error updating empresa');
+        }
+    });
+
+    router.delete('/:id', requireRole('editor'), async (req, res) => {
+        const id = parseId(req.params.id);
+        if (!id) return res.status(404).json({ error: 'Empresa no encontrada' });
+
+        try {
+            const result = await pool.query('DELETE FROM sitio.empresas WHERE id = $1', [id]);
+            if (result.rowCount === 0) return res.status(404).json({ error: 'Empresa no encontrada' });
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Error deleting empresa');
+        }
+    });
+
+    return router;
+}
+
+module.exports = createEmpresasAdminRouter;
@@ -0,0 +1,145 @@
+const express = require('express');
+const { requireRole } = require('../../auth/guards');
+const { contentBody, IMAGE_MAX_BYTES, PDF_MAX_BYTES } = require('../../middleware/body');
+const { IMAGE_TYPES } = require('../../media');
+const { ValidationError, validateFields, parseId } = require('../../validation');
+const { sendError, insertQuery, updateQuery, applyFile } = require('./helpers');
+
+const EVENTO_FIELDS = {
+    titulo: { type: 'text', required: true, max: 255 },
+    lugar: { type: 'text', required: true, max: 255 },
+    fechai: { type: 'date', required: true },
+    fechaf: { type: 'date' },
+    descripcion: { type: 'text', max: 20000 },
+    link: { type: 'url' },
+    descarga: { type: 'url' }
+};
+
+const EVENTO_FILES = {
+    imagen: { types: IMAGE_TYPES, maxBytes: IMAGE_MAX_BYTES },
+    descarga_pdf: { types: ['application/pdf'], maxBytes: PDF_MAX_BYTES }
+};
+
+const SELECT_EVENTO = `
+    SELECT id, titulo, lugar,
+           TO_CHAR(fechai, 'YYYY-MM-DD') as fechai,
+           TO_CHAR(fechaf, 'YYYY-MM-DD') as fechaf,
+           descripcion, link, descarga, descarga_nombre,
+           imagen IS NOT NULL as tiene_imagen,
+           descarga_pdf IS NOT NULL as tiene_pdf
+    FROM sitio.eventos
+`;
+
+// Rejects an end date before the start date (dates are YYYY-MM-DD strings)
+function checkDateRange(fechai, fechaf) {
+    if (fechai && fechaf && fechaf < fechai) {
+        throw new ValidationError('La fecha de fin no puede ser anterior a la fecha de inicio.', 'fechaf');
+    }
+}
+
+// Stores an uploaded PDF, which replaces any external download URL
+function applyPdf(values, req) {
+    applyFile(values, req, 'descarga_pdf');
+    if (req.files.descarga_pdf) {
+        values.descarga_nombre = req.files.descarga_pdf.originalName || null;
+        values.descarga = null;
+    } else if (values.descarga_pdf === null) {
+        values.descarga_nombre = null;
+    }
+    return values;
+}
+
+/**
+ * Events management (mounted at /api/admin/eventos)
+ */
+function createEventosAdminRouter({ pool }) {
+    const router = express.Router();
+
+    async function findEvento(id) {
+        const result = await pool.query(`${SELECT_EVENTO} WHERE id = $1`, [id]);
+        return result.rows[0] || null;
+    }
+
+    router.get('/', requireRole('viewer'), async (req, res) => {
+        try {
+            const result = await pool.query(`${SELECT_EVENTO} ORDER BY fechai DESC, id DESC`);
+            res.json(result.rows);
+        } catch (error) {
+            sendError(res, error, 'Error fetching eventos');
+        }
+    });
+
+    router.get('/:id', requireRole('viewer'), async (req, res) => {
+        const id = parseId(req.params.id);
+        if (!id) return res.status(404).json({ error: 'Evento no encontrado' });
+
+        try {
+            const evento = await findEvento(id);
+            if (!evento) return res.status(404).json({ error: 'Evento no encontrado' });
+            res.json(evento);
+        } catch (error) {
+            sendError(res, error, 'Error fetching evento');
+        }
+    });
+
+    router.post('/', requireRole('editor'), contentBody(EVENTO_FILES), async (req, res) => {
+        try {
+            const values = validateFields(EVENTO_FIELDS, req.body);
+            // Single-day events end the day they start
+            if (!values.fechaf) values.fechaf = values.fechai;
+            checkDateRange(values.fechai, values.fechaf);
+            applyFile(values, req, 'imagen');
+            applyPdf(values, req);
+
+            const { text, values: params } = insertQuery('sitio.eventos', values);
+            const result = await pool.query(text, params);
+            res.status(201).json(await findEvento(result.rows[0].id));
+        } catch (error) {
+            sendError(res, error, 'Error creating evento');
+        }
+    });
+
+    router.put('/:id', requireRole('editor'), contentBody(EVENTO_FILES), async (req, res) => {
+        const id = parseId(req.params.id);
+        if (!id) return res.status(404).json({ error: 'Evento no encontrado' });
+
+        try {
+            const current = await findEvento(id);
+            if (!current) return res.status(404).json({ error: 'Evento no encontrado' });
+
+            const values = validateFields(EVENTO_FIELDS, req.body, { partial: true });
+            if (values.fechaf === null) values.fechaf = values.fechai || current.fechai;
+            checkDateRange(
+                values.fechai !== undefined ? values.fechai : current.fechai,
+                values.fechaf !== undefined ? values.fechaf : current.fechaf
+            );
+            applyFile(values, req, 'imagen');
+            applyPdf(values, req);
+
+            const query = updateQuery('sitio.eventos', id, values);
+            if (!query) return res.status(400).json({ error: 'No hay cambios que guardar.' });
+
+            await pool.query(query.text, query.values);
+            res.json(await findEvento(id));
+        } catch (error) {
+            sendError(res, error, 'Error updating evento');
+        }
+    });
+
+    router.delete('/:id', requireRole('editor'), async (req, res) => {
+        const id = parseId(req.params.id);
+        if (!id) return res.status(404).json({ error: 'Evento no encontrado' });
+
+        try {
+            const result = await pool.query('DELETE FROM sitio.eventos WHERE id = $1', [id]);
+            if (result.rowCount === 0) return res.status(404).json({ error: 'Evento no encontrado' });
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Error deleting evento');
+        }
+    });
+
+    return router;
+}
+
+module.exports = createEventosAdminRouter;
@@ -0,0 +1,64 @@
+/**
+ * Shared helpers for the content management routers
+ */
+
+const { ValidationError } = require('../../validation');
+
+/**
+ * Answers 400 for validation errors, otherwise logs and answers 500.
+ */
+function sendError(res, error, logMessage) {
+    if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message, field: error.field });
+    }
+    res.req.log.error(logMessage, error);
+    res.status(500).json({ error: 'Database error.' });
+}
+
+/**
+ * Builds "INSERT ... RETURNING id" for the given column values.
+ */
+function insertQuery(table, values) {
+    const columns = Object.keys(values);
+    const placeholders = columns.map((column, index) => `$${index + 1}`);
+    return {
+        text: `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING id`,
+        values: Object.values(values)
+    };
+}
+
+/**
+ * Builds "UPDATE ... WHERE id = $n RETURNING id" for the given column values.
+ * Extra conditions (e.g. { servicioid: 3 }) restrict the row further.
+ * Returns null when there is nothing to update.
+ */
+function updateQuery(table, id, values, extraWhere = {}) {
+    const columns = Object.keys(values);
+    if (columns.length === 0) return null;
+
+    const params = Object.values(values);
+    const sets = columns.map((column, index) => `${column} = $${index + 1}`);
+    const conditions = Object.entries({ id, ...extraWhere }).map(([column, value]) => {
+        params.push(value);
+        return `${column} = $${params.length}`;
+    });
+    return {
+        text: `UPDATE ${table} SET ${sets.join(', ')} WHERE ${conditions.join(' AND ')} RETURNING id`,
+        values: params
+    };
+}
+
+/**
+ * Adds an uploaded file to the column values, or clears the column when
+ * the form asks for it with "quitar_<field>".
+ */
+function applyFile(values, req, field, column = field) {
+    if (req.files && req.files[field]) {
+        values[column] = req.files[field].buffer;
+    } else if (req.body && ['true', true, 'on', '1'].includes(req.body[`quitar_${field}`])) {
+        values[column] = null;
+    }
+    return values;
+}
+
+module.exports = { sendError, insertQuery, updateQuery, applyFile };
@@ -0,0 +1,59 @@
+const express = require('express');
+const { requireAuth, requireRole, csrfProtection } = require('../../auth/guards');
+const createNoticiasAdminRouter = require('./noticias');
+const createEventosAdminRouter = require('./eventos');
+const createEmpresasAdminRouter = require('./empresas');
+const createServiciosAdminRouter = require('./servicios');
+const createPreguntasAdminRouter = require('./preguntas');
+const createPresentacionAdminRouter = require('./presentacion');
+
+/**
+ * Content management API (mounted at /api/admin). Every route needs a
+ * session; writes need the editor role and the CSRF token.
+ */
+function createAdminRouter(deps) {
+    const router = express.Router();
+    const { cache, bans } = deps;
+    // Successful writes drop the cached public responses built from that content
+    const invalidates = tag => (cache ? cache.invalidateOnWrite([tag]) : (req, res, next) => next());
+
+    router.use(requireAuth, csrfProtection);
+    router.use('/noticias', invalidates('noticias'), createNoticiasAdminRouter(deps));
+    router.use('/eventos', invalidates('eventos'), createEventosAdminRouter(deps));
+    router.use('/empresas', invalidates('empresas'), createEmpresasAdminRouter(deps));
+    router.use('/servicios', invalidates('servicios'), createServiciosAdminRouter(deps));
+    router.use('/preguntas', invalidates('preguntas'), createPreguntasAdminRouter(deps));
+    router.use('/presentacion', invalidates('presentacion'), createPresentacionAdminRouter(deps));
+
+    // Response cache statistics, and a manual flush for changes made outside the API
+    router.get('/cache', requireRole('viewer'), (req, res) => {
+        res.json(cache ? cache.stats() : { enabled: false });
+    });
+
+    router.delete('/cache', requireRole('admin'), (req, res) => {
+        res.json({ removed: cache ? cache.clear() : 0 });
+    });
+
+    // Temporary IP bans (lib/ip-access.js), to review and lift them early
+    router.get('/bans', requireRole('admin'), (req, res) => {
+        res.json(bans ? bans.list() : []);
+    });
+
+    // In multi-worker mode the bans are kept by the primary, so lift() returns a promise
+    router.delete('/bans/:ip', requireRole('admin'), async (req, res) => {
+        try {
+            if (!bans || !(await bans.lift(req.params.ip))) {
+                return res.status(404).json({ error: 'Bloqueo no encontrado' });
+            }
+            req.log.info('IP ban lifted', { ip: req.params.ip, by: req.user.usuario });
+            res.status(204).end();
+        } catch (error) {
+            req.log.error('Error lifting IP ban', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createAdminRouter;
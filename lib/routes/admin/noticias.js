@@ -0,0 +1,106 @@
+const express = require('express');
+const { requireRole } = require('../../auth/guards');
+const { contentBody } = require('../../middleware/body');
+const { validateFields, parseId, today } = require('../../validation');
+const { sendError, insertQuery, updateQuery, applyFile } = require('./helpers');
+
+const NOTICIA_FIELDS = {
+    titulo: { type: 'text', required: true, max: 255 },
+    noticia: { type: 'text', required: true, max: 50000 },
+    link: { type: 'url' },
+    destacar: { type: 'boolean', default: false },
+    fecha: { type: 'date' }
+};
+
+const SELECT_NOTICIA = `
+    SELECT id, titulo, noticia, link, destacar,
+           TO_CHAR(fecha, 'YYYY-MM-DD') as fecha,
+           imagen IS NOT NULL as tiene_imagen
+    FROM sitio.noticias
+`;
+
+/**
+ * News management (mounted at /api/admin/noticias)
+ */
+function createNoticiasAdminRouter({ pool }) {
+    const router = express.Router();
+
+    async function findNoticia(id) {
+        const result = await pool.query(`${SELECT_NOTICIA} WHERE id = $1`, [id]);
+        return result.rows[0] || null;
+    }
+
+    router.get('/', requireRole('viewer'), async (req, res) => {
+        try {
+            const result = await pool.query(`${SELECT_NOTICIA} ORDER BY fecha DESC, id DESC`);
+            res.json(result.rows);
+        } catch (error) {
+            sendError(res, error, 'Error fetching noticias');
+        }
+    });
+
+    router.get('/:id', requireRole('viewer'), async (req, res) => {
+        const id = parseId(req.params.id);
+        if (!id) return res.status(404).json({ error: 'Noticia no encontrada' });
+
+        try {
+            const noticia = await findNoticia(id);
+            if (!noticia) return res.status(404).json({ error: 'Noticia no encontrada' });
+            res.json(noticia);
+        } catch (error) {
+            sendError(res, error, 'Error fetching noticia');
+        }
+    });
+
+    router.post('/', requireRole('editor'), contentBody(), async (req, res) => {
+        try {
+            const values = validateFields(NOTICIA_FIELDS, req.body);
+            if (!values.fecha) values.fecha = today();
+            applyFile(values, req, 'imagen');
+
+            const { text, values: params } = insertQuery('sitio.noticias', values);
+            const result = await pool.query(text, params);
+            res.status(201).json(await findNoticia(result.rows[0].id));
+        } catch (error) {
+            sendError(res, error, 'Error creating noticia');
+        }
+    });
+
+    router.put('/:id', requireRole('editor'), contentBody(), async (req, res) => {
+        const id = parseId(req.params.id);
+        if (!id) return res.status(404).json({ error: 'Noticia no encontrada' });
+
+        try {
+            const values = validateFields(NOTICIA_FIELDS, req.body, { partial: true });
+            // A blank date keeps the current one; without a date the news leaves the archive and feeds
+            if (values.fecha === null) delete values.fecha;
+            applyFile(values, req, 'imagen');
+
+            const query = updateQuery('sitio.noticias', id, values);
+            if (!query) return res.status(400).json({ error: 'No hay cambios que guardar.' });
+
+            const result = await pool.query(query.text, query.values);
+            if (result.rowCount === 0) return res.status(404).json({ error: 'Noticia no encontrada' });
+            res.json(await findNoticia(id));
+        } catch (error) {
+            sendError(res, error, 'Error updating noticia');
+        }
+    });
+
+    router.delete('/:id', requireRole('editor'), async (req, res) => {
+        const id = parseId(req.params.id);
+        if (!id) return res.status(404).json({ error: 'Noticia no encontrada' });
+
+        try {
+            const result = await pool.query('DELETE FROM sitio.noticias WHERE id = $1', [id]);
+            if (result.rowCount === 0) return res.status(404).json({ error: 'Noticia no encontrada' });
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Error deleting noticia');
+        }
+    });
+
+    return router;
+}
+
+module.exports = createNoticiasAdminRouter;
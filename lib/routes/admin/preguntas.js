@@ -0,0 +1,97 @@
+const express = require('express');
+const { requireRole } = require('../../auth/guards');
+const { contentBody } = require('../../middleware/body');
+const { validateFields, parseId, today } = require('../../validation');
+const { sendError, insertQuery, updateQuery } = require('./helpers');
+
+const PREGUNTA_FIELDS = {
+    pregunta: { type: 'text', required: true, max: 1000 },
+    respuesta: { type: 'text', required: true, max: 20000 },
+    fecha: { type: 'date' }
+};
+
+const SELECT_PREGUNTA = `
+    SELECT id, pregunta, respuesta, TO_CHAR(fecha, 'YYYY-MM-DD') as fecha
+    FROM sitio.preguntas
+`;
+
+/**
+ * FAQ management (mounted at /api/admin/preguntas)
+ */
+function createPreguntasAdminRouter({ pool }) {
+    const router = express.Router();
+
+    async function findPregunta(id) {
+        const result = await pool.query(`${SELECT_PREGUNTA} WHERE id = $1`, [id]);
+        return result.rows[0] || null;
+    }
+
+    router.get('/', requireRole('viewer'), async (req, res) => {
+        try {
+            const result = await pool.query(`${SELECT_PREGUNTA} ORDER BY id ASC`);
+            res.json(result.rows);
+        } catch (error) {
+            sendError(res, error, 'Error fetching preguntas');
+        }
+    });
+
+    router.get('/:id', requireRole('viewer'), async (req, res) => {
+        const id = parseId(req.params.id);
+        if (!id) return res.status(404).json({ error: 'Pregunta no encontrada' });
+
+        try {
+            const pregunta = await findPregunta(id);
+            if (!pregunta) return res.status(404).json({ error: 'Pregunta no encontrada' });
+            res.json(pregunta);
+        } catch (error) {
+            sendError(res, error, 'Error fetching pregunta');
+        }
+    });
+
+    router.post('/', requireRole('editor'), contentBody({}), async (req, res) => {
+        try {
+            const values = validateFields(PREGUNTA_FIELDS, req.body);
+            if (!values.fecha) values.fecha = today();
+
+            const { text, values: params } = insertQuery('sitio.preguntas', values);
+            const result = await pool.query(text, params);
+            res.status(201).json(await findPregunta(result.rows[0].id));
+        } catch (error) {
+            sendError(res, error, 'Error creating pregunta');
+        }
+    });
+
+    router.put('/:id', requireRole('editor'), contentBody({}), async (req, res) => {
+        const id = parseId(req.params.id);
+        if (!id) return res.status(404).json({ error: 'Pregunta no encontrada' });
+
+        try {
+            const values = validateFields(PREGUNTA_FIELDS, req.body, { partial: true });
+            const query = updateQuery('sitio.preguntas', id, values);
+            if (!query) return res.status(400).json({ error: 'No hay cambios que guardar.' });
+
+            const result = await pool.query(query.text, query.values);
+            if (result.rowCount === 0) return res.status(404).json({ error: 'Pregunta no encontrada' });
+            res.json(await findPregunta(id));
+        } catch (error) {
+            sendError(res, error, 'Error updating pregunta');
+        }
+    });
+
+    router.delete('/:id', requireRole('editor'), async (req, res) => {
+        const id = parseId(req.params.id);
+        if (!id) return res.status(404).json({ error: 'Pregunta no encontrada' });
+
+        try {
+            const result = await pool.query('DELETE FROM sitio.preguntas WHERE id = $1', [id]);
+            if (result.rowCount === 0) return res.status(404).json({ error: 'Pregunta no encontrada' });
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Error deleting pregunta');
+        }
+    });
+
+    return router;
+}
+
+module.exports = createPreguntasAdminRouter;
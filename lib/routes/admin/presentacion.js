@@ -0,0 +1,79 @@
+const express = require('express');
+const { requireRole } = require('../../auth/guards');
+const { contentBody, IMAGE_MAX_BYTES } = require('../../middleware/body');
+const { IMAGE_TYPES } = require('../../media');
+const { validateFields } = require('../../validation');
+const { sendError, insertQuery, updateQuery, applyFile } = require('./helpers');
+
+// Texts of the home page: header and the four tabs
+const PRESENTACION_FIELDS = {
+    titulo: { type: 'text', max: 255 },
+    descripcion: { type: 'text', max: 5000 },
+    qsomos: { type: 'text', max: 20000 },
+    objetivo: { type: 'text', max: 20000 },
+    qhacemos: { type: 'text', max: 20000 },
+    clogramos: { type: 'text', max: 20000 }
+};
+
+const PRESENTACION_FILES = {
+    imagen: { types: IMAGE_TYPES, maxBytes: IMAGE_MAX_BYTES },
+    img: { types: IMAGE_TYPES, maxBytes: IMAGE_MAX_BYTES }
+};
+
+const SELECT_PRESENTACION = `
+    SELECT id, titulo, descripcion, qsomos, objetivo, qhacemos, clogramos,
+           imagen IS NOT NULL as tiene_imagen,
+           img IS NOT NULL as tiene_img
+    FROM sitio.presentacion
+    ORDER BY id ASC
+    LIMIT 1
+`;
+
+/**
+ * Home page presentation, a single row (mounted at /api/admin/presentacion)
+ */
+function createPresentacionAdminRouter({ pool }) {
+    const router = express.Router();
+
+    async function findPresentacion() {
+        const result = await pool.query(SELECT_PRESENTACION);
+        return result.rows[0] || null;
+    }
+
+    router.get('/', requireRole('viewer'), async (req, res) => {
+        try {
+            res.json(await findPresentacion());
+        } catch (error) {
+            sendError(res, error, 'Error fetching presentacion');
+        }
+    });
+
+    // Updates the row, creating it the first time
+    router.put('/', requireRole('editor'), contentBody(PRESENTACION_FILES), async (req, res) => {
+        try {
+            const values = validateFields(PRESENTACION_FIELDS, req.body, { partial: true });
+            applyFile(values, req, 'imagen');
+            applyFile(values, req, 'img');
+
+            const current = await findPresentacion();
+            if (current) {
+                const query = updateQuery('sitio.presentacion', current.id, values);
+                if (!query) return res.status(400).json({ error: 'No hay cambios que guardar.' });
+                await pool.query(query.text, query.values);
+            } else {
+                if (Object.keys(values).length === 0) {
+                    return res.status(400).json({ error: 'No hay cambios que guardar.' });
+                }
+                const { text, values: params } = insertQuery('sitio.presentacion', values);
+                await pool.query(text, params);
+            }
+            res.json(await findPresentacion());
+        } catch (error) {
+            sendError(res, error, 'Error updating presentacion');
+        }
+    });
+
+    return router;
+}
+
+module.exports = createPresentacionAdminRouter;
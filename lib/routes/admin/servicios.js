@@ -0,0 +1,269 @@
+const express = require('express');
+const { requireRole } = require('../../auth/guards');
+const { withTransaction } = require('../../db');
+const { contentBody, IMAGE_MAX_BYTES } = require('../../middleware/body');
+const { IMAGE_TYPES } = require('../../media');
+const { ValidationError, validateFields, parseId } = require('../../validation');
+const { slugify } = require('../../text');
+const { sendError, insertQuery, updateQuery, applyFile } = require('./helpers');
+
+const SERVICIO_FIELDS = {
+    nombre: { type: 'text', required: true, max: 255 },
+    descripcion: { type: 'text', max: 20000 },
+    link: { type: 'text', max: 2048 },
+    // WhatsApp number used by the contact button in servicios.html
+    contacto: { type: 'whatsapp' }
+};
+
+const LINEA_FIELDS = {
+    titulo: { type: 'text', required: true, max: 255 },
+    descripcion: { type: 'text', max: 20000 }
+};
+
+const SERVICIO_FILES = {
+    img: { types: IMAGE_TYPES, maxBytes: IMAGE_MAX_BYTES },
+    img2: { types: IMAGE_TYPES, maxBytes: IMAGE_MAX_BYTES }
+};
+
+const LINEA_FILES = {
+    img: { types: IMAGE_TYPES, maxBytes: IMAGE_MAX_BYTES }
+};
+
+const SELECT_SERVICIO = `
+    SELECT s.id, s.nombre, s.descripcion, s.link, s.contacto,
+           s.img IS NOT NULL as tiene_img,
+           s.img2 IS NOT NULL as tiene_img2,
+           (SELECT COUNT(*)::int FROM sitio.lineaprod l WHERE l.servicioid = s.id) as lineas
+    FROM sitio.productos_servicios s
+`;
+
+const SELECT_LINEA = `
+    SELECT id, servicioid, titulo, descripcion, orden,
+           img IS NOT NULL as tiene_img
+    FROM sitio.lineaprod
+`;
+
+/**
+ * Services and product lines management (mounted at /api/admin/servicios)
+ */
+function createServiciosAdminRouter({ pool }) {
+    const router = express.Router();
+
+    async function findServicio(id) {
+        const result = await pool.query(`${SELECT_SERVICIO} WHERE s.id = $1`, [id]);
+        return result.rows[0] || null;
+    }
+
+    async function findLineas(servicioId) {
+        const result = await pool.query(
+            `${SELECT_LINEA} WHERE servicioid = $1 ORDER BY orden ASC NULLS LAST, id ASC`,
+            [servicioId]
+        );
+        return result.rows;
+    }
+
+    async function findLinea(servicioId, lineaId) {
+        const result = await pool.query(`${SELECT_LINEA} WHERE servicioid = $1 AND id = $2`, [servicioId, lineaId]);
+        return result.rows[0] || null;
+    }
+
+    // servicios.html and producto.html address services by name and /servicios/:slug by its slug,
+    // so both must be unique. The slug drops accents and punctuation, so it is compared in JavaScript
+    async function nameTaken(nombre, exceptId = null) {
+        const slug = slugify(nombre);
+        const result = await pool.query(
+            'SELECT nombre FROM sitio.productos_servicios WHERE $1::int IS NULL OR id <> $1::int',
+            [exceptId]
+        );
+        return result.rows.some(row => (slug
+            ? slugify(row.nombre) === slug
+            : row.nombre.toLowerCase() === nombre.toLowerCase()));
+    }
+
+    // Resolves :id to an existing service or answers 404
+    router.param('id', async (req, res, next, value) => {
+        const id = parseId(value);
+        try {
+            const servicio = id && await findServicio(id);
+            if (!servicio) return res.status(404).json({ error: 'Service not found' });
+            req.servicio = servicio;
+            next();
+        } catch (error) {
+            sendError(res, error, 'Error fetching servicio');
+        }
+    });
+
+    // ================= SERVICES =================
+
+    router.get('/', requireRole('viewer'), async (req, res) => {
+        try {
+            const result = await pool.query(`${SELECT_SERVICIO} ORDER BY s.id ASC`);
+            res.json(result.rows);
+        } catch (error) {
+            sendError(res, error, 'Error fetching servicios');
+        }
+    });
+
+    router.get('/:id', requireRole('viewer'), async (req, res) => {
+        try {
+            res.json({ ...req.servicio, productLines: await findLineas(req.servicio.id) });
+        } catch (error) {
+            sendError(res, error, 'Error fetching servicio');
+        }
+    });
+
+    router.post('/', requireRole('editor'), contentBody(SERVICIO_FILES), async (req, res) => {
+        try {
+            const values = validateFields(SERVICIO_FIELDS, req.body);
+            if (await nameTaken(values.nombre)) {
+                return res.status(409).json({ error: 'Ya existe un servicio con ese nombre (sin contar mayúsculas, acentos ni signos).' });
+            }
+            applyFile(values, req, 'img');
+            applyFile(values, req, 'img2');
+
+            const { text, values: params } = insertQuery('sitio.productos_servicios', values);
+            const result = await pool.query(text, params);
+            res.status(201).json(await findServicio(result.rows[0].id));
+        } catch (error) {
+            sendError(res, error, 'Error creating servicio');
+        }
+    });
+
+    router.put('/:id', requireRole('editor'), contentBody(SERVICIO_FILES), async (req, res) => {
+        const { id } = req.servicio;
+        try {
+            const values = validateFields(SERVICIO_FIELDS, req.body, { partial: true });
+            if (values.nombre && await nameTaken(values.nombre, id)) {
+                return res.status(409).json({ error: 'Ya existe un servicio con ese nombre (sin contar mayúsculas, acentos ni signos).' });
+            }
+            applyFile(values, req, 'img');
+            applyFile(values, req, 'img2');
+
+            const query = updateQuery('sitio.productos_servicios', id, values);
+            if (!query) return res.status(400).json({ error: 'No hay cambios que guardar.' });
+
+            await pool.query(query.text, query.values);
+            res.json(await findServicio(id));
+        } catch (error) {
+            sendError(res, error, 'Error updating servicio');
+        }
+    });
+
+    // Deletes the service together with its product lines
+    router.delete('/:id', requireRole('editor'), async (req, res) => {
+        const { id } = req.servicio;
+        try {
+            await withTransaction(pool, async (client) => {
+                await client.query('DELETE FROM sitio.lineaprod WHERE servicioid = $1', [id]);
+                await client.query('DELETE FROM sitio.productos_servicios WHERE id = $1', [id]);
+            });
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Error deleting servicio');
+        }
+    });
+
+    // ================= PRODUCT LINES =================
+
+    router.get('/:id/lineas', requireRole('viewer'), async (req, res) => {
+        try {
+            res.json(await findLineas(req.servicio.id));
+        } catch (error) {
+            sendError(res, error, 'Error fetching lineas');
+        }
+    });
+
+    router.post('/:id/lineas', requireRole('editor'), contentBody(LINEA_FILES), async (req, res) => {
+        const servicioId = req.servicio.id;
+        try {
+            const values = validateFields(LINEA_FIELDS, req.body);
+            applyFile(values, req, 'img');
+
+            // New lines go last
+            const last = await pool.query(
+                'SELECT COALESCE(MAX(orden), 0) as orden FROM sitio.lineaprod WHERE servicioid = $1',
+                [servicioId]
+            );
+            values.servicioid = servicioId;
+            values.orden = last.rows[0].orden + 1;
+
+            const { text, values: params } = insertQuery('sitio.lineaprod', values);
+            const result = await pool.query(text, params);
+            res.status(201).json(await findLinea(servicioId, result.rows[0].id));
+        } catch (error) {
+            sendError(res, error, 'Error creating linea');
+        }
+    });
+
+    // Sets the display order; body: { "orden": [<linea id>, ...] } with every line of the service
+    router.put('/:id/lineas/orden', requireRole('editor'), contentBody({}), async (req, res) => {
+        const servicioId = req.servicio.id;
+        try {
+            const ids = (req.body && req.body.orden) || [];
+            if (!Array.isArray(ids) || ids.some(id => !parseId(id))) {
+                throw new ValidationError('El campo "orden" debe ser una lista de identificadores.', 'orden');
+            }
+
+            const current = (await findLineas(servicioId)).map(linea => linea.id);
+            const requested = ids.map(Number);
+            const sameSet = requested.length === current.length
+                && new Set(requested).size === requested.length
+                && requested.every(id => current.includes(id));
+            if (!sameSet) {
+                throw new ValidationError('El orden debe incluir todas las líneas del servicio una sola vez.', 'orden');
+            }
+
+            await withTransaction(pool, async (client) => {
+                for (const [index, lineaId] of requested.entries()) {
+                    await client.query(
+                        'UPDATE sitio.lineaprod SET orden = $1 WHERE id = $2 AND servicioid = $3',
+                        [index + 1, lineaId, servicioId]
+                    );
+                }
+            });
+            res.json(await findLineas(servicioId));
+        } catch (error) {
+            sendError(res, error, 'Error reordering lineas');
+        }
+    });
+
+    router.put('/:id/lineas/:lineaId', requireRole('editor'), contentBody(LINEA_FILES), async (req, res) => {
+        const servicioId = req.servicio.id;
+        const lineaId = parseId(req.params.lineaId);
+        if (!lineaId) return res.status(404).json({ error: 'Línea de producto no encontrada' });
+
+        try {
+            const values = validateFields(LINEA_FIELDS, req.body, { partial: true });
+            applyFile(values, req, 'img');
+
+            const query = updateQuery('sitio.lineaprod', lineaId, values, { servicioid: servicioId });
+            if (!query) return res.status(400).json({ error: 'No hay cambios que guardar.' });
+
+            const result = await pool.query(query.text, query.values);
+            if (result.rowCount === 0) return res.status(404).json({ error: 'Línea de producto no encontrada' });
+            res.json(await findLinea(servicioId, lineaId));
+        } catch (error) {
+            sendError(res, error, 'Error updating linea');
+        }
+    });
+
+    router.delete('/:id/lineas/:lineaId', requireRole('editor'), async (req, res) => {
+        const lineaId = parseId(req.params.lineaId);
+        if (!lineaId) return res.status(404).json({ error: 'Línea de producto no encontrada' });
+
+        try {
+            const result = await pool.query(
+                'DELETE FROM sitio.lineaprod WHERE id = $1 AND servicioid = $2',
+                [lineaId, req.servicio.id]
+            );
+            if (result.rowCount === 0) return res.status(404).json({ error: 'Línea de producto no encontrada' });
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, 'Error deleting linea');
+        }
+    });
+
+    return router;
+}
+
+module.exports = createServiciosAdminRouter;
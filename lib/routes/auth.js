@@ -0,0 +1,67 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const users = require('../auth/users');
+const sessions = require('../auth/sessions');
+const { requireAuth, csrfProtection } = require('../auth/guards');
+const { isWorker } = require('../cluster');
+const { sharedRateLimitStore } = require('../shared-state');
+
+/**
+ * Login, logout and current session (mounted at /auth)
+ */
+function createAuthRouter({ pool }) {
+    const router = express.Router();
+
+    // Slows down password guessing from a single IP on top of the account lockout;
+    // in multi-worker mode the attempts are counted by the primary
+    const loginLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 20,
+        standardHeaders: true,
+        store: isWorker ? sharedRateLimitStore('login') : undefined,
+        passOnStoreError: true,
+        message: { error: 'Too many login attempts, please try again later.' }
+    });
+
+    router.post('/login', loginLimiter, async (req, res) => {
+        const { usuario, password } = req.body || {};
+        if (typeof usuario !== 'string' || typeof password !== 'string' || !usuario || !password) {
+            return res.status(400).json({ error: 'Usuario y contraseña son obligatorios.' });
+        }
+
+        try {
+            const { user, error } = await users.authenticate(pool, usuario.trim(), password);
+            if (error === 'locked') {
+                return res.status(423).json({ error: 'Cuenta bloqueada temporalmente por intentos fallidos.' });
+            }
+            if (!user) {
+                return res.status(401).json({ error: 'Usuario o contraseña incorrectos.' });
+            }
+
+            const session = await sessions.createSession(pool, req, res, user);
+            res.json({ user, csrfToken: session.csrfToken });
+        } catch (error) {
+            req.log.error('Error during login', error);
+            res.status(500).json({ error: 'Database error.' });
+        }
+    });
+
+    router.post('/logout', requireAuth, csrfProtection, async (req, res) => {
+        try {
+            await sessions.destroySession(pool, req, res);
+            res.status(204).end();
+        } catch (error) {
+            req.log.error('Error during logout', error);
+            res.status(500).json({ error: 'Database error.' });
+        }
+    });
+
+    // Current user and the CSRF token the admin pages must send back
+    router.get('/session', requireAuth, (req, res) => {
+        res.json({ user: req.user, csrfToken: req.session.csrfToken });
+    });
+
+    return router;
+}
+
+module.exports = createAuthRouter;
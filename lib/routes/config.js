@@ -0,0 +1,23 @@
+const express = require('express');
+const { getConfig } = require('../config');
+
+/**
+ * Configuration endpoint - provides server address to frontend
+ */
+function createConfigRouter() {
+    const router = express.Router();
+
+    router.get('/config', (req, res) => {
+        // Use the actual host from the request
+        const host = req.headers.host || '';
+        res.json({
+            server: req.hostname,
+            port: host.includes(':') ? host.split(':')[1] : String(getConfig().PORT),
+            apiUrl: `${req.protocol}://${host}/api`
+        });
+    });
+
+    return router;
+}
+
+module.exports = createConfigRouter;
@@ -0,0 +1,37 @@
+const express = require('express');
+
+/**
+ * Companies of the group (sitio.empresas)
+ */
+function createEmpresasRouter({ repos }) {
+    const router = express.Router();
+
+    // Get empresas data
+    router.get('/get-empresas', async (req, res) => {
+        try {
+            const empresas = await repos.empresas.listNames();
+            // Always revalidate so directory edits show up in the navbar right away
+            res.set('Cache-Control', 'no-cache');
+            res.json(empresas);
+        } catch (error) {
+            req.log.error('Error fetching empresas', error);
+            res.status(500).json({ error: 'Database error.' });
+        }
+    });
+
+    // Get all companies with details
+    router.get('/get-empresas-details', async (req, res) => {
+        try {
+            const empresas = await repos.empresas.listDetails();
+            res.set('Cache-Control', 'no-cache');
+            res.json(empresas);
+        } catch (error) {
+            req.log.error('Error fetching company details', error);
+            res.status(500).json({ error: 'Database error.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createEmpresasRouter;
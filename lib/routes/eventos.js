@@ -0,0 +1,100 @@
+const express = require('express');
+const { buildCalendar } = require('../ical');
+
+// Calendar apps re-download the subscription feed at this interval
+const FEED_REFRESH = 'PT12H';
+
+/**
+ * Events (sitio.eventos)
+ */
+function createEventosRouter({ repos }) {
+    const router = express.Router();
+
+    // Get events data
+    router.get('/get-eventos', async (req, res) => {
+        try {
+            res.json(await repos.eventos.list());
+        } catch (error) {
+            req.log.error('Error al obtener eventos', error);
+            res.status(500).json({ error: 'Error al obtener los eventos' });
+        }
+    });
+
+    // Get the PDF brochure uploaded for an event
+    router.get('/get-evento-descarga/:id(\\d+)', async (req, res) => {
+        try {
+            const descarga = await repos.eventos.findDescarga(parseInt(req.params.id, 10));
+            if (!descarga) {
+                return res.status(404).json({ error: 'Descarga no encontrada' });
+            }
+
+            const { pdf, nombre } = descarga;
+            const filename = (nombre || `evento-${req.params.id}.pdf`).replace(/["\\\r\n]/g, '');
+            res.set({
+                'Content-Type': 'application/pdf',
+                'Content-Length': pdf.length,
+                'Content-Disposition': `inline; filename="${filename.replace(/[^\x20-\x7E]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+                'X-Content-Type-Options': 'nosniff'
+            });
+            res.end(pdf);
+        } catch (error) {
+            req.log.error('Error al obtener la descarga del evento', error);
+            res.status(500).json({ error: 'Error al obtener la descarga' });
+        }
+    });
+
+    // Maps a calendar row to an iCalendar event
+    function toCalendarEvent(req, row) {
+        return {
+            uid: `evento-${row.id}@${req.hostname}`,
+            start: row.inicio,
+            end: row.fin,
+            summary: row.titulo,
+            location: row.lugar,
+            description: row.descripcion,
+            url: row.link
+        };
+    }
+
+    // Subscription feed with the upcoming and ongoing events
+    router.get('/eventos.ics', async (req, res) => {
+        try {
+            const eventos = await repos.eventos.listCalendar();
+
+            res.set({
+                'Content-Type': 'text/calendar; charset=utf-8',
+                'Content-Disposition': 'inline; filename="eventos-geocuba.ics"'
+            });
+            res.send(buildCalendar(eventos.map(row => toCalendarEvent(req, row)), {
+                name: 'Eventos GEOCUBA',
+                refresh: FEED_REFRESH
+            }));
+        } catch (error) {
+            req.log.error('Error al generar el calendario de eventos', error);
+            res.status(500).json({ error: 'Error al generar el calendario' });
+        }
+    });
+
+    // Single event, to add it to a calendar
+    router.get('/eventos/:id(\\d+).ics', async (req, res) => {
+        try {
+            const evento = await repos.eventos.findCalendar(parseInt(req.params.id, 10));
+            if (!evento) {
+                return res.status(404).json({ error: 'Evento no encontrado' });
+            }
+
+            res.set({
+                'Content-Type': 'text/calendar; charset=utf-8',
+                'Content-Disposition': `attachment; filename="evento-${req.params.id}.ics"`
+            });
+            res.send(buildCalendar([toCalendarEvent(req, evento)]));
+        } catch (error) {
+            req.log.error('Error al generar el calendario del evento', error);
+            res.status(500).json({ error: 'Error al generar el calendario' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createEventosRouter;
@@ -0,0 +1,81 @@
+const express = require('express');
+const { detectType } = require('../media');
+const { buildRss, buildAtom } = require('../feeds');
+const { summarize } = require('../text');
+const { noticiaPath } = require('../pages/permalinks');
+
+const FEED_SIZE = 20;
+const SUMMARY_LENGTH = 400;
+
+const FEEDS = {
+    noticias: {
+        title: 'Noticias GEOCUBA',
+        description: 'Últimas noticias del Grupo Empresarial GEOCUBA',
+        destacar: null
+    },
+    'noticias-destacadas': {
+        title: 'Noticias destacadas GEOCUBA',
+        description: 'Noticias destacadas del Grupo Empresarial GEOCUBA',
+        destacar: true
+    }
+};
+
+const FORMATS = {
+    rss: { build: buildRss, contentType: 'application/rss+xml; charset=utf-8' },
+    atom: { build: buildAtom, contentType: 'application/atom+xml; charset=utf-8' }
+};
+
+/**
+ * RSS and Atom feeds of the news (mounted at /feeds):
+ * /feeds/noticias.rss, /feeds/noticias.atom and the featured-only
+ * /feeds/noticias-destacadas.rss and /feeds/noticias-destacadas.atom.
+ * Links start with `origin`, the public origin of the portal.
+ */
+function createFeedsRouter({ repos, origin }) {
+    const router = express.Router();
+
+    router.get('/:feed.:format', async (req, res, next) => {
+        const feed = Object.prototype.hasOwnProperty.call(FEEDS, req.params.feed) && FEEDS[req.params.feed];
+        const format = Object.prototype.hasOwnProperty.call(FORMATS, req.params.format) && FORMATS[req.params.format];
+        if (!feed || !format) return next();
+
+        try {
+            const noticias = await repos.noticias.listLatest({ destacar: feed.destacar, limit: FEED_SIZE });
+
+            const items = noticias.map(row => {
+                const type = row.imagen_url && detectType(row.imagen_cabecera);
+                return {
+                    title: row.titulo,
+                    link: `${origin}${noticiaPath(row)}`,
+                    summary: summarize(row.noticia, SUMMARY_LENGTH),
+                    published: row.fecha ? new Date(`${row.fecha}T00:00:00Z`) : null,
+                    enclosure: type
+                        ? { url: `${origin}${row.imagen_url}`, type: type.mime, length: row.imagen_bytes }
+                        : null
+                };
+            });
+
+            const body = format.build({
+                title: feed.title,
+                description: feed.description,
+                link: `${origin}/noticias.html`,
+                selfUrl: `${origin}${req.baseUrl}${req.path}`,
+                language: 'es',
+                updated: items.length > 0 && items[0].published ? items[0].published : new Date()
+            }, items);
+
+            res.set({
+                'Content-Type': format.contentType,
+                'Cache-Control': 'public, max-age=900'
+            });
+            res.send(body);
+        } catch (error) {
+            req.log.error('Error generating news feed', error);
+            res.status(500).json({ error: 'Database error.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createFeedsRouter;
@@ -0,0 +1,95 @@
+const express = require('express');
+const toobusy = require('toobusy-js');
+const { requireApiKey } = require('../middleware/api-key');
+const { CONTENT_TYPE, registry } = require('../metrics');
+const { getConfig } = require('../config');
+const { isWorker } = require('../cluster');
+const { clusterMetrics } = require('../shared-state');
+
+const DB_CHECK_TIMEOUT_MS = getConfig().READY_DB_TIMEOUT_MS;
+// Lag above which the process is reported as not ready when the mode has no busy guard
+const DEFAULT_MAX_LAG_MS = 100;
+
+// Rejects when the promise takes longer than ms
+function withTimeout(promise, ms) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`No answer in ${ms} ms`)), ms);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+async function checkDatabase(pool) {
+    if (!pool) return { status: 'skipped' };
+
+    const start = Date.now();
+    try {
+        await withTimeout(pool.query('SELECT 1'), DB_CHECK_TIMEOUT_MS);
+        return { status: 'ok', latencyMs: Date.now() - start };
+    } catch (error) {
+        return { status: 'fail', error: error.message };
+    }
+}
+
+function checkEventLoop(maxLag) {
+    const lagMs = toobusy.lag();
+    return { status: lagMs <= maxLag ? 'ok' : 'fail', lagMs, maxLagMs: maxLag };
+}
+
+// Pool and response cache gauges of this app
+function registerGauges({ pool, cache }) {
+    registry.setGauge('portal_db_pool_connections', 'Connections held by the PostgreSQL pool, by state', () => pool && [
+        { labels: { state: 'idle' }, value: pool.idleCount },
+        { labels: { state: 'active' }, value: pool.totalCount - pool.idleCount }
+    ]);
+    registry.setGauge('portal_db_pool_max_connections', 'Size limit of the PostgreSQL pool', () => pool && pool.options.max);
+    registry.setGauge('portal_db_pool_waiting_clients', 'Queries waiting for a free connection', () => pool && pool.waitingCount);
+
+    registry.setGauge('portal_response_cache_entries', 'Responses stored in the API response cache', () => cache && cache.stats().entries);
+    registry.setGauge('portal_response_cache_lookups_total', 'API response cache lookups, by result', () => cache && [
+        { labels: { result: 'hit' }, value: cache.stats().hits },
+        { labels: { result: 'miss' }, value: cache.stats().misses }
+    ], 'counter');
+}
+
+/**
+ * Liveness, readiness and Prometheus metrics, for load balancers and
+ * monitoring (mounted at the root, outside the rate limit):
+ * /healthz answers while the process runs, /readyz checks the database
+ * and the event loop lag, and /metrics requires METRICS_API_KEY.
+ */
+function createHealthRouter({ pool, mode, cache }) {
+    const router = express.Router();
+    const maxLag = mode.toobusy ? mode.toobusy.maxLag : DEFAULT_MAX_LAG_MS;
+
+    registerGauges({ pool, cache });
+
+    router.get('/healthz', (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+    });
+
+    router.get('/readyz', async (req, res) => {
+        const checks = {
+            database: await checkDatabase(pool),
+            eventLoop: checkEventLoop(maxLag)
+        };
+        const ready = Object.values(checks).every(check => check.status !== 'fail');
+
+        res.set('Cache-Control', 'no-store');
+        res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'fail', checks });
+    });
+
+    // In multi-worker mode, the metrics of every worker with a `worker` label
+    router.get('/metrics', requireApiKey('METRICS_API_KEY'), async (req, res) => {
+        const text = isWorker ? await clusterMetrics() : registry.render();
+        res.set({ 'Content-Type': CONTENT_TYPE, 'Cache-Control': 'no-store' });
+        res.send(text);
+    });
+
+    return router;
+}
+
+module.exports = createHealthRouter;
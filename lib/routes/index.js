@@ -0,0 +1,60 @@
+const express = require('express');
+const createConfigRouter = require('./config');
+const createPresentacionRouter = require('./presentacion');
+const createNoticiasRouter = require('./noticias');
+const createServiciosRouter = require('./servicios');
+const createPreguntasRouter = require('./preguntas');
+const createEmpresasRouter = require('./empresas');
+const createEventosRouter = require('./eventos');
+const createSearchRouter = require('./search');
+const createReportsRouter = require('./reports');
+const createUsuariosRouter = require('./usuarios');
+const createAdminRouter = require('./admin');
+
+// Public GET routes served from the response cache: TTL in seconds and the
+// content each one depends on (admin writes to that content invalidate it)
+const CACHED_ROUTES = [
+    { route: '/get-presentacion', ttl: 600, tags: ['presentacion'] },
+    { route: '/get-preguntas-frecuentes', ttl: 600, tags: ['preguntas'] },
+    { route: '/get-services', ttl: 600, tags: ['servicios'] },
+    { route: '/get-service/:nombre', ttl: 600, tags: ['servicios'] },
+    { route: '/get-empresas', ttl: 600, tags: ['empresas'] },
+    { route: '/get-empresas-details', ttl: 600, tags: ['empresas'] },
+    { route: '/get-noticias-destacadas', ttl: 120, tags: ['noticias'] },
+    { route: '/get-noticias', ttl: 120, tags: ['noticias'] },
+    { route: '/get-noticia/:id', ttl: 300, tags: ['noticias'] },
+    { route: '/get-eventos', ttl: 120, tags: ['eventos'] }
+];
+
+/**
+ * Builds the /api router shared by every server mode, so all
+ * deployments expose the same API contract.
+ *
+ * @param {Object} deps - Shared dependencies ({ pool, mode, cache, repos, bans })
+ * @return {express.Router}
+ */
+function createApiRouter(deps) {
+    const router = express.Router();
+
+    if (deps.cache) {
+        for (const rule of CACHED_ROUTES) {
+            router.get(rule.route, deps.cache.cacheRoute(rule));
+        }
+    }
+
+    router.use(createConfigRouter(deps));
+    router.use(createPresentacionRouter(deps));
+    router.use(createNoticiasRouter(deps));
+    router.use(createServiciosRouter(deps));
+    router.use(createPreguntasRouter(deps));
+    router.use(createEmpresasRouter(deps));
+    router.use(createEventosRouter(deps));
+    router.use(createSearchRouter(deps));
+    router.use(createReportsRouter(deps));
+    router.use(createUsuariosRouter(deps));
+    router.use('/admin', createAdminRouter(deps));
+
+    return router;
+}
+
+module.exports = createApiRouter;
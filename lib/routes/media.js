@@ -0,0 +1,61 @@
+const express = require('express');
+const { MEDIA_SOURCES, VERSION_LENGTH, detectType } = require('../media');
+const { parseId } = require('../validation');
+
+// Versioned URLs (?v=<content hash>) never change content
+const IMMUTABLE_CACHE = 'public, max-age=31536000, immutable';
+// Unversioned URLs are revalidated with the ETag on every use
+const REVALIDATE_CACHE = 'public, no-cache';
+
+// Content hashes listed in an If-None-Match header
+function requestedHashes(header) {
+    if (!header) return [];
+    return header.split(',')
+        .map(tag => tag.trim().replace(/^W\//, '').replace(/^"|"$/g, ''))
+        .filter(Boolean);
+}
+
+/**
+ * Images stored in the database (mounted at /media). The content type
+ * is detected from the bytes; the ETag is the MD5 of the image.
+ */
+function createMediaRouter({ repos }) {
+    const router = express.Router();
+
+    router.get('/:entidad/:id/:campo', async (req, res) => {
+        const source = Object.prototype.hasOwnProperty.call(MEDIA_SOURCES, req.params.entidad)
+            && MEDIA_SOURCES[req.params.entidad];
+        const id = parseId(req.params.id);
+        if (!source || !source.columns.includes(req.params.campo) || !id) {
+            return res.status(404).json({ error: 'Imagen no encontrada' });
+        }
+
+        try {
+            // The bytes are only read when the client's copy is stale
+            const row = await repos.media.find(req.params.entidad, id, req.params.campo, requestedHashes(req.get('If-None-Match')));
+            if (!row) return res.status(404).json({ error: 'Imagen no encontrada' });
+
+            const versioned = req.query.v === row.hash.slice(0, VERSION_LENGTH);
+            res.set({
+                'ETag': `"${row.hash}"`,
+                'Cache-Control': versioned ? IMMUTABLE_CACHE : REVALIDATE_CACHE,
+                'X-Content-Type-Options': 'nosniff'
+            });
+            if (!row.data) return res.status(304).end();
+
+            const type = detectType(row.data);
+            res.set({
+                'Content-Type': type ? type.mime : 'application/octet-stream',
+                'Content-Length': row.data.length
+            });
+            res.end(row.data);
+        } catch (error) {
+            req.log.error('Error fetching media', error);
+            res.status(500).json({ error: 'Database error.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createMediaRouter;
@@ -0,0 +1,87 @@
+const express = require('express');
+const { ValidationError, TYPES, validateFields, parseId } = require('../validation');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+// Query string of /get-noticias; absent filters are null
+const ARCHIVE_QUERY = {
+    page: { type: 'integer', min: 1, default: 1 },
+    size: { type: 'integer', min: 1, default: DEFAULT_PAGE_SIZE },
+    year: { type: 'integer', min: 1900 },
+    month: { type: 'integer', min: 1 }
+};
+
+/**
+ * News (sitio.noticias)
+ */
+function createNoticiasRouter({ repos }) {
+    const router = express.Router();
+
+    // Get highlighted news
+    router.get('/get-noticias-destacadas', async (req, res) => {
+        try {
+            res.json(await repos.noticias.listDestacadas());
+        } catch (error) {
+            req.log.error('Error fetching noticias destacadas', error);
+            res.status(500).json({ error: 'Database error.' });
+        }
+    });
+
+    // Get a page of news, newest first, with optional filters:
+    // ?page=1&size=10&year=2024&month=5&destacar=true
+    router.get('/get-noticias', async (req, res) => {
+        let filters;
+        try {
+            filters = validateFields(ARCHIVE_QUERY, req.query);
+            // Unlike form checkboxes, a missing destacar means "any"
+            filters.destacar = req.query.destacar === undefined || req.query.destacar === ''
+                ? null
+                : TYPES.boolean(req.query.destacar, {}, 'destacar');
+            if (filters.size > MAX_PAGE_SIZE) {
+                throw new ValidationError(`El campo "size" admite como máximo ${MAX_PAGE_SIZE}.`, 'size');
+            }
+            if (filters.month !== null && (filters.month > 12 || filters.year === null)) {
+                throw new ValidationError('El campo "month" debe estar entre 1 y 12 y requiere "year".', 'month');
+            }
+        } catch (error) {
+            return res.status(400).json({ error: error.message, field: error.field });
+        }
+
+        const { page, size } = filters;
+
+        try {
+            const { noticias, total, years } = await repos.noticias.archive(filters);
+            res.json({
+                noticias,
+                total,
+                page,
+                size,
+                pages: Math.ceil(total / size),
+                years
+            });
+        } catch (error) {
+            req.log.error('Error al obtener noticias', error);
+            res.status(500).json({ error: 'Error al obtener las noticias' });
+        }
+    });
+
+    // Get specific news by ID
+    router.get('/get-noticia/:id', async (req, res) => {
+        try {
+            const id = parseId(req.params.id);
+            const noticia = id && await repos.noticias.findById(id);
+            if (!noticia) {
+                return res.status(404).json({ error: 'Noticia no encontrada' });
+            }
+            res.json(noticia);
+        } catch (error) {
+            req.log.error('Error al obtener la noticia', error);
+            res.status(500).json({ error: 'Error al obtener la noticia' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createNoticiasRouter;
@@ -0,0 +1,291 @@
+const express = require('express');
+const { escapeHtml, formatText, summarize } = require('../text');
+const { renderPage, LOGO_PATH } = require('../pages/layout');
+const permalinks = require('../pages/permalinks');
+
+const DESCRIPTION_LENGTH = 160;
+
+// Matches /<id> and /<id>-<slug>
+const ID_SLUG_PATTERN = /^\/(\d+)(?:-([a-z0-9-]*))?\/?$/;
+
+function publisher(origin) {
+    return {
+        '@type': 'Organization',
+        name: 'Grupo Empresarial GEOCUBA',
+        url: `${origin}/`,
+        logo: { '@type': 'ImageObject', url: `${origin}${LOGO_PATH}` }
+    };
+}
+
+function sendPage(res, page) {
+    res.set({
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'public, max-age=300'
+    });
+    res.send(renderPage(page));
+}
+
+function sendNotFound(req, res, origin, message) {
+    res.status(404);
+    sendPage(res, {
+        title: 'Página no encontrada',
+        description: message,
+        canonical: `${origin}${req.originalUrl.split('?')[0]}`,
+        body: `
+            <div class="permalink-card">
+                <h1 class="mbr-section-title mbr-fonts-style mb-3 display-5"><strong>Página no encontrada</strong></h1>
+                <p class="mbr-text mbr-fonts-style display-7">${escapeHtml(message)}</p>
+                <a class="btn btn-primary display-7" href="/index.html">Ir al inicio</a>
+            </div>`
+    });
+}
+
+/**
+ * Server-rendered permalink pages with the full content, Open Graph and
+ * JSON-LD: /noticias/:id-:slug, /eventos/:id-:slug, /servicios/:slug
+ * and /empresas/:slug. Stale or missing slugs redirect to the canonical URL.
+ * Absolute URLs start with `origin`, the public origin of the portal.
+ */
+function createPagesRouter({ repos, origin }) {
+    const router = express.Router();
+
+    // ================= NEWS =================
+
+    router.get(/^\/noticias(\/\d+(?:-[a-z0-9-]*)?\/?)$/, async (req, res, next) => {
+        const [, id] = ID_SLUG_PATTERN.exec(req.params[0]);
+        try {
+            const noticia = await repos.noticias.findById(parseInt(id, 10));
+            if (!noticia) return sendNotFound(req, res, origin, 'La noticia solicitada no existe.');
+
+            const path = permalinks.noticiaPath(noticia);
+            if (req.path !== path) return res.redirect(301, path);
+
+            const canonical = `${origin}${path}`;
+            const image = noticia.imagen ? `${origin}${noticia.imagen}` : null;
+            const description = summarize(noticia.noticia, DESCRIPTION_LENGTH) || noticia.titulo;
+
+            sendPage(res, {
+                title: noticia.titulo,
+                description,
+                canonical,
+                image,
+                ogType: 'article',
+                structuredData: {
+                    '@context': 'https://schema.org',
+                    '@type': 'NewsArticle',
+                    headline: noticia.titulo,
+                    description,
+                    datePublished: noticia.fecha_iso || undefined,
+                    image: image ? [image] : undefined,
+                    mainEntityOfPage: canonical,
+                    publisher: publisher(origin)
+                },
+                body: `
+            <article class="permalink-card">
+                ${image ? `<img class="permalink-image" src="${escapeHtml(noticia.imagen)}" alt="${escapeHtml(noticia.titulo)}">` : ''}
+                ${noticia.fecha ? `<div class="permalink-meta"><time datetime="${noticia.fecha_iso}">${noticia.fecha}</time></div>` : ''}
+                <h1 class="mbr-section-title mbr-fonts-style mb-4 display-5"><strong>${escapeHtml(noticia.titulo)}</strong></h1>
+                <div class="formatted-content mbr-text mbr-fonts-style mb-4 display-7">
+                    ${formatText(noticia.noticia)}
+                </div>
+                ${noticia.link ? `<a class="btn btn-primary display-7 me-2" href="${escapeHtml(noticia.link)}" target="_blank" rel="noopener">Más Información</a>` : ''}
+                <a class="btn btn-secondary display-7" href="/noticias.html">Todas las noticias</a>
+            </article>`
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // ================= EVENTS =================
+
+    router.get(/^\/eventos(\/\d+(?:-[a-z0-9-]*)?\/?)$/, async (req, res, next) => {
+        const [, id] = ID_SLUG_PATTERN.exec(req.params[0]);
+        try {
+            const evento = await repos.eventos.findById(parseInt(id, 10));
+            if (!evento) return sendNotFound(req, res, origin, 'El evento solicitado no existe.');
+
+            const path = permalinks.eventoPath(evento);
+            if (req.path !== path) return res.redirect(301, path);
+
+            const canonical = `${origin}${path}`;
+            const image = evento.imagen ? `${origin}${evento.imagen}` : null;
+            const description = summarize(evento.descripcion, DESCRIPTION_LENGTH)
+                || `${evento.titulo}, en ${evento.lugar}`;
+
+            sendPage(res, {
+                title: evento.titulo,
+                description,
+                canonical,
+                image,
+                ogType: 'website',
+                structuredData: {
+                    '@context': 'https://schema.org',
+                    '@type': 'Event',
+                    name: evento.titulo,
+                    description,
+                    startDate: evento.fechai_iso || undefined,
+                    endDate: evento.fechaf_iso || undefined,
+                    eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+                    eventStatus: 'https://schema.org/EventScheduled',
+                    location: evento.lugar ? { '@type': 'Place', name: evento.lugar, address: evento.lugar } : undefined,
+                    image: image ? [image] : undefined,
+                    url: canonical,
+                    organizer: publisher(origin)
+                },
+                body: `
+            <article class="permalink-card">
+                ${image ? `<img class="permalink-image" src="${escapeHtml(evento.imagen)}" alt="${escapeHtml(evento.titulo)}">` : ''}
+                <h1 class="mbr-section-title mbr-fonts-style mb-3 display-5"><strong>${escapeHtml(evento.titulo)}</strong></h1>
+                <p class="permalink-meta">
+                    En ${escapeHtml(evento.lugar)}, desde el ${evento.fechai || ''} hasta el ${evento.fechaf || evento.fechai || ''}
+                </p>
+                <div class="formatted-content mbr-text mbr-fonts-style mb-4 display-7">
+                    ${formatText(evento.descripcion)}
+                </div>
+                ${evento.link ? `<a class="btn btn-primary display-7 me-2" href="${escapeHtml(evento.link)}" target="_blank" rel="noopener">Más Información</a>` : ''}
+                ${evento.descarga ? `<a class="btn btn-primary display-7 me-2" href="${escapeHtml(evento.descarga)}" target="_blank" rel="noopener">Descarga PDF</a>` : ''}
+                <a class="btn btn-secondary display-7 me-2" href="/api/eventos/${evento.id}.ics">Añadir al calendario</a>
+                <a class="btn btn-secondary display-7" href="/eventos.html">Todos los eventos</a>
+            </article>`
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // ================= SERVICES =================
+
+    router.get('/servicios/:slug([a-z0-9-]+)', async (req, res, next) => {
+        try {
+            // Services have no slug column; the list is short, so match in memory
+            const services = await repos.servicios.listAll();
+            const servicio = services.find(row => permalinks.nameSlug(row.nombre, row.id) === req.params.slug);
+            if (!servicio) return sendNotFound(req, res, origin, 'El servicio solicitado no existe.');
+
+            const lineas = await repos.servicios.listLineas(servicio.id);
+
+            const canonical = `${origin}${permalinks.servicioPath(servicio)}`;
+            const image = servicio.img ? `${origin}${servicio.img}` : null;
+            const description = summarize(servicio.descripcion, DESCRIPTION_LENGTH) || servicio.nombre;
+            const detailUrl = line => `/producto.html?id=${line.id}&service=${encodeURIComponent(servicio.nombre)}`;
+
+            sendPage(res, {
+                title: servicio.nombre,
+                description,
+                canonical,
+                image,
+                structuredData: {
+                    '@context': 'https://schema.org',
+                    '@type': 'Service',
+                    name: servicio.nombre,
+                    description,
+                    image: image || undefined,
+                    url: canonical,
+                    provider: publisher(origin),
+                    hasOfferCatalog: lineas.length > 0 ? {
+                        '@type': 'OfferCatalog',
+                        name: servicio.nombre,
+                        itemListElement: lineas.map(line => ({
+                            '@type': 'Offer',
+                            itemOffered: { '@type': 'Product', name: line.titulo, url: `${origin}${detailUrl(line)}` }
+                        }))
+                    } : undefined
+                },
+                body: `
+            <article class="permalink-card">
+                ${image ? `<img class="permalink-image" src="${escapeHtml(servicio.img)}" alt="${escapeHtml(servicio.nombre)}">` : ''}
+                <h1 class="mbr-section-title mbr-fonts-style mb-4 display-5"><strong>${escapeHtml(servicio.nombre)}</strong></h1>
+                <div class="formatted-content mbr-text mbr-fonts-style mb-4 display-7">
+                    ${formatText(servicio.descripcion)}
+                </div>
+                ${servicio.contacto ? `<a class="btn btn-primary display-7 me-2" href="https://wa.me/${escapeHtml(servicio.contacto)}" target="_blank" rel="noopener">Contactar por WhatsApp</a>` : ''}
+                <a class="btn btn-secondary display-7" href="/servicios.html?service=${encodeURIComponent(servicio.nombre)}">Ver en el catálogo</a>
+            </article>
+            ${lineas.length > 0 ? `
+            <section class="permalink-lines">
+                <h2 class="mbr-section-title mbr-fonts-style mb-4 display-7"><strong>Líneas de producto</strong></h2>
+                <div class="row row-cols-1 row-cols-md-3 g-4">
+                    ${lineas.map(line => `
+                    <div class="col">
+                        <a class="card text-decoration-none text-reset" href="${escapeHtml(detailUrl(line))}">
+                            ${line.img ? `<img class="card-img-top" src="${escapeHtml(line.img)}" alt="${escapeHtml(line.titulo)}" loading="lazy">` : ''}
+                            <div class="card-body">
+                                <h3 class="card-title h5">${escapeHtml(line.titulo)}</h3>
+                                <p class="card-text">${escapeHtml(summarize(line.descripcion, DESCRIPTION_LENGTH))}</p>
+                            </div>
+                        </a>
+                    </div>`).join('')}
+                </div>
+            </section>` : ''}`
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // ================= COMPANIES =================
+
+    router.get('/empresas/:slug([a-z0-9-]+)', async (req, res, next) => {
+        try {
+            const companies = await repos.empresas.listAll();
+            const empresa = companies.find(row => permalinks.nameSlug(row.empresa, row.id) === req.params.slug);
+            if (!empresa) return sendNotFound(req, res, origin, 'La empresa solicitada no existe.');
+
+            const canonical = `${origin}${permalinks.empresaPath(empresa)}`;
+            const logo = empresa.logo ? `${origin}${empresa.logo}` : null;
+            const description = summarize(empresa.descripcion, DESCRIPTION_LENGTH) || empresa.empresa;
+            // The first of several numbers ("7 2034455, 7 2034466") is the main one
+            const telephone = empresa.telf ? `+53 ${empresa.telf.split(/[,;/]/)[0].trim()}` : undefined;
+
+            sendPage(res, {
+                title: empresa.empresa,
+                description,
+                canonical,
+                image: logo,
+                structuredData: {
+                    '@context': 'https://schema.org',
+                    '@type': 'Organization',
+                    name: empresa.empresa,
+                    description,
+                    url: empresa.sitio ? `https://${empresa.sitio}` : canonical,
+                    logo: logo || undefined,
+                    email: empresa.mail || undefined,
+                    telephone,
+                    address: empresa.direccion
+                        ? { '@type': 'PostalAddress', streetAddress: empresa.direccion, addressCountry: 'CU' }
+                        : undefined,
+                    parentOrganization: publisher(origin)
+                },
+                body: `
+            <article class="permalink-card">
+                <div class="row g-4 align-items-center">
+                    <div class="col-12 col-md-4 text-center">
+                        <img class="permalink-logo" src="${escapeHtml(empresa.logo || LOGO_PATH)}" alt="${escapeHtml(empresa.empresa)} Logo">
+                    </div>
+                    <div class="col-12 col-md-8">
+                        <h1 class="mbr-section-title mbr-fonts-style mb-3 display-5"><strong>${escapeHtml(empresa.empresa)}</strong></h1>
+                        <p class="permalink-meta">${empresa.especializada ? 'Empresa especializada' : 'Dependencia territorial'} de GEOCUBA</p>
+                        <div class="formatted-content mbr-text mbr-fonts-style mb-3 display-7">
+                            ${formatText(empresa.descripcion)}
+                        </div>
+                        <p class="mbr-text mbr-fonts-style display-7">
+                            <strong>Dirección:</strong> ${escapeHtml(empresa.direccion || 'No disponible')}<br>
+                            <strong>Teléfono:</strong> ${empresa.telf ? `(+53) ${escapeHtml(empresa.telf)}` : 'No disponible'}<br>
+                            <strong>E-Mail:</strong> ${empresa.mail ? `<a href="mailto:${escapeHtml(empresa.mail)}">${escapeHtml(empresa.mail)}</a>` : 'No disponible'}
+                        </p>
+                        ${empresa.sitio ? `<a class="btn btn-primary display-7 me-2" href="https://${escapeHtml(empresa.sitio)}" target="_blank" rel="noopener">Sitio Web</a>` : ''}
+                        <a class="btn btn-secondary display-7" href="/empresas.html">Todas las empresas</a>
+                    </div>
+                </div>
+            </article>`
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = createPagesRouter;
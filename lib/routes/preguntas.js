@@ -0,0 +1,22 @@
+const express = require('express');
+
+/**
+ * Preguntas frecuentes (FAQ)
+ */
+function createPreguntasRouter({ repos }) {
+    const router = express.Router();
+
+    // Get FAQ (Preguntas Frecuentes)
+    router.get('/get-preguntas-frecuentes', async (req, res) => {
+        try {
+            res.json(await repos.preguntas.list());
+        } catch (error) {
+            req.log.error('Error fetching preguntas frecuentes', error);
+            res.status(500).json({ error: 'Database error.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createPreguntasRouter;
@@ -0,0 +1,22 @@
+const express = require('express');
+
+/**
+ * Institutional presentation shown on the home page
+ */
+function createPresentacionRouter({ repos }) {
+    const router = express.Router();
+
+    // Get presentation data
+    router.get('/get-presentacion', async (req, res) => {
+        try {
+            res.json(await repos.presentacion.list());
+        } catch (error) {
+            req.log.error('Error fetching presentation data', error);
+            res.status(500).json({ error: 'Database error.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createPresentacionRouter;
@@ -0,0 +1,62 @@
+const express = require('express');
+const { requireApiKey } = require('../middleware/api-key');
+const { REPORTS, ReportParamError, describeParams, validateParams, runReport } = require('../reports');
+const { getConfig } = require('../config');
+
+/**
+ * Named, parameterized, read-only reports for the reporting scripts.
+ * Requires the REPORTS_API_KEY credential.
+ */
+function createReportsRouter({ pool }) {
+    const router = express.Router();
+    const timeoutMs = getConfig().REPORTS_STATEMENT_TIMEOUT_MS;
+
+    router.use('/reports', requireApiKey('REPORTS_API_KEY'));
+
+    // List available reports and their parameters
+    router.get('/reports', (req, res) => {
+        const reports = Object.entries(REPORTS).map(([name, report]) => ({
+            name,
+            description: report.description,
+            params: describeParams(report)
+        }));
+        res.json(reports);
+    });
+
+    // Run a report; parameters come from the query string (GET) or JSON body (POST)
+    const handleReport = async (req, res) => {
+        const { name } = req.params;
+        if (!Object.prototype.hasOwnProperty.call(REPORTS, name)) {
+            return res.status(404).json({ error: 'Report not found.' });
+        }
+
+        const report = REPORTS[name];
+        const input = req.method === 'POST' ? (req.body || {}) : req.query;
+
+        let params;
+        try {
+            params = validateParams(report, input);
+        } catch (error) {
+            if (error instanceof ReportParamError) {
+                return res.status(400).json({ error: error.message });
+            }
+            req.log.error(`Invalid definition for report ${name}`, error);
+            return res.status(500).json({ error: 'Internal server error.' });
+        }
+
+        try {
+            const rows = await runReport(pool, report, params, timeoutMs);
+            res.json({ report: name, params, rows });
+        } catch (error) {
+            req.log.error(`Error running report ${name}`, error);
+            res.status(500).json({ error: 'Database error.' });
+        }
+    };
+
+    router.get('/reports/:name', handleReport);
+    router.post('/reports/:name', handleReport);
+
+    return router;
+}
+
+module.exports = createReportsRouter;
@@ -0,0 +1,26 @@
+const express = require('express');
+const { SearchQueryError } = require('../search');
+
+/**
+ * Full-text search over the public content (/api/search?q=)
+ */
+function createSearchRouter({ repos }) {
+    const router = express.Router();
+
+    router.get('/search', async (req, res) => {
+        try {
+            const results = await repos.search.search(req.query.q);
+            res.json({ q: req.query.q.trim(), total: results.length, results });
+        } catch (error) {
+            if (error instanceof SearchQueryError) {
+                return res.status(400).json({ error: error.message });
+            }
+            req.log.error('Error searching', error);
+            res.status(500).json({ error: 'Database error.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createSearchRouter;
@@ -0,0 +1,42 @@
+const express = require('express');
+
+/**
+ * Services and their product lines (sitio.productos_servicios, sitio.lineaprod)
+ */
+function createServiciosRouter({ repos }) {
+    const router = express.Router();
+
+    // Get services data
+    router.get('/get-services', async (req, res) => {
+        try {
+            res.json(await repos.servicios.list());
+        } catch (error) {
+            req.log.error('Error fetching services', error);
+            res.status(500).json({ error: 'Database error.' });
+        }
+    });
+
+    // Get service details and its product lines
+    router.get('/get-service/:nombre', async (req, res) => {
+        try {
+            const { nombre } = req.params;
+
+            const service = await repos.servicios.findByName(nombre);
+            if (!service) {
+                return res.status(404).json({ error: 'Service not found' });
+            }
+
+            res.json({
+                service: service,
+                productLines: await repos.servicios.listLineas(service.id)
+            });
+        } catch (error) {
+            req.log.error('Error fetching service data', error);
+            res.status(500).json({ error: 'Database error.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createServiciosRouter;
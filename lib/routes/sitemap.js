@@ -0,0 +1,116 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { MAX_URLS, buildUrlset, buildSitemapIndex, buildRobots } = require('../sitemap');
+const permalinks = require('../pages/permalinks');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+// Static pages and the content types they list; a page changes when its content does
+const STATIC_PAGES = [
+    { loc: '/', file: 'index.html', content: ['noticias'] },
+    { loc: '/noticias.html', file: 'noticias.html', content: ['noticias'] },
+    { loc: '/eventos.html', file: 'eventos.html', content: ['eventos'] },
+    { loc: '/servicios.html', file: 'servicios.html', content: ['servicios'] },
+    { loc: '/empresas.html', file: 'empresas.html', content: ['empresas'] }
+];
+
+// Permalinks of each content type, from its { id, name, actualizado } rows
+const CONTENT = {
+    noticias: { list: repos => repos.noticias.listUpdates(), path: permalinks.noticiaPath },
+    eventos: { list: repos => repos.eventos.listUpdates(), path: permalinks.eventoPath },
+    servicios: { list: repos => repos.servicios.listAll(), path: permalinks.servicioPath },
+    empresas: { list: repos => repos.empresas.listAll(), path: permalinks.empresaPath }
+};
+
+function newest(dates) {
+    return dates.reduce((latest, date) => (date && (!latest || date > latest) ? date : latest), null);
+}
+
+async function fileModified(file) {
+    try {
+        return (await fs.promises.stat(path.join(ROOT_DIR, file))).mtime;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Every public URL with its last modification date: the static pages
+ * first, then the permalink of each content row.
+ */
+async function collectUrls(repos, base) {
+    const types = Object.keys(CONTENT);
+    const results = await Promise.all(types.map(type => CONTENT[type].list(repos)));
+
+    const content = {};
+    types.forEach((type, index) => {
+        content[type] = results[index].map(row => ({
+            loc: `${base}${CONTENT[type].path(row)}`,
+            lastmod: row.actualizado ? new Date(row.actualizado) : null
+        }));
+    });
+
+    const pages = await Promise.all(STATIC_PAGES.map(async page => ({
+        loc: `${base}${page.loc}`,
+        lastmod: newest([
+            await fileModified(page.file),
+            ...page.content.flatMap(type => content[type].map(url => url.lastmod))
+        ])
+    })));
+
+    return pages.concat(...types.map(type => content[type]));
+}
+
+/**
+ * robots.txt and sitemap.xml. Beyond MAX_URLS entries sitemap.xml becomes
+ * a sitemap index of /sitemap-1.xml, /sitemap-2.xml, ... Every URL starts
+ * with `origin`, the public origin of the portal.
+ */
+function createSitemapRouter({ repos, origin }) {
+    const router = express.Router();
+
+    router.get('/robots.txt', (req, res) => {
+        res.set({
+            'Content-Type': 'text/plain; charset=utf-8',
+            'Cache-Control': 'public, max-age=3600'
+        });
+        res.send(buildRobots(`${origin}/sitemap.xml`));
+    });
+
+    router.get(/^\/sitemap(?:-(\d+))?\.xml$/, async (req, res, next) => {
+        const part = req.params[0] ? parseInt(req.params[0], 10) : null;
+
+        try {
+            const urls = await collectUrls(repos, origin);
+            const parts = Math.ceil(urls.length / MAX_URLS);
+            let body;
+
+            if (part === null && parts <= 1) {
+                body = buildUrlset(urls);
+            } else if (part === null) {
+                body = buildSitemapIndex(Array.from({ length: parts }, (_, index) => ({
+                    loc: `${origin}/sitemap-${index + 1}.xml`,
+                    lastmod: newest(urls.slice(index * MAX_URLS, (index + 1) * MAX_URLS).map(url => url.lastmod))
+                })));
+            } else if (parts > 1 && part >= 1 && part <= parts) {
+                body = buildUrlset(urls.slice((part - 1) * MAX_URLS, part * MAX_URLS));
+            } else {
+                return next();
+            }
+
+            res.set({
+                'Content-Type': 'application/xml; charset=utf-8',
+                'Cache-Control': 'public, max-age=3600'
+            });
+            res.send(body);
+        } catch (error) {
+            req.log.error('Error generating sitemap', error);
+            res.status(500).json({ error: 'Database error.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createSitemapRouter;
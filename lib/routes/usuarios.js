@@ -0,0 +1,111 @@
+const express = require('express');
+const users = require('../auth/users');
+const { checkPasswordStrength } = require('../auth/passwords');
+const { requireRole, csrfProtection } = require('../auth/guards');
+
+// Returns an error message for invalid fields, or null
+function validateUserInput(body, { creating }) {
+    const { usuario, nombre, password, rol, activo } = body;
+
+    if (creating) {
+        const invalid = users.checkUsername(usuario);
+        if (invalid) return invalid;
+    }
+    if (nombre !== undefined && nombre !== null && (typeof nombre !== 'string' || nombre.length > 128)) {
+        return 'El nombre no es válido.';
+    }
+    if (creating || password !== undefined) {
+        const weakness = checkPasswordStrength(password);
+        if (weakness) return weakness;
+    }
+    if ((creating || rol !== undefined) && !users.ROLES.includes(rol)) {
+        return `El rol debe ser uno de: ${users.ROLES.join(', ')}.`;
+    }
+    if (activo !== undefined && typeof activo !== 'boolean') {
+        return 'El campo activo debe ser true o false.';
+    }
+    return null;
+}
+
+/**
+ * Admin user management (admin role only)
+ */
+function createUsuariosRouter({ pool }) {
+    const router = express.Router();
+
+    router.use('/usuarios', requireRole('admin'), csrfProtection);
+
+    router.get('/usuarios', async (req, res) => {
+        try {
+            res.json(await users.listUsers(pool));
+        } catch (error) {
+            req.log.error('Error fetching usuarios', error);
+            res.status(500).json({ error: 'Database error.' });
+        }
+    });
+
+    router.post('/usuarios', async (req, res) => {
+        const body = req.body || {};
+        const invalid = validateUserInput(body, { creating: true });
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        try {
+            const user = await users.createUser(pool, body);
+            res.status(201).json(user);
+        } catch (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: 'El usuario ya existe.' });
+            }
+            req.log.error('Error creating usuario', error);
+            res.status(500).json({ error: 'Database error.' });
+        }
+    });
+
+    router.put('/usuarios/:id(\\d+)', async (req, res) => {
+        const body = req.body || {};
+        const invalid = validateUserInput(body, { creating: false });
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        const id = Number(req.params.id);
+        // An admin can't demote or deactivate their own account and lock everyone out
+        if (id === req.user.id && ((body.rol && body.rol !== 'admin') || body.activo === false)) {
+            return res.status(400).json({ error: 'No puede quitarse el rol de administrador ni desactivarse.' });
+        }
+
+        if (!users.UPDATABLE_FIELDS.some(field => body[field] !== undefined)) {
+            return res.status(400).json({ error: 'No hay cambios que guardar.' });
+        }
+
+        try {
+            // Changing one's own password ends the other sessions but keeps this one
+            const user = await users.updateUser(pool, id, body, {
+                keepSessionId: id === req.user.id ? req.session.id : null
+            });
+            if (!user) return res.status(404).json({ error: 'Usuario no encontrado' });
+            res.json(user);
+        } catch (error) {
+            req.log.error('Error updating usuario', error);
+            res.status(500).json({ error: 'Database error.' });
+        }
+    });
+
+    router.delete('/usuarios/:id(\\d+)', async (req, res) => {
+        const id = Number(req.params.id);
+        if (id === req.user.id) {
+            return res.status(400).json({ error: 'No puede eliminar su propio usuario.' });
+        }
+
+        try {
+            const deleted = await users.deleteUser(pool, id);
+            if (!deleted) return res.status(404).json({ error: 'Usuario no encontrado' });
+            res.status(204).end();
+        } catch (error) {
+            req.log.error('Error deleting usuario', error);
+            res.status(500).json({ error: 'Database error.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createUsuariosRouter;
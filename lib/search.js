@@ -0,0 +1,142 @@
+/**
+ * Full-text search across the portal content
+ *
+ * Uses the sitio.es_unaccent text search configuration (Spanish stemming
+ * without accents) created by db/migrations/005_busqueda.sql. The document
+ * expressions must match the indexes defined there.
+ */
+
+const permalinks = require('./pages/permalinks');
+
+const SEARCH_CONFIG = 'sitio.es_unaccent';
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 200;
+const RESULTS_PER_TYPE = 10;
+
+// Snippets are built from HTML-escaped text, so the only markup is <mark>
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "';
+
+/**
+ * Searchable content types, in the order the results page shows them.
+ * title and body are SQL expressions over the alias "t"; url builds the
+ * portal link for a result row ({ id, titulo, ref }).
+ */
+const SOURCES = {
+    noticias: {
+        label: 'Noticias',
+        from: 'sitio.noticias t',
+        title: 't.titulo',
+        body: ['t.noticia'],
+        url: row => permalinks.noticiaPath(row)
+    },
+    eventos: {
+        label: 'Eventos',
+        from: 'sitio.eventos t',
+        title: 't.titulo',
+        body: ['t.lugar', 't.descripcion'],
+        url: row => permalinks.eventoPath(row)
+    },
+    servicios: {
+        label: 'Servicios',
+        from: 'sitio.productos_servicios t',
+        title: 't.nombre',
+        body: ['t.descripcion'],
+        url: row => permalinks.servicioPath({ id: row.id, nombre: row.titulo })
+    },
+    lineas: {
+        label: 'Líneas de producto',
+        from: 'sitio.lineaprod t JOIN sitio.productos_servicios s ON s.id = t.servicioid',
+        title: 't.titulo',
+        body: ['t.descripcion'],
+        ref: 's.nombre',
+        url: row => `producto.html?id=${row.id}&service=${encodeURIComponent(row.ref)}`
+    },
+    empresas: {
+        label: 'Empresas',
+        from: 'sitio.empresas t',
+        title: 't.empresa',
+        body: ['t.descripcion', 't.direccion'],
+        url: row => permalinks.empresaPath({ id: row.id, empresa: row.titulo })
+    },
+    preguntas: {
+        label: 'Preguntas frecuentes',
+        from: 'sitio.preguntas t',
+        title: 't.pregunta',
+        body: ['t.respuesta'],
+        url: () => 'index.html#preguntas-frecuentes'
+    }
+};
+
+// Thrown when the search text is missing or out of bounds
+class SearchQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SearchQueryError';
+    }
+}
+
+function concat(columns) {
+    return columns.map(column => `coalesce(${column}, '')`).join(` || ' ' || `);
+}
+
+function escapeHtmlSql(expression) {
+    return `replace(replace(replace(${expression}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+}
+
+// One ranked sub-select per content type; $1 is the search text, $2 the limit
+function sourceQuery(type, source) {
+    const documentSql = concat([source.title, ...source.body]);
+    return `(
+        SELECT '${type}' as tipo, t.id, ${source.title} as titulo, ${source.ref || 'NULL'} as ref,
+               ts_rank(to_tsvector('${SEARCH_CONFIG}', ${documentSql}), query) as rank,
+               ts_headline('${SEARCH_CONFIG}', ${escapeHtmlSql(concat(source.body))}, query, '${HEADLINE_OPTIONS}') as snippet
+        FROM ${source.from}, websearch_to_tsquery('${SEARCH_CONFIG}', $1) query
+        WHERE to_tsvector('${SEARCH_CONFIG}', ${documentSql}) @@ query
+        ORDER BY rank DESC
+        LIMIT $2
+    )`;
+}
+
+const SEARCH_SQL = `
+    ${Object.entries(SOURCES).map(([type, source]) => sourceQuery(type, source)).join('\n    UNION ALL\n    ')}
+    ORDER BY rank DESC
+`;
+
+/**
+ * @param {*} text - Search text as received
+ * @return {string} The trimmed text
+ * @throws {SearchQueryError} When it is missing or out of bounds
+ */
+function checkQuery(text) {
+    const q = typeof text === 'string' ? text.trim() : '';
+    if (q.length < MIN_QUERY_LENGTH) {
+        throw new SearchQueryError(`La búsqueda debe tener al menos ${MIN_QUERY_LENGTH} caracteres.`);
+    }
+    if (q.length > MAX_QUERY_LENGTH) {
+        throw new SearchQueryError(`La búsqueda admite como máximo ${MAX_QUERY_LENGTH} caracteres.`);
+    }
+    return q;
+}
+
+/**
+ * Runs a search and returns the results ranked across every type.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {string} text - Search text in web search syntax ("quoted phrases", -exclusions, or)
+ * @return {Promise<Array<{tipo, tipoLabel, id, titulo, snippet, url, rank}>>}
+ */
+async function search(pool, text) {
+    const q = checkQuery(text);
+    const result = await pool.query(SEARCH_SQL, [q, RESULTS_PER_TYPE]);
+    return result.rows.map(row => ({
+        tipo: row.tipo,
+        tipoLabel: SOURCES[row.tipo].label,
+        id: row.id,
+        titulo: row.titulo,
+        snippet: row.snippet,
+        url: SOURCES[row.tipo].url(row),
+        rank: Number(row.rank)
+    }));
+}
+
+module.exports = { SOURCES, RESULTS_PER_TYPE, SearchQueryError, checkQuery, search };
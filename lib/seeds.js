@@ -0,0 +1,100 @@
+/**
+ * Loads the sample content of db/seeds/contenido.js into the sitio tables
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { withTransaction } = require('./db');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SEED_FILE = path.join(ROOT_DIR, 'db', 'seeds', 'contenido.js');
+
+// Content tables, children before parents for TRUNCATE
+const CONTENT_TABLES = [
+    'sitio.lineaprod',
+    'sitio.productos_servicios',
+    'sitio.noticias',
+    'sitio.eventos',
+    'sitio.empresas',
+    'sitio.preguntas',
+    'sitio.presentacion'
+];
+
+const IMAGE_COLUMNS = ['imagen', 'img', 'img2', 'logo'];
+
+// Image columns hold a path relative to the project root in the fixture
+function readImages(row) {
+    const values = { ...row };
+    for (const column of IMAGE_COLUMNS) {
+        if (values[column]) values[column] = fs.readFileSync(path.join(ROOT_DIR, values[column]));
+    }
+    return values;
+}
+
+async function insert(client, table, row) {
+    const values = readImages(row);
+    const columns = Object.keys(values);
+    const result = await client.query(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')}) RETURNING id`,
+        Object.values(values)
+    );
+    return result.rows[0].id;
+}
+
+/**
+ * Inserts the sample content. Without force it refuses to touch a
+ * database that already has content; with force the content tables are
+ * emptied first (users are kept).
+ *
+ * @param {import('pg').Pool} pool
+ * @param {Object} [options]
+ * @param {boolean} [options.force]
+ * @return {Promise<Object<string, number>|null>} Rows inserted per table, or null if skipped
+ */
+async function seed(pool, { force = false } = {}) {
+    const data = require(SEED_FILE);
+
+    return withTransaction(pool, async (client) => {
+        if (force) {
+            await client.query(`TRUNCATE ${CONTENT_TABLES.join(', ')} RESTART IDENTITY CASCADE`);
+        } else {
+            const counts = await Promise.all(CONTENT_TABLES.map(table => client.query(`SELECT EXISTS (SELECT 1 FROM ${table}) as existe`)));
+            if (counts.some(result => result.rows[0].existe)) return null;
+        }
+
+        const inserted = { presentacion: 0, noticias: 0, eventos: 0, empresas: 0, servicios: 0, lineas: 0, preguntas: 0 };
+
+        if (data.presentacion) {
+            await insert(client, 'sitio.presentacion', data.presentacion);
+            inserted.presentacion++;
+        }
+        for (const noticia of data.noticias || []) {
+            await insert(client, 'sitio.noticias', noticia);
+            inserted.noticias++;
+        }
+        for (const evento of data.eventos || []) {
+            await insert(client, 'sitio.eventos', evento);
+            inserted.eventos++;
+        }
+        for (const empresa of data.empresas || []) {
+            await insert(client, 'sitio.empresas', empresa);
+            inserted.empresas++;
+        }
+        for (const { lineas = [], ...servicio } of data.servicios || []) {
+            const servicioid = await insert(client, 'sitio.productos_servicios', servicio);
+            inserted.servicios++;
+            for (const [index, linea] of lineas.entries()) {
+                await insert(client, 'sitio.lineaprod', { ...linea, servicioid, orden: index + 1 });
+                inserted.lineas++;
+            }
+        }
+        for (const pregunta of data.preguntas || []) {
+            await insert(client, 'sitio.preguntas', pregunta);
+            inserted.preguntas++;
+        }
+
+        return inserted;
+    });
+}
+
+module.exports = { CONTENT_TABLES, seed };
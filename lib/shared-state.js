@@ -0,0 +1,222 @@
+/**
+ * State shared by the workers in multi-worker mode
+ *
+ * Separate workers would each keep their own per-IP counters, so a
+ * client could open maxPerIp connections and spend the whole rate limit
+ * on every worker. Instead the primary keeps the connection counts, the
+ * rate-limit hits and the IP bans, and the workers reach them through
+ * lib/cluster.js.
+ *
+ * The response cache stays per worker (copying response bodies between
+ * processes would cost more than rebuilding them); only invalidations
+ * are relayed, so an edit in the admin console shows on every worker.
+ */
+
+const cluster = require('cluster');
+const { call, notify, onBroadcast, onQuestion, broadcast, askWorkers } = require('./cluster');
+const { createConnectionTracker } = require('./connection-limiter');
+const { normalizeIp, createBanList } = require('./ip-access');
+const { registry, mergeExpositions } = require('./metrics');
+
+// Time the primary waits for each worker's metrics; below the worker's call timeout
+const METRICS_COLLECT_TIMEOUT_MS = 1000;
+
+// Rate-limit hits per key in fixed windows, like express-rate-limit's MemoryStore
+function createHitCounter() {
+    const clients = new Map(); // key -> { totalHits, resetTime }
+
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, client] of clients) {
+            if (client.resetTime <= now) clients.delete(key);
+        }
+    }, 60 * 1000).unref();
+
+    return {
+        increment(key, windowMs) {
+            const now = Date.now();
+            let client = clients.get(key);
+            if (!client || client.resetTime <= now) {
+                client = { totalHits: 0, resetTime: now + windowMs };
+                clients.set(key, client);
+            }
+            client.totalHits++;
+            return client;
+        },
+        decrement(key) {
+            const client = clients.get(key);
+            if (client && client.totalHits > 0) client.totalHits--;
+        },
+        resetKey(key) {
+            clients.delete(key);
+        }
+    };
+}
+
+// ================= PRIMARY SIDE =================
+
+/**
+ * The shared state, kept by the primary.
+ *
+ * @param {Object} options
+ * @param {Object} options.mode - Mode settings from lib/modes.js
+ * @return {{handlers: Object<string, function>, releaseWorker: function(import('cluster').Worker)}}
+ *     Methods for lib/cluster.js, and the cleanup for a worker that exits
+ */
+function createSharedStateHost({ mode }) {
+    const connections = mode.connectionLimit ? createConnectionTracker(mode.connectionLimit) : null;
+    // worker id -> ip -> connections counted for that worker, released if it exits
+    const openByWorker = new Map();
+    const hits = createHitCounter();
+    const bans = createBanList({ onChange: () => broadcast('bans', bans.list()) });
+
+    function workerConnections(worker) {
+        if (!openByWorker.has(worker.id)) openByWorker.set(worker.id, new Map());
+        return openByWorker.get(worker.id);
+    }
+
+    const handlers = {
+        'connections.open'(worker, ip) {
+            if (!connections) return null;
+            const open = workerConnections(worker);
+            open.set(ip, (open.get(ip) || 0) + 1);
+            return connections.open(ip);
+        },
+        'connections.close'(worker, ip) {
+            const open = workerConnections(worker);
+            if (!connections || !open.has(ip)) return;
+            if (open.get(ip) <= 1) open.delete(ip);
+            else open.set(ip, open.get(ip) - 1);
+            connections.close(ip);
+        },
+
+        'rateLimit.increment': (worker, key, windowMs) => hits.increment(key, windowMs),
+        'rateLimit.decrement': (worker, key) => hits.decrement(key),
+        'rateLimit.resetKey': (worker, key) => hits.resetKey(key),
+
+        'bans.strike': (worker, ip, reason) => bans.strike(ip, reason),
+        'bans.lift': (worker, ip) => bans.lift(ip),
+        'bans.list': () => bans.list(),
+
+        // The registries of every worker, for the one answering /metrics
+        'metrics.collect': () => askWorkers('metrics', METRICS_COLLECT_TIMEOUT_MS),
+
+        // Relayed to the other workers; the sender has already applied it
+        'cache.invalidate'(worker, tags) {
+            broadcast('cache', { tags, from: worker.id });
+        }
+    };
+
+    function releaseWorker(worker) {
+        const open = openByWorker.get(worker.id);
+        openByWorker.delete(worker.id);
+        if (!open || !connections) return;
+        for (const [ip, count] of open) {
+            for (let i = 0; i < count; i++) connections.close(ip);
+        }
+    }
+
+    return { handlers, releaseWorker };
+}
+
+// ================= WORKER SIDE =================
+
+// Connection counts for limitConnections
+function sharedConnectionTracker() {
+    return {
+        open: ip => call('connections.open', ip),
+        close: ip => notify('connections.close', ip)
+    };
+}
+
+/**
+ * Store for express-rate-limit (https://express-rate-limit.mintlify.app/guides/creating-a-store).
+ *
+ * @param {string} prefix - Keeps the hits of each limiter apart, as they all count per IP
+ */
+function sharedRateLimitStore(prefix) {
+    let windowMs;
+    const keyOf = key => `${prefix}:${key}`;
+    return {
+        localKeys: false,
+        prefix,
+        init(options) {
+            windowMs = options.windowMs;
+        },
+        async increment(key) {
+            const client = await call('rateLimit.increment', keyOf(key), windowMs);
+            return { totalHits: client.totalHits, resetTime: new Date(client.resetTime) };
+        },
+        decrement(key) {
+            notify('rateLimit.decrement', keyOf(key));
+        },
+        resetKey(key) {
+            notify('rateLimit.resetKey', keyOf(key));
+        }
+    };
+}
+
+/**
+ * The ban list of lib/ip-access.js, kept by the primary. Each worker
+ * keeps a copy of the active bans, updated on every change, so checking
+ * a request doesn't wait for the primary.
+ */
+function sharedBanList() {
+    let active = new Map(); // ip -> ban, as listed by the primary
+
+    const update = (list) => {
+        active = new Map(list.map(ban => [ban.ip, ban]));
+    };
+    onBroadcast('bans', update);
+    call('bans.list').then(update, () => {});
+
+    const current = () => [...active.values()].filter(ban => Date.parse(ban.until) > Date.now());
+    registry.setGauge('portal_ip_bans_active', 'IP addresses currently banned', () => current().length);
+
+    return {
+        strike: (ip, reason) => notify('bans.strike', ip, reason),
+        isBanned(ip) {
+            const ban = active.get(normalizeIp(ip));
+            return Boolean(ban) && Date.parse(ban.until) > Date.now();
+        },
+        list: current,
+        lift: ip => call('bans.lift', ip)
+    };
+}
+
+// Relays the invalidations of this worker's response cache to the other workers, and applies theirs
+function shareCacheInvalidations(cache) {
+    cache.onInvalidate(tags => notify('cache.invalidate', tags));
+    onBroadcast('cache', ({ tags, from }) => {
+        if (from !== cluster.worker.id) cache.drop(tags);
+    });
+}
+
+/**
+ * The metrics of every worker, each series labelled with its worker id.
+ * A scrape reaches a single worker, whose own registry would make the
+ * counters jump between unrelated processes.
+ *
+ * @return {Promise<string>} Falls back to this worker's metrics when the primary doesn't answer
+ */
+async function clusterMetrics() {
+    const own = { labels: { worker: String(cluster.worker.id) }, text: registry.render() };
+    try {
+        const answers = await call('metrics.collect');
+        const parts = answers.map(({ worker, result }) => ({ labels: { worker: String(worker) }, text: result }));
+        return mergeExpositions(parts.length > 0 ? parts : [own]);
+    } catch (error) {
+        return mergeExpositions([own]);
+    }
+}
+
+if (cluster.isWorker) onQuestion('metrics', () => registry.render());
+
+module.exports = {
+    createSharedStateHost,
+    sharedConnectionTracker,
+    sharedRateLimitStore,
+    sharedBanList,
+    shareCacheInvalidations,
+    clusterMetrics
+};
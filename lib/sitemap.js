@@ -0,0 +1,82 @@
+/**
+ * sitemap.xml and robots.txt writers
+ *
+ * https://www.sitemaps.org/protocol.html
+ */
+
+const { escapeXml } = require('./feeds');
+const { getConfig } = require('./config');
+
+const config = getConfig();
+
+// Protocol limit per file (50000); SITEMAP_MAX_URLS lowers it
+const MAX_URLS = config.SITEMAP_MAX_URLS;
+
+// robots.txt rules; by default only the admin console and the API are kept out
+const ROBOTS = {
+    disallowAll: config.ROBOTS_DISALLOW_ALL,
+    allow: config.ROBOTS_ALLOW,
+    disallow: config.ROBOTS_DISALLOW,
+    crawlDelay: config.ROBOTS_CRAWL_DELAY || null,
+    blockedAgents: config.ROBOTS_BLOCKED_AGENTS
+};
+
+function lastmod(date) {
+    return date ? `<lastmod>${date.toISOString()}</lastmod>` : '';
+}
+
+/**
+ * @param {Array<{loc: string, lastmod: Date|null}>} urls
+ * @return {string} urlset document
+ */
+function buildUrlset(urls) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls.map(url => `<url><loc>${escapeXml(url.loc)}</loc>${lastmod(url.lastmod)}</url>`),
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * @param {Array<{loc: string, lastmod: Date|null}>} sitemaps
+ * @return {string} sitemapindex document
+ */
+function buildSitemapIndex(sitemaps) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...sitemaps.map(sitemap => `<sitemap><loc>${escapeXml(sitemap.loc)}</loc>${lastmod(sitemap.lastmod)}</sitemap>`),
+        '</sitemapindex>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * @param {string} sitemapUrl - Absolute URL of sitemap.xml
+ * @param {Object} [rules] - Defaults to the ROBOTS_* settings
+ * @return {string} robots.txt
+ */
+function buildRobots(sitemapUrl, rules = ROBOTS) {
+    const lines = [];
+
+    for (const agent of rules.blockedAgents) {
+        lines.push(`User-agent: ${agent}`, 'Disallow: /', '');
+    }
+
+    lines.push('User-agent: *');
+    if (rules.disallowAll) {
+        lines.push('Disallow: /');
+    } else {
+        rules.allow.forEach(path => lines.push(`Allow: ${path}`));
+        rules.disallow.forEach(path => lines.push(`Disallow: ${path}`));
+        if (rules.allow.length === 0 && rules.disallow.length === 0) lines.push('Disallow:');
+        if (rules.crawlDelay) lines.push(`Crawl-delay: ${rules.crawlDelay}`);
+        lines.push('', `Sitemap: ${sitemapUrl}`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { MAX_URLS, ROBOTS, buildUrlset, buildSitemapIndex, buildRobots };
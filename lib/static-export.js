@@ -0,0 +1,343 @@
+/**
+ * Static copy of the public portal
+ *
+ * The pages are requested from the application itself, on a loopback
+ * port, and written to a directory that any static web server can
+ * publish: the API responses each page needs are embedded in it, the
+ * images and brochures stored in the database become files, and internal
+ * links become relative so the copy also works under a subdirectory.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createApp, ROOT_DIR } = require('./app');
+const { createLogger } = require('./logger');
+const { detectType } = require('./media');
+const permalinks = require('./pages/permalinks');
+
+// Only page rendering is needed: no security layers, no injected config
+const EXPORT_MODE = {
+    serveStatic: true,
+    helmet: false,
+    securityHeaders: false,
+    whitelist: false,
+    toobusy: false,
+    rateLimit: false,
+    timeout: false,
+    templateVariables: false,
+    serverConfigScript: false,
+    ipDetection: false
+};
+
+// Directories copied as they are
+const STATIC_DIRS = ['assets', 'js', 'css'];
+const SKIPPED_FILES = ['js/admin.js', 'css/admin.css'];
+// URL paths kept as they are; eventos.html builds the single-event calendar links itself
+const KEPT_PATHS = [...STATIC_DIRS.map(dir => `/${dir}/`), '/api/eventos/'];
+
+// Page size requested by noticias.html (ARCHIVE_PAGE_SIZE)
+const ARCHIVE_PAGE_SIZE = 10;
+
+const FEEDS = ['noticias.rss', 'noticias.atom', 'noticias-destacadas.rss', 'noticias-destacadas.atom'];
+
+// Written to the output so a later export knows it may replace the directory
+const MARKER_FILE = '.static-export';
+
+// Path, query and hash of a URL in an attribute, JS string, JSON or XML text
+const URL_PATH = /(\/[^"'`()\s<>\\?#]*)(\?[^"'`()\s<>\\#]*)?(#[^"'`()\s<>\\]*)?/;
+const MEDIA_URL = /\/media\/(\w+)\/(\d+)\/(\w+)/g;
+const DESCARGA_URL = /\/api\/get-evento-descarga\/(\d+)/g;
+// The search needs the server
+const SEARCH_FORM = /<form[^>]*role="search"[^>]*>[\s\S]*?<\/form>\s*/g;
+
+// Embedded in a <script>, so "<" must not appear literally
+function scriptJson(data) {
+    return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+// Key of an API response: decoded path with the query parameters sorted
+function apiKey(endpoint) {
+    const url = new URL(endpoint, 'http://localhost/');
+    url.searchParams.sort();
+    return decodeURIComponent(url.pathname.slice(1)) + url.search;
+}
+
+// Answers the page's fetch() calls to /api/ from the embedded responses
+function staticApiScript(responses) {
+    return `
+    <script>
+        // Static copy: API responses embedded when the portal was exported
+        (function() {
+            var responses = ${scriptJson(responses)};
+            var originalFetch = window.fetch;
+            window.fetch = function(resource, init) {
+                var url = new URL(typeof resource === 'string' ? resource : resource.url, window.location.href);
+                var index = url.pathname.lastIndexOf('/api/');
+                if (index === -1) return originalFetch.apply(this, arguments);
+
+                url.searchParams.sort();
+                var key = decodeURIComponent(url.pathname.slice(index + 5)) + url.search;
+                var found = Object.prototype.hasOwnProperty.call(responses, key);
+                var body = found ? responses[key] : { error: 'No disponible en la copia estática del portal' };
+                return Promise.resolve(new Response(JSON.stringify(body), {
+                    status: found ? 200 : 404,
+                    headers: { 'Content-Type': 'application/json; charset=utf-8' }
+                }));
+            };
+        })();
+    </script>`;
+}
+
+function listen(app) {
+    return new Promise((resolve, reject) => {
+        const server = http.createServer(app);
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+/**
+ * Requests paths from the in-process server. The Host header is the one
+ * of the public address, so absolute URLs in the responses can be found
+ * and replaced.
+ */
+function createClient(server, host) {
+    const { port } = server.address();
+
+    async function get(urlPath) {
+        return new Promise((resolve, reject) => {
+            http.get({ host: '127.0.0.1', port, path: urlPath, headers: { Host: host }, agent: false }, res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
+                res.on('error', reject);
+            }).on('error', reject);
+        });
+    }
+
+    return {
+        async text(urlPath) {
+            const res = await get(urlPath);
+            if (res.status !== 200) throw new Error(`GET ${urlPath} returned ${res.status}`);
+            return res.body.toString('utf8');
+        },
+        async json(urlPath) {
+            return JSON.parse(await this.text(urlPath));
+        },
+        // Binary files; null when the row has no file
+        async file(urlPath) {
+            const res = await get(urlPath);
+            if (res.status === 404) return null;
+            if (res.status !== 200) throw new Error(`GET ${urlPath} returned ${res.status}`);
+            return res.body;
+        }
+    };
+}
+
+// API responses used by every page (service and company menus)
+const MENU_ENDPOINTS = ['get-services', 'get-empresas'];
+
+/**
+ * API responses embedded in each page, keyed as the page requests them.
+ */
+async function collectResponses(client, repos) {
+    const fetchAll = async (endpoints) => {
+        const responses = {};
+        for (const endpoint of endpoints) {
+            responses[apiKey(endpoint)] = await client.json(`/api/${endpoint}`);
+        }
+        return responses;
+    };
+
+    const menus = await fetchAll(MENU_ENDPOINTS);
+    const servicios = menus['get-services'].map(servicio => `get-service/${encodeURIComponent(servicio.nombre)}`);
+
+    // Every page of the news archive, for all years and for each year
+    const archive = {};
+    const first = await client.json(`/api/get-noticias?page=1&size=${ARCHIVE_PAGE_SIZE}`);
+    for (const year of [null, ...first.years.map(row => row.year)]) {
+        for (let page = 1; ; page++) {
+            const endpoint = `get-noticias?page=${page}&size=${ARCHIVE_PAGE_SIZE}${year ? `&year=${year}` : ''}`;
+            const data = await client.json(`/api/${endpoint}`);
+            archive[apiKey(endpoint)] = data;
+            if (page >= data.pages) break;
+        }
+    }
+    // Links with ?id= open a news item that may not be on the first page
+    const noticias = await repos.noticias.listUpdates();
+    Object.assign(archive, await fetchAll(noticias.map(noticia => `get-noticia/${noticia.id}`)));
+
+    const serviciosResponses = await fetchAll(servicios);
+    return {
+        'index.html': { ...menus, ...await fetchAll(['get-presentacion', 'get-noticias-destacadas', 'get-preguntas-frecuentes']) },
+        'noticias.html': { ...menus, ...archive },
+        'eventos.html': { ...menus, ...await fetchAll(['get-eventos']) },
+        'servicios.html': { ...menus, ...serviciosResponses },
+        'producto.html': { ...menus, ...serviciosResponses },
+        'empresas.html': { ...menus, ...await fetchAll(['get-empresas-details']) }
+    };
+}
+
+// Server-rendered page of every news item, event, service and company
+async function collectPermalinks(repos) {
+    const [noticias, eventos, servicios, empresas] = await Promise.all([
+        repos.noticias.listUpdates(),
+        repos.eventos.listUpdates(),
+        repos.servicios.listAll(),
+        repos.empresas.listAll()
+    ]);
+    return [
+        ...noticias.map(permalinks.noticiaPath),
+        ...eventos.map(permalinks.eventoPath),
+        ...servicios.map(permalinks.servicioPath),
+        ...empresas.map(permalinks.empresaPath)
+    ];
+}
+
+/**
+ * Replaces root-relative and absolute internal URLs in a text file.
+ *
+ * @param {string} text
+ * @param {string} file - Output path of the text, to compute relative links
+ * @param {Object} site
+ * @param {Map<string, string>} site.files - URL path -> output path
+ * @param {string} site.origin - Origin the responses were rendered for
+ * @param {string} [site.baseUrl] - Public address of the copy, for absolute URLs
+ */
+function rewriteLinks(text, file, { files, origin, baseUrl }) {
+    const prefix = '../'.repeat(file.split('/').length - 1);
+    const pattern = new RegExp(`(["'\`(>])(${origin.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})?${URL_PATH.source}`, 'g');
+
+    return text.replace(pattern, (match, quote, absolute, urlPath, query = '', hash = '') => {
+        const local = urlPath === '/'
+            ? 'index.html'
+            : files.get(urlPath) || (KEPT_PATHS.some(kept => urlPath.startsWith(kept)) ? urlPath.slice(1) : null);
+        if (!local) return absolute ? quote + (baseUrl || '') + urlPath + query + hash : match;
+
+        // Pages read their query string; the other files need no cache buster
+        const link = local + (local.endsWith('.html') ? query : '') + hash;
+        return quote + (absolute && baseUrl ? `${baseUrl}/${link}` : prefix + link);
+    });
+}
+
+function writeFile(dir, file, contents) {
+    const target = path.join(dir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, contents);
+}
+
+// Only directories written by a previous export are replaced
+function checkOutputDir(outDir) {
+    if (path.relative(outDir, ROOT_DIR).split(path.sep)[0] !== '..') {
+        throw new Error(`The output directory can't contain the project: ${outDir}`);
+    }
+    if (fs.existsSync(outDir) && fs.readdirSync(outDir).length > 0 && !fs.existsSync(path.join(outDir, MARKER_FILE))) {
+        throw new Error(`${outDir} is not empty and was not written by a previous export`);
+    }
+}
+
+/**
+ * Writes the static copy of the portal to outDir, replacing a previous
+ * export there.
+ *
+ * @param {Object} options
+ * @param {import('pg').Pool} [options.pool]
+ * @param {Object} options.repos - Content repositories (lib/repos)
+ * @param {string} options.outDir
+ * @param {string} [options.baseUrl] - Public address of the copy, e.g.
+ *     https://espejo.geocuba.cu; canonical and Open Graph URLs are relative without it
+ * @return {Promise<{pages: number, files: number}>}
+ */
+async function exportSite({ pool, repos, outDir, baseUrl }) {
+    outDir = path.resolve(outDir);
+    baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+    checkOutputDir(outDir);
+
+    const host = baseUrl ? new URL(baseUrl).host : 'localhost';
+    const site = { files: new Map(), origin: `http://${host}`, baseUrl };
+    const texts = new Map(); // output path -> contents
+    const binaries = new Map();
+
+    // The export's own requests are not worth an access log line each
+    const logger = createLogger({ level: 'warn' });
+    const server = await listen(createApp({ mode: EXPORT_MODE, pool, repos, logger, origin: site.origin }));
+    try {
+        const client = createClient(server, host);
+        const responses = await collectResponses(client, repos);
+
+        for (const [page, pageResponses] of Object.entries(responses)) {
+            const html = (await client.text(`/${page}`)).replace(SEARCH_FORM, '');
+            texts.set(page, html.replace('<head>', '<head>' + staticApiScript(pageResponses)));
+            site.files.set(`/${page}`, page);
+        }
+
+        for (const urlPath of await collectPermalinks(repos)) {
+            const file = `${urlPath.slice(1)}.html`;
+            texts.set(file, (await client.text(urlPath)).replace(SEARCH_FORM, ''));
+            site.files.set(urlPath, file);
+        }
+
+        for (const feed of FEEDS) {
+            texts.set(`feeds/${feed}`, await client.text(`/feeds/${feed}`));
+            site.files.set(`/feeds/${feed}`, `feeds/${feed}`);
+        }
+        texts.set('api/eventos.ics', await client.text('/api/eventos.ics'));
+        site.files.set('/api/eventos.ics', 'api/eventos.ics');
+        // Events without a start date have no calendar entry
+        for (const evento of await repos.eventos.list()) {
+            const urlPath = `/api/eventos/${evento.id}.ics`;
+            const data = await client.file(urlPath);
+            if (data) texts.set(urlPath.slice(1), data.toString('utf8'));
+        }
+
+        // Images and brochures referenced anywhere, named by their detected type
+        const all = [...texts.values()].join('\n');
+        for (const [urlPath, entity, id, column] of all.matchAll(MEDIA_URL)) {
+            if (site.files.has(urlPath)) continue;
+            const data = await client.file(urlPath);
+            if (!data) continue;
+            const type = detectType(data);
+            const file = `media/${entity}/${id}/${column}${type ? `.${type.ext}` : ''}`;
+            binaries.set(file, data);
+            site.files.set(urlPath, file);
+        }
+        for (const [urlPath, id] of all.matchAll(DESCARGA_URL)) {
+            if (site.files.has(urlPath)) continue;
+            const data = await client.file(urlPath);
+            if (!data) continue;
+            const file = `media/eventos/${id}/descarga.pdf`;
+            binaries.set(file, data);
+            site.files.set(urlPath, file);
+        }
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+
+    // Build in a new directory next to the target and swap, so the old copy stays whole until the end.
+    // mkdtemp never reuses an existing path, so nothing but the checked outDir is ever deleted
+    fs.mkdirSync(path.dirname(outDir), { recursive: true });
+    const tmpDir = fs.mkdtempSync(path.join(path.dirname(outDir), `.${path.basename(outDir)}-`));
+    try {
+        fs.chmodSync(tmpDir, 0o755);
+        for (const dir of STATIC_DIRS) {
+            fs.cpSync(path.join(ROOT_DIR, dir), path.join(tmpDir, dir), {
+                recursive: true,
+                filter: source => !SKIPPED_FILES.includes(path.relative(ROOT_DIR, source).split(path.sep).join('/'))
+            });
+        }
+        for (const [file, text] of texts) writeFile(tmpDir, file, rewriteLinks(text, file, site));
+        for (const [file, data] of binaries) writeFile(tmpDir, file, data);
+        writeFile(tmpDir, MARKER_FILE, `${new Date().toISOString()}\n`);
+
+        fs.rmSync(outDir, { recursive: true, force: true });
+        fs.renameSync(tmpDir, outDir);
+    } catch (error) {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+        throw error;
+    }
+
+    return { pages: [...texts.keys()].filter(file => file.endsWith('.html')).length, files: binaries.size };
+}
+
+module.exports = { exportSite };
@@ -0,0 +1,65 @@
+/**
+ * Text helpers shared by the server-rendered pages and the feeds
+ */
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Plain text to HTML paragraphs, as formatTextContent does in the
+ * browser (js/text-utils.js), but escaping the text first.
+ *
+ * @param {string} text
+ * @return {string}
+ */
+function formatText(text) {
+    if (!text) return '';
+    return String(text)
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean)
+        .map(paragraph => {
+            // Same threshold as formatTextContent for justified paragraphs
+            const justify = paragraph.length > 100 ? ' style="text-align: justify;"' : '';
+            return `<p${justify}>${escapeHtml(paragraph).replace(/\r?\n/g, '<br>')}</p>`;
+        })
+        .join('\n');
+}
+
+/**
+ * Collapses whitespace and cuts the text at a word boundary.
+ *
+ * @param {string} text
+ * @param {number} maxLength
+ * @return {string}
+ */
+function summarize(text, maxLength) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= maxLength) return clean;
+    return `${clean.slice(0, maxLength).replace(/\s+\S*$/, '')}…`;
+}
+
+/**
+ * URL slug without accents, e.g. "Geodesia y Cartografía" -> "geodesia-y-cartografia".
+ *
+ * @param {string} text
+ * @return {string}
+ */
+function slugify(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80)
+        .replace(/-+$/, '');
+}
+
+module.exports = { escapeHtml, formatText, summarize, slugify };
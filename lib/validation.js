@@ -0,0 +1,176 @@
+/**
+ * Field validation for the content write endpoints
+ *
+ * Bodies may come from JSON or from multipart forms, where every value
+ * is a string, so each type accepts both representations.
+ */
+
+// Thrown when a request body does not match the schema
+class ValidationError extends Error {
+    constructor(message, field) {
+        super(message);
+        this.name = 'ValidationError';
+        this.field = field;
+    }
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+// Host name with an optional path, e.g. "www.geocuba.cu" or "geodesa.cu/portal"
+const WEBSITE_PATTERN = /^(?=.{4,255}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}(?::\d{2,5})?(\/[^\s]*)?$/i;
+// Cuban numbers without country code, several allowed separated by "," "/" or ";"
+const PHONE_PATTERN = /^[\d\s()-]+$/;
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+const TYPES = {
+    text(value, spec, name) {
+        if (typeof value !== 'string') throw new ValidationError(`El campo "${name}" debe ser texto.`, name);
+        const text = value.trim();
+        if (spec.max && text.length > spec.max) {
+            throw new ValidationError(`El campo "${name}" admite como máximo ${spec.max} caracteres.`, name);
+        }
+        return text;
+    },
+
+    url(value, spec, name) {
+        const text = TYPES.text(value, { max: spec.max || 2048 }, name);
+        let parsed;
+        try {
+            parsed = new URL(text);
+        } catch (error) {
+            throw new ValidationError(`El campo "${name}" debe ser una URL válida.`, name);
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new ValidationError(`El campo "${name}" debe comenzar con http:// o https://.`, name);
+        }
+        return text;
+    },
+
+    boolean(value, spec, name) {
+        if (value === true || value === 'true' || value === 'on' || value === '1') return true;
+        if (value === false || value === 'false' || value === '0') return false;
+        throw new ValidationError(`El campo "${name}" debe ser verdadero o falso.`, name);
+    },
+
+    integer(value, spec, name) {
+        const number = typeof value === 'number' ? value : Number(String(value).trim());
+        if (!Number.isInteger(number)) {
+            throw new ValidationError(`El campo "${name}" debe ser un número entero.`, name);
+        }
+        if (spec.min !== undefined && number < spec.min) {
+            throw new ValidationError(`El campo "${name}" debe ser como mínimo ${spec.min}.`, name);
+        }
+        if (spec.max !== undefined && number > spec.max) {
+            throw new ValidationError(`El campo "${name}" debe ser como máximo ${spec.max}.`, name);
+        }
+        return number;
+    },
+
+    email(value, spec, name) {
+        const text = TYPES.text(value, { max: spec.max || 255 }, name);
+        if (!EMAIL_PATTERN.test(text)) {
+            throw new ValidationError(`El campo "${name}" debe ser un correo electrónico válido.`, name);
+        }
+        return text;
+    },
+
+    phone(value, spec, name) {
+        const text = TYPES.text(value, { max: spec.max || 100 }, name);
+        const numbers = text.split(/[,;/]/).map(number => number.trim()).filter(Boolean);
+        const valid = numbers.length > 0 && numbers.every(number => {
+            const digits = number.replace(/\D/g, '');
+            return PHONE_PATTERN.test(number) && digits.length >= 6 && digits.length <= 8;
+        });
+        if (!valid) {
+            throw new ValidationError(`El campo "${name}" debe contener números de 6 a 8 dígitos sin el prefijo +53.`, name);
+        }
+        return text;
+    },
+
+    // International number in the digits-only form wa.me expects, e.g. 5359955686
+    whatsapp(value, spec, name) {
+        const text = TYPES.text(value, { max: 30 }, name);
+        const digits = text.replace(/^\+/, '').replace(/[\s()-]/g, '');
+        if (!/^\d{8,15}$/.test(digits)) {
+            throw new ValidationError(`El campo "${name}" debe ser un número de WhatsApp con código de país, por ejemplo 5359955686.`, name);
+        }
+        return digits;
+    },
+
+    website(value, spec, name) {
+        const text = TYPES.text(value, { max: spec.max || 255 }, name);
+        if (/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) {
+            throw new ValidationError(`El campo "${name}" no debe incluir http:// ni https://.`, name);
+        }
+        if (!WEBSITE_PATTERN.test(text)) {
+            throw new ValidationError(`El campo "${name}" debe ser un dominio válido, por ejemplo www.geocuba.cu.`, name);
+        }
+        return text;
+    },
+
+    date(value, spec, name) {
+        const text = String(value).trim();
+        const parsed = new Date(`${text}T00:00:00Z`);
+        if (!DATE_PATTERN.test(text) || Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== text) {
+            throw new ValidationError(`El campo "${name}" debe ser una fecha válida (AAAA-MM-DD).`, name);
+        }
+        return text;
+    }
+};
+
+/**
+ * Validates a request body against a schema of field specs
+ * ({ type, required, max, min, default }).
+ *
+ * @param {Object} schema - Field specs by field name
+ * @param {Object} body - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only validate the fields present (updates)
+ * @return {Object} Validated values; blank optional fields become null
+ */
+function validateFields(schema, body = {}, { partial = false } = {}) {
+    const values = {};
+
+    Object.entries(schema).forEach(([name, spec]) => {
+        const present = Object.prototype.hasOwnProperty.call(body, name);
+        if (partial && !present) return;
+
+        const raw = body[name];
+        if (isBlank(raw)) {
+            if (spec.required) {
+                throw new ValidationError(`El campo "${name}" es obligatorio.`, name);
+            }
+            values[name] = !partial && spec.default !== undefined ? spec.default : null;
+            if (spec.type === 'boolean' && values[name] === null) values[name] = false;
+            return;
+        }
+
+        const check = TYPES[spec.type];
+        if (!check) throw new Error(`Unsupported field type "${spec.type}" for "${name}".`);
+        values[name] = check(raw, spec, name);
+    });
+
+    return values;
+}
+
+/**
+ * Parses a numeric route parameter, or returns null when it isn't a positive integer.
+ */
+function parseId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Today's date in local time as YYYY-MM-DD.
+ */
+function today() {
+    const now = new Date();
+    const pad = n => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+module.exports = { ValidationError, TYPES, validateFields, parseId, today };
@@ -0,0 +1,84 @@
+// Creates a portal user from the command line (e.g. the first admin)
+// Usage: npm run user:create -- <usuario> <admin|editor|viewer> ["Nombre completo"]
+// The password is read from the USER_PASSWORD variable or asked interactively, without echo.
+const config = require('../lib/config').loadConfigOrExit();
+const readline = require('readline');
+const { createPool } = require('../lib/db');
+const users = require('../lib/auth/users');
+const { checkPasswordStrength } = require('../lib/auth/passwords');
+
+// Reads the password from the terminal without echoing it; piped input is read as a line
+function askPassword() {
+    const { stdin, stdout } = process;
+    if (!stdin.isTTY) {
+        const rl = readline.createInterface({ input: stdin });
+        return new Promise(resolve => rl.once('line', line => {
+            rl.close();
+            resolve(line);
+        }).once('close', () => resolve('')));
+    }
+
+    stdout.write('Contraseña: ');
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.resume();
+    return new Promise(resolve => {
+        let password = '';
+        const onData = chunk => {
+            for (const char of chunk) {
+                if (char === '\r' || char === '\n' || char === '\u0004') {
+                    stdin.setRawMode(false);
+                    stdin.pause();
+                    stdin.removeListener('data', onData);
+                    stdout.write('\n');
+                    resolve(password);
+                    return;
+                }
+                if (char === '\u0003') {
+                    stdin.setRawMode(false);
+                    stdout.write('\n');
+                    process.exit(130);
+                }
+                if (char === '\u007f' || char === '\b') {
+                    password = password.slice(0, -1);
+                } else {
+                    password += char;
+                }
+            }
+        };
+        stdin.on('data', onData);
+    });
+}
+
+async function main() {
+    const [usuario, rol, nombre] = process.argv.slice(2);
+    if (!usuario || !users.ROLES.includes(rol)) {
+        console.error(`Uso: npm run user:create -- <usuario> <${users.ROLES.join('|')}> ["Nombre"]`);
+        process.exit(1);
+    }
+    const invalid = users.checkUsername(usuario);
+    if (invalid) {
+        console.error(invalid);
+        process.exit(1);
+    }
+
+    const password = config.USER_PASSWORD || await askPassword();
+    const weakness = checkPasswordStrength(password);
+    if (weakness) {
+        console.error(weakness);
+        process.exit(1);
+    }
+
+    const pool = createPool();
+    try {
+        const user = await users.createUser(pool, { usuario, nombre, password, rol });
+        console.log(`Usuario "${user.usuario}" creado con rol ${user.rol}.`);
+    } catch (error) {
+        console.error('Error creating user:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+main();
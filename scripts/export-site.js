@@ -0,0 +1,31 @@
+// Writes a static copy of the public portal for hosts without Node.js or PostgreSQL
+// Usage: npm run site:export [-- <directorio>] [--url=https://espejo.ejemplo.cu]   (dist by default)
+// The content is read from DATA_BACKEND, so a snapshot can be exported too
+const config = require('../lib/config').loadConfigOrExit();
+const path = require('path');
+const { createPool } = require('../lib/db');
+const { createRepos } = require('../lib/repos');
+const { exportSite } = require('../lib/static-export');
+
+const DEFAULT_OUT_DIR = path.join(__dirname, '..', 'dist');
+
+async function main() {
+    const args = process.argv.slice(2);
+    const urlFlag = args.find(arg => arg.startsWith('--url='));
+    const outDir = args.find(arg => !arg.startsWith('--')) || DEFAULT_OUT_DIR;
+
+    const pool = config.DATA_BACKEND === 'snapshot' ? null : createPool();
+    try {
+        const repos = createRepos({ pool });
+        const result = await exportSite({ pool, repos, outDir, baseUrl: urlFlag && urlFlag.slice('--url='.length) });
+        console.log(`Copia estática guardada en ${path.resolve(outDir)}`);
+        console.log(`Páginas: ${result.pages}; imágenes y descargas: ${result.files}`);
+    } catch (error) {
+        console.error('Error exporting the site:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (pool) await pool.end();
+    }
+}
+
+main();
@@ -0,0 +1,33 @@
+// Exports the published content and its images to a JSON snapshot that
+// the portal can serve without a database (DATA_BACKEND=snapshot)
+// Usage: npm run db:snapshot [-- <archivo>]   (SNAPSHOT_FILE or data/snapshot.json by default)
+const config = require('../lib/config').loadConfigOrExit();
+const fs = require('fs');
+const path = require('path');
+const { createPool } = require('../lib/db');
+const { DEFAULT_SNAPSHOT_FILE } = require('../lib/repos');
+const { exportSnapshot } = require('../lib/repos/snapshot');
+
+async function main() {
+    const file = path.resolve(process.argv[2] || config.SNAPSHOT_FILE || DEFAULT_SNAPSHOT_FILE);
+    const pool = createPool();
+    try {
+        const snapshot = await exportSnapshot(pool);
+
+        // Write next to the target and rename, so a running portal never reads half a file
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(snapshot));
+        fs.renameSync(`${file}.tmp`, file);
+
+        const rows = Object.entries(snapshot.tables).map(([table, list]) => `${table} ${list.length}`).join(', ');
+        console.log(`Instantánea guardada en ${file}`);
+        console.log(`Filas: ${rows}; archivos: ${Object.keys(snapshot.media).length}`);
+    } catch (error) {
+        console.error('Error exporting snapshot:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+main();
@@ -0,0 +1,38 @@
+// Applies the pending SQL migrations of db/migrations
+// Usage: npm run db:migrate            (apply pending migrations)
+//        npm run db:migrate -- --status (list applied and pending migrations)
+require('../lib/config').loadConfigOrExit();
+const { createPool } = require('../lib/db');
+const { migrate, migrationStatus } = require('../lib/migrations');
+
+async function printStatus(pool) {
+    const migrations = await migrationStatus(pool);
+    for (const migration of migrations) {
+        const state = migration.appliedAt
+            ? `aplicada ${migration.appliedAt.toISOString()}${migration.changed ? ' (modificada después de aplicarse)' : ''}`
+            : 'pendiente';
+        console.log(`${migration.file.padEnd(32)} ${state}`);
+    }
+}
+
+async function main() {
+    const pool = createPool();
+    try {
+        if (process.argv.includes('--status')) {
+            await printStatus(pool);
+            return;
+        }
+
+        const applied = await migrate(pool, { log: message => console.log(message) });
+        console.log(applied.length > 0
+            ? `${applied.length} migración(es) aplicada(s).`
+            : 'La base de datos ya está al día.');
+    } catch (error) {
+        console.error('Error applying migrations:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+main();
@@ -0,0 +1,25 @@
+// Loads the sample content of db/seeds/contenido.js
+// Usage: npm run db:seed            (only into an empty database)
+//        npm run db:seed -- --force (replaces all content; users are kept)
+require('../lib/config').loadConfigOrExit();
+const { createPool } = require('../lib/db');
+const { seed } = require('../lib/seeds');
+
+async function main() {
+    const pool = createPool();
+    try {
+        const inserted = await seed(pool, { force: process.argv.includes('--force') });
+        if (!inserted) {
+            console.log('La base de datos ya tiene contenido; use --force para reemplazarlo.');
+            return;
+        }
+        console.log('Contenido de ejemplo cargado:', Object.entries(inserted).map(([table, count]) => `${table} ${count}`).join(', '));
+    } catch (error) {
+        console.error('Error loading seed data:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+main();
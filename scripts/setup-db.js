@@ -0,0 +1,67 @@
+// Creates a working local database in one step: creates DB_NAME if it does
+// not exist, applies the migrations and loads the sample content.
+// Usage: npm run db:setup
+// With USER_PASSWORD set it also creates the "admin" user when there is none.
+const config = require('../lib/config').loadConfigOrExit();
+const { Client } = require('pg');
+const { connectionSettings, createPool } = require('../lib/db');
+const { migrate } = require('../lib/migrations');
+const { seed } = require('../lib/seeds');
+const users = require('../lib/auth/users');
+const { checkPasswordStrength } = require('../lib/auth/passwords');
+
+// CREATE DATABASE cannot run inside the target database, so use the maintenance one
+async function ensureDatabase(name) {
+    const client = new Client(connectionSettings(config.DB_MAINTENANCE_NAME));
+    await client.connect();
+    try {
+        const result = await client.query('SELECT 1 FROM pg_database WHERE datname = $1', [name]);
+        if (result.rowCount > 0) return false;
+        await client.query(`CREATE DATABASE ${client.escapeIdentifier(name)}`);
+        return true;
+    } finally {
+        await client.end();
+    }
+}
+
+async function main() {
+    const name = config.DB_NAME;
+    if (!name) {
+        console.error('DB_NAME is not set in .env');
+        process.exit(1);
+    }
+
+    try {
+        console.log(await ensureDatabase(name) ? `Base de datos "${name}" creada.` : `Base de datos "${name}" encontrada.`);
+    } catch (error) {
+        console.error(`Error creating database "${name}":`, error.message);
+        process.exit(1);
+    }
+
+    const pool = createPool();
+    try {
+        const applied = await migrate(pool, { log: message => console.log(message) });
+        console.log(`${applied.length} migración(es) aplicada(s).`);
+
+        const inserted = await seed(pool);
+        console.log(inserted ? 'Contenido de ejemplo cargado.' : 'La base de datos ya tiene contenido; no se cargó el de ejemplo.');
+
+        const existing = await pool.query('SELECT COUNT(*)::int as total FROM sitio.usuarios');
+        const weakness = config.USER_PASSWORD && checkPasswordStrength(config.USER_PASSWORD);
+        if (existing.rows[0].total === 0 && weakness) {
+            console.error(`No se creó el usuario "admin": ${weakness}`);
+        } else if (existing.rows[0].total === 0 && config.USER_PASSWORD) {
+            await users.createUser(pool, { usuario: 'admin', nombre: 'Administrador', password: config.USER_PASSWORD, rol: 'admin' });
+            console.log('Usuario "admin" creado.');
+        } else if (existing.rows[0].total === 0) {
+            console.log('No hay usuarios. Cree el primer administrador con: npm run user:create -- admin admin "Administrador"');
+        }
+    } catch (error) {
+        console.error('Error setting up the database:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+main();
@@ -0,0 +1,14 @@
+// Prints the effective configuration, with secrets masked, and where each value comes from
+// Usage: npm run config:show [-- --env=production]
+// Exits with status 1 and the list of problems when the configuration is invalid.
+const { loadConfigOrExit, describeConfig } = require('../lib/config');
+
+const config = loadConfigOrExit();
+const settings = Object.entries(describeConfig(config));
+const width = Math.max(...settings.map(([name]) => name.length));
+
+console.log(`Perfil: ${config.NODE_ENV}`);
+for (const [name, { value, source }] of settings) {
+    const shown = Array.isArray(value) ? value.join(',') : String(value);
+    console.log(`${name.padEnd(width)}  ${shown === '' ? '(vacío)' : shown}  [${source}]`);
+}
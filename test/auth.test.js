@@ -0,0 +1,148 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { useConfig, createTestApp, listen, createFakePool } = require('./helpers');
+
+useConfig({ SESSION_SECRET: 'secreto-de-prueba-para-firmar-las-cookies' });
+
+const { hashPassword, verifyPassword, checkPasswordStrength } = require('../lib/auth/passwords');
+const { createSession, loadSession } = require('../lib/auth/sessions');
+const { requireRole } = require('../lib/auth/guards');
+const users = require('../lib/auth/users');
+const createUsuariosRouter = require('../lib/routes/usuarios');
+
+const USERS = new Map([
+    [1, { id: 1, usuario: 'admin', nombre: 'Administración', rol: 'admin' }],
+    [2, { id: 2, usuario: 'editora', nombre: null, rol: 'editor' }]
+]);
+
+// sitio.sesiones and sitio.usuarios, as far as sessions and updateUser use them
+function createAuthPool() {
+    const sessions = new Map();
+    const pool = createFakePool((text, values) => {
+        if (text.includes('INSERT INTO sitio.sesiones')) {
+            sessions.set(values[0], { userId: values[1], csrfToken: values[2] });
+        } else if (text.includes('FROM sitio.sesiones s')) {
+            const session = sessions.get(values[0]);
+            if (session) {
+                return { rows: [{ session_id: values[0], csrf_token: session.csrfToken, ...USERS.get(session.userId) }] };
+            }
+        } else if (text.includes('UPDATE sitio.usuarios')) {
+            const user = USERS.get(values.find(value => typeof value === 'number'));
+            return { rows: user ? [user] : [], rowCount: user ? 1 : 0 };
+        }
+        return { rows: [], rowCount: 0 };
+    });
+    return pool;
+}
+
+// The usuarios API behind loadSession, plus a route that opens a session for a user id
+async function startServer(t) {
+    const pool = createAuthPool();
+    const router = express.Router();
+    router.post('/test-login/:id', async (req, res) => {
+        res.json(await createSession(pool, req, res, USERS.get(Number(req.params.id))));
+    });
+    router.use('/api', createUsuariosRouter({ pool }));
+    router.get('/editor-only', requireRole('editor'), (req, res) => res.json({ usuario: req.user.usuario }));
+
+    const server = await listen(createTestApp(router, loadSession({ pool })));
+    t.after(server.close);
+
+    server.pool = pool;
+    server.login = async (id) => {
+        const response = await fetch(`${server.url}/test-login/${id}`, { method: 'POST' });
+        const { id: sessionId, csrfToken } = await response.json();
+        return { sessionId, csrfToken, cookie: response.headers.get('set-cookie').split(';')[0] };
+    };
+    server.send = (method, path, { cookie, csrfToken, body } = {}) => fetch(`${server.url}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(cookie && { Cookie: cookie }),
+            ...(csrfToken && { 'X-CSRF-Token': csrfToken })
+        },
+        body: body && JSON.stringify(body)
+    });
+    return server;
+}
+
+test('passwords are hashed with a salt and verified', async () => {
+    const hash = await hashPassword('una contraseña larga');
+    assert.match(hash, /^scrypt\$/);
+    assert.notEqual(hash, await hashPassword('una contraseña larga'));
+    assert.equal(await verifyPassword('una contraseña larga', hash), true);
+    assert.equal(await verifyPassword('otra contraseña larga', hash), false);
+    assert.notEqual(checkPasswordStrength('corta'), null);
+});
+
+test('usernames follow the same rule in the API and the user:create script', () => {
+    assert.equal(users.checkUsername('ana.perez_2'), null);
+    for (const usuario of ['ab', 'con espacio', 'ñandú', 'a'.repeat(65), undefined]) {
+        assert.notEqual(users.checkUsername(usuario), null, String(usuario));
+    }
+});
+
+test('session cookies with a wrong signature are ignored without querying the database', async (t) => {
+    const server = await startServer(t);
+    const { cookie } = await server.login(2);
+    const forged = `${cookie.slice(0, -1)}${cookie.endsWith('A') ? 'B' : 'A'}`;
+    const queriesBefore = server.pool.queries.length;
+
+    assert.equal((await server.send('GET', '/editor-only', { cookie: forged })).status, 401);
+    assert.equal(server.pool.queries.length, queriesBefore);
+    assert.equal((await server.send('GET', '/editor-only', { cookie })).status, 200);
+});
+
+test('roles are checked from the lowest to the highest', async (t) => {
+    const server = await startServer(t);
+    const editor = await server.login(2);
+
+    assert.equal((await server.send('GET', '/editor-only')).status, 401);
+    assert.equal((await server.send('GET', '/api/usuarios', editor)).status, 403);
+    assert.deepEqual(await (await server.send('GET', '/editor-only', await server.login(1))).json(), { usuario: 'admin' });
+});
+
+test('state-changing requests need the CSRF token of their session', async (t) => {
+    const server = await startServer(t);
+    const admin = await server.login(1);
+    const other = await server.login(1);
+    const body = { nombre: 'Nuevo nombre' };
+
+    assert.equal((await server.send('PUT', '/api/usuarios/2', { cookie: admin.cookie, body })).status, 403);
+    assert.equal((await server.send('PUT', '/api/usuarios/2', { cookie: admin.cookie, csrfToken: other.csrfToken, body })).status, 403);
+    assert.equal((await server.send('PUT', '/api/usuarios/2', { ...admin, body })).status, 200);
+});
+
+test('user changes are validated before reaching the database', async (t) => {
+    const server = await startServer(t);
+    const admin = await server.login(1);
+    const send = (method, path, body) => server.send(method, path, { ...admin, body });
+    // Every query left once the session lookups are set aside
+    const userQueries = () => server.pool.queries.filter(query => !query.text.includes('sitio.sesiones')).length;
+
+    assert.equal((await send('POST', '/api/usuarios', { usuario: 'x y', password: 'contraseña segura', rol: 'editor' })).status, 400);
+    assert.equal((await send('POST', '/api/usuarios', { usuario: 'nueva', password: 'corta', rol: 'editor' })).status, 400);
+    assert.equal((await send('POST', '/api/usuarios', { usuario: 'nueva', password: 'contraseña segura', rol: 'root' })).status, 400);
+    assert.equal((await send('PUT', '/api/usuarios/2', { usuario: 'renombrada' })).status, 400);
+    assert.equal((await send('PUT', '/api/usuarios/1', { rol: 'editor' })).status, 400);
+    assert.equal((await send('PUT', '/api/usuarios/1', { activo: false })).status, 400);
+    assert.equal((await send('DELETE', '/api/usuarios/1')).status, 400);
+    assert.equal(userQueries(), 0);
+});
+
+test('a new password ends the sessions of the user, except the one of an admin changing their own', async (t) => {
+    const server = await startServer(t);
+    const admin = await server.login(1);
+    const updates = () => server.pool.queries.filter(query => query.text.includes('UPDATE sitio.usuarios'));
+
+    assert.equal((await server.send('PUT', '/api/usuarios/2', { ...admin, body: { password: 'contraseña nueva' } })).status, 200);
+    assert.match(updates()[0].text, /DELETE FROM sitio\.sesiones WHERE usuario_id IN \(SELECT id FROM updated\) AND id IS DISTINCT FROM \$3::varchar/);
+    assert.equal(updates()[0].values[2], null);
+
+    assert.equal((await server.send('PUT', '/api/usuarios/1', { ...admin, body: { password: 'contraseña nueva' } })).status, 200);
+    assert.equal(updates()[1].values[2], admin.sessionId);
+
+    assert.equal((await server.send('PUT', '/api/usuarios/2', { ...admin, body: { nombre: 'Editora' } })).status, 200);
+    assert.doesNotMatch(updates()[2].text, /sitio\.sesiones/);
+});
@@ -0,0 +1,73 @@
+/**
+ * Shared setup for the tests (node --test)
+ *
+ * Required before anything from lib/: the configuration is read once per
+ * process, so every test file runs with the test profile plus the
+ * settings it passes here.
+ */
+
+const express = require('express');
+
+/**
+ * @param {Object} [settings] - Environment variables for lib/config.js
+ */
+function useConfig(settings = {}) {
+    process.env.NODE_ENV = 'test';
+    // Expected warnings (bans, refused redirects...) would clutter the test report
+    process.env.LOG_LEVEL = 'error';
+    Object.assign(process.env, settings);
+}
+
+// Logger that keeps quiet, for req.log in routers tested without createApp
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {}, child() { return silentLogger; } };
+
+/**
+ * Express app with the JSON parser and req.log, plus optional
+ * middlewares that run before the router (e.g. to set req.user).
+ */
+function createTestApp(router, ...before) {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.log = silentLogger;
+        next();
+    });
+    before.forEach(middleware => app.use(middleware));
+    app.use(router);
+    return app;
+}
+
+/**
+ * Starts the app on a free port.
+ *
+ * @return {Promise<{url: string, close: function(): Promise<void>}>}
+ */
+function listen(app) {
+    return new Promise((resolve) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * Fake pg pool that records every query and answers with `answer(text, values)`.
+ * connect() hands out a client that records into the same list.
+ */
+function createFakePool(answer = () => ({ rows: [], rowCount: 0 })) {
+    const queries = [];
+    const query = async (text, values = []) => {
+        queries.push({ text: text.replace(/\s+/g, ' ').trim(), values });
+        return answer(text, values);
+    };
+    return {
+        queries,
+        query,
+        connect: async () => ({ query, release() {} })
+    };
+}
+
+module.exports = { useConfig, silentLogger, createTestApp, listen, createFakePool };
@@ -0,0 +1,144 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const { useConfig, silentLogger } = require('./helpers');
+
+const CERT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'portal-tls-'));
+process.on('exit', () => fs.rmSync(CERT_DIR, { recursive: true, force: true }));
+
+useConfig({
+    TLS_CERT_FILE: path.join(CERT_DIR, 'cert.pem'),
+    TLS_KEY_FILE: path.join(CERT_DIR, 'key.pem'),
+    TLS_SELF_SIGNED: 'true',
+    TLS_RELOAD_INTERVAL_MS: '1000',
+    HTTPS_PORT: '8443',
+    HTTPS_REDIRECT: 'true',
+    ALLOWED_REDIRECT_DOMAINS: 'portal.example',
+    HSTS_MAX_AGE: '600',
+    HSTS_INCLUDE_SUBDOMAINS: 'false',
+    HSTS_PRELOAD: 'false'
+});
+
+const { loadConfig } = require('../lib/config');
+const { certificateFiles, ensureCertificate, loadCertificate, watchCertificate } = require('../lib/certificates');
+const { createSnapshotRepos } = require('../lib/repos/snapshot');
+const { MODES } = require('../lib/modes');
+const { createApp } = require('../lib/app');
+
+const EMPTY_SNAPSHOT = {
+    version: 1,
+    tables: { presentacion: [], noticias: [], eventos: [], empresas: [], productos_servicios: [], lineaprod: [], preguntas: [] },
+    media: {}
+};
+
+// Plain request through http or https (with ca, or tls: true to accept any certificate) and the given Host
+function request(server, { method = 'GET', path: urlPath = '/', host, ca, tls = Boolean(ca) }) {
+    const client = tls ? https : http;
+    return new Promise((resolve, reject) => {
+        const req = client.request({
+            host: '127.0.0.1',
+            port: server.address().port,
+            method,
+            path: urlPath,
+            headers: { Host: host },
+            ca,
+            rejectUnauthorized: Boolean(ca),
+            servername: 'localhost',
+            agent: false
+        }, (res) => {
+            res.resume();
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, certificate: tls ? res.socket.getPeerCertificate() : null }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test('the HTTPS settings are checked together', () => {
+    const load = env => loadConfig({ env: { NODE_ENV: 'test', ...env }, argv: [], dir: CERT_DIR });
+    assert.throws(() => load({ HTTPS_REDIRECT: 'true' }), /HTTPS_REDIRECT: needs ALLOWED_REDIRECT_DOMAINS/);
+    assert.throws(() => load({ HSTS_MAX_AGE: '600', HSTS_PRELOAD: 'true', HSTS_INCLUDE_SUBDOMAINS: 'true' }), /HSTS_PRELOAD/);
+    assert.equal(load({ PORT: '9000' }).HTTPS_PORT, 9001);
+});
+
+test('a self-signed certificate is written once, and a key that does not match is refused', async () => {
+    const { certFile, keyFile } = certificateFiles();
+    assert.equal(await ensureCertificate({ hosts: ['portal.example'] }), true);
+    assert.equal(await ensureCertificate({ hosts: ['portal.example'] }), false);
+    assert.equal(fs.statSync(keyFile).mode & 0o077, 0);
+
+    const { certificate } = loadCertificate();
+    assert.match(certificate.subjectAltName, /DNS:portal\.example/);
+    assert.match(certificate.subjectAltName, /IP Address:127\.0\.0\.1/);
+
+    const key = fs.readFileSync(keyFile);
+    const otherDir = fs.mkdtempSync(path.join(CERT_DIR, 'otro-'));
+    try {
+        fs.renameSync(certFile, path.join(otherDir, 'cert.pem'));
+        fs.rmSync(keyFile);
+        await ensureCertificate({ hosts: [] });
+        fs.renameSync(path.join(otherDir, 'cert.pem'), certFile);
+        assert.throws(() => loadCertificate(), /does not match the key/);
+    } finally {
+        fs.writeFileSync(keyFile, key);
+        fs.rmSync(otherDir, { recursive: true, force: true });
+    }
+    assert.doesNotThrow(() => loadCertificate());
+});
+
+test('HTTP redirects to HTTPS on known hosts only, and HSTS goes on HTTPS responses', async (t) => {
+    await ensureCertificate({ hosts: [] });
+    const { cert, key } = loadCertificate();
+    const app = createApp({ mode: { name: 'dual', ...MODES.dual }, repos: createSnapshotRepos(EMPTY_SNAPSHOT), logger: silentLogger });
+    const plain = await listen(http.createServer(app));
+    const secure = await listen(https.createServer({ cert, key }, app));
+    t.after(() => {
+        plain.close();
+        secure.close();
+    });
+
+    const redirected = await request(plain, { path: '/noticias.html?page=2', host: 'portal.example' });
+    assert.equal(redirected.status, 301);
+    assert.equal(redirected.headers.location, 'https://portal.example:8443/noticias.html?page=2');
+    assert.equal(redirected.headers['strict-transport-security'], undefined);
+
+    assert.equal((await request(plain, { method: 'POST', path: '/auth/login', host: 'portal.example' })).status, 308);
+    assert.equal((await request(plain, { path: '/', host: 'evil.example' })).status, 400);
+    // An absolute URL in the request line can't choose the host either
+    const absolute = await request(plain, { path: 'http://evil.example/phish?x=1', host: 'portal.example' });
+    assert.equal(absolute.headers.location, 'https://portal.example:8443/phish?x=1');
+    assert.equal((await request(plain, { path: '/healthz', host: 'evil.example' })).status, 200);
+
+    const served = await request(secure, { path: '/index.html', host: 'portal.example', ca: cert });
+    assert.equal(served.status, 200);
+    assert.equal(served.headers['strict-transport-security'], 'max-age=600');
+});
+
+test('a renewed certificate is served without a restart', async (t) => {
+    await ensureCertificate({ hosts: [] });
+    const { cert, key, certificate } = loadCertificate();
+    const server = await listen(https.createServer({ cert, key }, (req, res) => res.end('ok')));
+    t.after(() => server.close());
+    watchCertificate([server]);
+
+    const { certFile, keyFile } = certificateFiles();
+    fs.rmSync(certFile);
+    fs.rmSync(keyFile);
+    await ensureCertificate({ hosts: ['renovado.example'] });
+
+    let served;
+    for (let attempt = 0; attempt < 50; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+        served = (await request(server, { host: 'localhost', tls: true })).certificate;
+        if (served.fingerprint256 !== certificate.fingerprint256) break;
+    }
+    assert.match(served.subjectaltname, /DNS:renovado\.example/);
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useConfig, silentLogger, listen } = require('./helpers');
+
+useConfig({
+    TRUST_PROXY: 'loopback',
+    IP_ALLOWLIST: '',
+    IP_DENYLIST: '203.0.113.0/24, 2001:db8:bad::/48',
+    BAN_THRESHOLD: '3'
+});
+
+const { parseRanges, createIpList, createBanList } = require('../lib/ip-access');
+const { createSnapshotRepos } = require('../lib/repos/snapshot');
+const { MODES } = require('../lib/modes');
+const { createApp } = require('../lib/app');
+
+const EMPTY_SNAPSHOT = {
+    version: 1,
+    tables: { presentacion: [], noticias: [], eventos: [], empresas: [], productos_servicios: [], lineaprod: [], preguntas: [] },
+    media: {}
+};
+
+test('parseRanges accepts addresses, CIDR ranges and keywords only', () => {
+    assert.deepEqual(parseRanges('10.0.0.1, 192.168.0.0/16,fd00::/8'), ['10.0.0.1', '192.168.0.0/16', 'fd00::/8']);
+    assert.deepEqual(parseRanges('loopback'), ['127.0.0.1/8', '::1/128']);
+    for (const entry of ['10.0.0.0/33', '::/129', 'example.com', '10.0.0.0/8/1', '10.0.0.0/x']) {
+        assert.throws(() => parseRanges(entry), /Invalid IP address or range/, entry);
+    }
+});
+
+test('IP lists match IPv4 and IPv6 ranges, and IPv4 clients of a dual-stack server', () => {
+    const list = createIpList(parseRanges('192.168.1.0/24, 2001:db8::/32'));
+    assert.equal(list.includes('192.168.1.200'), true);
+    assert.equal(list.includes('::ffff:192.168.1.200'), true);
+    assert.equal(list.includes('192.168.2.1'), false);
+    assert.equal(list.includes('2001:db8:1::5'), true);
+    assert.equal(list.includes('2001:db9::5'), false);
+    assert.equal(list.includes(''), false);
+    assert.equal(list.includes('not-an-ip'), false);
+});
+
+test('an IP is banned after threshold rejections within the window, until the ban ends or is lifted', async () => {
+    const bans = createBanList({ threshold: 3, windowMs: 60000, durationMs: 50 });
+    bans.strike('198.51.100.7', 'whitelist');
+    bans.strike('::ffff:198.51.100.7', 'whitelist');
+    assert.equal(bans.isBanned('198.51.100.7'), false);
+    bans.strike('198.51.100.7', 'rate-limit');
+    assert.equal(bans.isBanned('::ffff:198.51.100.7'), true);
+    assert.deepEqual(bans.list().map(ban => [ban.ip, ban.reason, ban.strikes]), [['198.51.100.7', 'rate-limit', 3]]);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.equal(bans.isBanned('198.51.100.7'), false);
+
+    const lifted = createBanList({ threshold: 1, windowMs: 60000, durationMs: 60000 });
+    lifted.strike('198.51.100.8', 'whitelist');
+    assert.equal(lifted.lift('198.51.100.8'), true);
+    assert.equal(lifted.isBanned('198.51.100.8'), false);
+    assert.equal(lifted.lift('198.51.100.8'), false);
+});
+
+test('a zero threshold never bans', () => {
+    const bans = createBanList({ threshold: 0, windowMs: 60000, durationMs: 60000 });
+    for (let i = 0; i < 10; i++) bans.strike('198.51.100.9', 'whitelist');
+    assert.equal(bans.isBanned('198.51.100.9'), false);
+});
+
+test('the client address comes from X-Forwarded-For only behind a trusted proxy', async (t) => {
+    const app = createApp({ mode: { name: 'standard', ...MODES.standard }, repos: createSnapshotRepos(EMPTY_SNAPSHOT), logger: silentLogger });
+    const server = await listen(app);
+    t.after(server.close);
+    const get = (path, forwardedFor) => fetch(`${server.url}${path}`, { headers: forwardedFor ? { 'X-Forwarded-For': forwardedFor } : {} });
+
+    // Denied through the proxy (loopback is trusted), whatever the client claims further left
+    assert.equal((await get('/api/get-noticias', '203.0.113.9')).status, 403);
+    assert.equal((await get('/api/get-noticias', '203.0.113.9, 10.0.0.1')).status, 200);
+    assert.equal((await get('/api/get-noticias', '2001:db8:bad::1')).status, 403);
+
+    // Three paths outside the whitelist ban the client, and only that client
+    for (let i = 0; i < 3; i++) assert.equal((await get('/.env', '198.51.100.20')).status, 403);
+    assert.equal((await get('/api/get-noticias', '198.51.100.20')).status, 403);
+    assert.equal((await get('/api/get-noticias', '198.51.100.21')).status, 200);
+    assert.equal((await get('/api/get-noticias')).status, 200);
+});
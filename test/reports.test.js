@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useConfig, createTestApp, listen, createFakePool } = require('./helpers');
+
+useConfig({ REPORTS_API_KEY: 'clave-de-prueba' });
+
+const { REPORTS, ReportParamError, describeParams, validateParams } = require('../lib/reports');
+const createReportsRouter = require('../lib/routes/reports');
+
+const NEXT_YEAR = new Date().getFullYear() + 1;
+
+test('validateParams converts the parameters to their declared types', () => {
+    assert.deepEqual(validateParams(REPORTS.noticias, { destacar: 'true', limite: '20' }), { destacar: true, limite: 20 });
+    assert.deepEqual(validateParams(REPORTS.noticias, {}), { destacar: null, limite: 50 });
+});
+
+test('validateParams rejects unknown parameters, including names from Object.prototype', () => {
+    for (const name of ['limit', 'constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+        const input = JSON.parse(`{"${name}": "1"}`);
+        assert.throws(() => validateParams(REPORTS.noticias, input), ReportParamError, name);
+    }
+});
+
+test('validateParams applies the bounds, computing function bounds on each call', () => {
+    const report = REPORTS['noticias-por-mes'];
+    assert.deepEqual(validateParams(report, { anio: String(NEXT_YEAR) }), { anio: NEXT_YEAR });
+    assert.throws(() => validateParams(report, { anio: String(NEXT_YEAR + 1) }), ReportParamError);
+    assert.throws(() => validateParams(report, { anio: '1989' }), ReportParamError);
+    assert.throws(() => validateParams(REPORTS.noticias, { limite: '501' }), ReportParamError);
+    assert.throws(() => validateParams(REPORTS.noticias, { limite: '1; DROP TABLE sitio.noticias' }), ReportParamError);
+});
+
+test('describeParams lists function bounds as their current value', () => {
+    assert.equal(describeParams(REPORTS['noticias-por-mes']).anio.max, NEXT_YEAR);
+    assert.equal(REPORTS['noticias-por-mes'].params.anio.max.constructor, Function);
+});
+
+test('the reports API requires the key and lists the resolved bounds', async (t) => {
+    const server = await listen(createTestApp(createReportsRouter({ pool: createFakePool() })));
+    t.after(server.close);
+
+    assert.equal((await fetch(`${server.url}/reports`)).status, 401);
+    assert.equal((await fetch(`${server.url}/reports`, { headers: { 'X-API-Key': 'otra' } })).status, 401);
+
+    const response = await fetch(`${server.url}/reports`, { headers: { Authorization: 'Bearer clave-de-prueba' } });
+    assert.equal(response.status, 200);
+    const listing = await response.json();
+    assert.equal(listing.find(report => report.name === 'noticias-por-mes').params.anio.max, NEXT_YEAR);
+});
+
+test('reports run in a read-only transaction with the validated values', async (t) => {
+    const pool = createFakePool(() => ({ rows: [{ total: 1 }] }));
+    const server = await listen(createTestApp(createReportsRouter({ pool })));
+    t.after(server.close);
+    const headers = { 'X-API-Key': 'clave-de-prueba', 'Content-Type': 'application/json' };
+
+    const rejected = await fetch(`${server.url}/reports/noticias`, { method: 'POST', headers, body: '{"constructor": "x"}' });
+    assert.equal(rejected.status, 400);
+    assert.equal(pool.queries.length, 0);
+
+    const response = await fetch(`${server.url}/reports/noticias?limite=5`, { headers });
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).params, { destacar: null, limite: 5 });
+    assert.equal(pool.queries[0].text, 'BEGIN READ ONLY');
+    assert.match(pool.queries[1].text, /^SET LOCAL statement_timeout = \d+$/);
+    assert.deepEqual(pool.queries[2].values, REPORTS.noticias.values({ destacar: null, limite: 5 }));
+    assert.equal(pool.queries[3].text, 'COMMIT');
+
+    assert.equal((await fetch(`${server.url}/reports/no-existe`, { headers })).status, 404);
+});
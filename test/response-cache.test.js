@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { useConfig, createTestApp, listen, createFakePool } = require('./helpers');
+
+useConfig();
+
+const { createResponseCache } = require('../lib/response-cache');
+const { createSnapshotRepos } = require('../lib/repos/snapshot');
+const { MODES } = require('../lib/modes');
+const createApiRouter = require('../lib/routes');
+
+const SNAPSHOT = {
+    version: 1,
+    tables: {
+        presentacion: [],
+        noticias: [{ id: 1, titulo: 'Noticia', noticia: 'Texto', link: null, destacar: true, fecha: '2026-01-02', actualizado: null }],
+        eventos: [],
+        empresas: [],
+        productos_servicios: [],
+        lineaprod: [],
+        preguntas: [{ id: 1, pregunta: '¿Pregunta?', respuesta: 'Respuesta', fecha: '2026-01-01' }]
+    },
+    media: {}
+};
+
+// The /api router with the cache, content from a snapshot and an editor without a session cookie
+async function startServer(t) {
+    const cache = createResponseCache();
+    const pool = createFakePool(text => (text.startsWith('INSERT') ? { rows: [{ id: 2 }], rowCount: 1 } : { rows: [], rowCount: 0 }));
+    const router = express.Router();
+    router.use('/api', createApiRouter({ pool, mode: { name: 'standard', ...MODES.standard }, cache, repos: createSnapshotRepos(SNAPSHOT) }));
+
+    const server = await listen(createTestApp(router, (req, res, next) => {
+        req.user = { id: 1, usuario: 'editora', rol: 'editor' };
+        req.session = null;
+        next();
+    }));
+    t.after(server.close);
+    server.cache = cache;
+    server.get = async (path) => {
+        const response = await fetch(`${server.url}/api${path}`);
+        return { status: response.status, cache: response.headers.get('x-cache'), etag: response.headers.get('etag') };
+    };
+    server.write = (method, path, body) => fetch(`${server.url}/api/admin${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return server;
+}
+
+test('public GET responses are cached and revalidated with their ETag', async (t) => {
+    const server = await startServer(t);
+
+    const first = await server.get('/get-preguntas-frecuentes');
+    assert.deepEqual([first.status, first.cache], [200, 'MISS']);
+    assert.equal((await server.get('/get-preguntas-frecuentes')).cache, 'HIT');
+    // Sent with http.get: fetch() adds Cache-Control: no-cache to conditional requests
+    const revalidated = await new Promise((resolve, reject) => {
+        http.get(`${server.url}/api/get-preguntas-frecuentes`, { headers: { 'If-None-Match': first.etag } }, resolve).on('error', reject);
+    });
+    revalidated.resume();
+    assert.equal(revalidated.statusCode, 304);
+    // Each URL is a separate entry
+    assert.equal((await server.get('/get-noticias?page=1')).cache, 'MISS');
+});
+
+test('a successful write drops only the responses built from that content', async (t) => {
+    const server = await startServer(t);
+    await server.get('/get-preguntas-frecuentes');
+    await server.get('/get-noticias');
+
+    const created = await server.write('POST', '/preguntas', { pregunta: '¿Otra?', respuesta: 'Sí' });
+    assert.equal(created.status, 201);
+    assert.equal((await server.get('/get-preguntas-frecuentes')).cache, 'MISS');
+    assert.equal((await server.get('/get-noticias')).cache, 'HIT');
+});
+
+test('a rejected write keeps the cached responses', async (t) => {
+    const server = await startServer(t);
+    await server.get('/get-preguntas-frecuentes');
+
+    assert.equal((await server.write('POST', '/preguntas', { pregunta: '' })).status, 400);
+    assert.equal((await server.get('/get-preguntas-frecuentes')).cache, 'HIT');
+    assert.equal(server.cache.stats().invalidations, 0);
+});
+
+test('a response computed while its content was invalidated is not stored', async (t) => {
+    const cache = createResponseCache();
+    let release;
+    const router = express.Router();
+    router.get('/lento', cache.cacheRoute({ route: '/lento', ttl: 60, tags: ['noticias'] }), async (req, res) => {
+        await new Promise(resolve => { release = resolve; });
+        res.json({ ok: true });
+    });
+    const server = await listen(createTestApp(router));
+    t.after(server.close);
+
+    const pending = fetch(`${server.url}/lento`);
+    while (!release) await new Promise(resolve => setImmediate(resolve));
+    cache.invalidate(['noticias']);
+    release();
+    assert.equal((await pending).headers.get('x-cache'), 'MISS');
+    assert.equal(cache.stats().entries, 0);
+});
+
+test('invalidations made here reach the listeners, those from other workers are not echoed', () => {
+    const cache = createResponseCache();
+    const heard = [];
+    cache.onInvalidate(tags => heard.push(tags));
+    cache.invalidate(['eventos']);
+    cache.clear();
+    cache.drop(['noticias']);
+    assert.deepEqual(heard, [['eventos'], null]);
+    assert.equal(cache.stats().invalidations, 3);
+});
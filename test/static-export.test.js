@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useConfig } = require('./helpers');
+
+useConfig({ SERVER: 'portal.example' });
+
+const { createSnapshotRepos } = require('../lib/repos/snapshot');
+const { exportSite } = require('../lib/static-export');
+const { ROOT_DIR } = require('../lib/app');
+
+const SNAPSHOT = {
+    version: 1,
+    tables: {
+        presentacion: [],
+        noticias: [{ id: 1, titulo: 'Noticia exportada', noticia: 'Texto', link: null, destacar: true, fecha: '2026-01-02', actualizado: null }],
+        eventos: [],
+        empresas: [],
+        productos_servicios: [],
+        lineaprod: [],
+        preguntas: []
+    },
+    media: {}
+};
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portal-export-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const exportTo = (outDir, baseUrl) => exportSite({ repos: createSnapshotRepos(SNAPSHOT), outDir, baseUrl });
+
+test('the export refuses directories it did not write and the project itself', async (t) => {
+    const dir = tempDir(t);
+    const foreign = path.join(dir, 'documentos');
+    fs.mkdirSync(foreign);
+    fs.writeFileSync(path.join(foreign, 'tesis.docx'), 'importante');
+
+    await assert.rejects(exportTo(foreign), /not empty and was not written by a previous export/);
+    assert.deepEqual(fs.readdirSync(foreign), ['tesis.docx']);
+    await assert.rejects(exportTo(ROOT_DIR), /can't contain the project/);
+    await assert.rejects(exportTo(path.dirname(ROOT_DIR)), /can't contain the project/);
+});
+
+test('the export replaces its previous copy and leaves the files around it alone', async (t) => {
+    const dir = tempDir(t);
+    const outDir = path.join(dir, 'sitio');
+    fs.mkdirSync(`${outDir}.tmp`);
+    fs.writeFileSync(path.join(`${outDir}.tmp`, 'notas.txt'), 'no borrar');
+
+    await exportTo(outDir);
+    fs.writeFileSync(path.join(outDir, 'obsoleto.html'), 'de la exportación anterior');
+    await exportTo(outDir);
+
+    assert.equal(fs.existsSync(path.join(outDir, 'index.html')), true);
+    assert.equal(fs.existsSync(path.join(outDir, 'obsoleto.html')), false);
+    assert.equal(fs.readFileSync(path.join(`${outDir}.tmp`, 'notas.txt'), 'utf8'), 'no borrar');
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['sitio', 'sitio.tmp']);
+});
+
+test('absolute links point to the export base URL, not to the configured server', async (t) => {
+    const outDir = path.join(tempDir(t), 'sitio');
+    await exportTo(outDir, 'https://estatico.example/portal/');
+
+    const feed = fs.readFileSync(path.join(outDir, 'feeds', 'noticias.rss'), 'utf8');
+    assert.match(feed, /<link>https:\/\/estatico\.example\/portal\/noticias\/1-noticia-exportada\.html<\/link>/);
+    assert.doesNotMatch(feed, /portal\.example/);
+
+    const page = fs.readFileSync(path.join(outDir, 'noticias', '1-noticia-exportada.html'), 'utf8');
+    assert.match(page, /<link rel="canonical" href="https:\/\/estatico\.example\/portal\/noticias\/1-noticia-exportada\.html">/);
+});